@@ -15,12 +15,39 @@ import availabilityRoutes from './routes/availability.js';
 import patientAuthRoutes from './routes/patientAuth.js';
 import patientBookingRoutes from './routes/patientBooking.js';
 import settingsRoutes from './routes/settings.js';
+import doctorRoutes from './routes/doctors.js';
+import scheduleExceptionRoutes from './routes/scheduleExceptions.js';
+import waitlistRoutes from './routes/waitlist.js';
+import appointmentSeriesRoutes from './routes/appointmentSeries.js';
+import queueRoutes from './routes/queue.js';
+import displayRoutes from './routes/display.js';
+import notificationRoutes from './routes/notifications.js';
+import patientNotificationRoutes from './routes/patientNotifications.js';
+import outboxRoutes from './routes/outbox.js';
+import notificationTemplateRoutes from './routes/notificationTemplates.js';
+import appointmentActionRoutes from './routes/appointmentActions.js';
+import auditLogRoutes from './routes/auditLogs.js';
+import noShowAppealRoutes from './routes/noShowAppeals.js';
+import loginActivityRoutes from './routes/loginActivity.js';
+import { registerDisplayNamespace } from './services/display.js';
+import { registerRealtime } from './services/realtime.js';
+import { startJobs } from './jobs/index.js';
+import { isTransportConfigured } from './services/transports/index.js';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 
 // Load environment variables
 dotenv.config();
 
+// Without a transport, outbox messages on that channel are marked failed and
+// password reset and verification requests answer 503
+if (!isTransportConfigured('email')) {
+  console.warn('No email transport configured: emails will fail and password reset is unavailable. See services/transports/index.js.');
+}
+if (!isTransportConfigured('sms')) {
+  console.warn('No SMS transport configured: SMS messages will fail. See services/transports/index.js.');
+}
+
 const app = express();
 const httpServer = createServer(app);
 
@@ -122,17 +149,17 @@ app.use(express.urlencoded({ extended: true }));
 // MongoDB connection
 console.log('Attempting to connect to MongoDB...');
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vm-clinic')
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startJobs({ io });
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+// Socket.io: authenticated connections in private per-user rooms
+registerRealtime(io);
 
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Waiting-room displays connect to their own namespace with a display token
+registerDisplayNamespace(io);
 
 // Routes
 app.use('/api/auth', authLimiter, authRoutes);
@@ -140,10 +167,26 @@ app.use('/api/appointments', appointmentRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/availability', availabilityRoutes);
+app.use('/api/doctors', doctorRoutes);
+app.use('/api/schedule-exceptions', scheduleExceptionRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/appointment-series', appointmentSeriesRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/display', displayRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/notification-templates', notificationTemplateRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/no-show-appeals', noShowAppealRoutes);
+app.use('/api/login-activity', loginActivityRoutes);
 
 // Patient portal routes
 app.use('/api/patient/auth', authLimiter, patientAuthRoutes);
 app.use('/api/patient/booking', patientBookingRoutes);
+app.use('/api/patient/notifications', patientNotificationRoutes);
+
+// One-click confirm/cancel links from reminder messages (no login)
+app.use('/api/appointment-actions', authLimiter, appointmentActionRoutes);
 
 // Settings routes
 app.use('/api/settings', settingsRoutes);
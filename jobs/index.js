@@ -0,0 +1,61 @@
+import { expireNoShowLocks } from '../services/noShowPolicy.js';
+import { deliverOutbox } from '../services/outbox.js';
+import { sendDueReminders } from '../services/reminders.js';
+import { expireWaitlistOffers } from '../services/waitlist.js';
+
+// In-process background jobs. Each job runs on a fixed interval and never
+// overlaps with itself; failures are logged and retried on the next tick.
+const JOBS = [
+  {
+    name: 'waitlist-offer-expiry',
+    intervalMs: 60 * 1000,
+    run: expireWaitlistOffers
+  },
+  {
+    name: 'outbox-delivery',
+    intervalMs: 30 * 1000,
+    run: () => deliverOutbox()
+  },
+  {
+    name: 'appointment-reminders',
+    intervalMs: 5 * 60 * 1000,
+    run: sendDueReminders
+  },
+  {
+    name: 'no-show-lock-expiry',
+    intervalMs: 60 * 60 * 1000,
+    run: expireNoShowLocks
+  }
+];
+
+const timers = [];
+
+export function startJobs(context = {}) {
+  if (timers.length > 0) return;
+
+  JOBS.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run(context);
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  });
+
+  console.log(`Started ${JOBS.length} background job(s)`);
+}
+
+export function stopJobs() {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+}
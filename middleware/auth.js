@@ -1,4 +1,6 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import Session, { SESSION_DAYS } from '../models/Session.js';
 import User from '../models/User.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
@@ -17,6 +19,14 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    const session = await Session.findForAccessToken(decoded);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again.' 
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user || !user.isActive) {
@@ -27,6 +37,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id.toString();
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -69,13 +80,14 @@ export const requireStaff = requireRole('staff', 'admin', 'doctor');
 // Doctor access (for medical records)
 export const requireDoctor = requireRole('doctor', 'admin');
 
-// Generate JWT token
-export const generateToken = (user) => {
+// Generate JWT token for a session (see models/Session.js)
+export const generateToken = (user, session) => {
   return jwt.sign(
     { 
       id: user._id, 
       role: user.role,
-      specialty: user.specialty 
+      specialty: user.specialty,
+      sid: session._id
     },
     JWT_SECRET,
     { 
@@ -84,16 +96,19 @@ export const generateToken = (user) => {
   );
 };
 
-// Generate refresh token
-export const generateRefreshToken = (user) => {
+// Generate refresh token for a session; each one is unique (jwtid) so the
+// session can tell the current token from rotated ones
+export const generateRefreshToken = (user, session) => {
   return jwt.sign(
     { 
       id: user._id, 
-      type: 'refresh' 
+      type: 'refresh',
+      sid: session._id
     },
     JWT_SECRET,
     { 
-      expiresIn: '7d' 
+      expiresIn: `${SESSION_DAYS}d`,
+      jwtid: crypto.randomUUID()
     }
   );
 };
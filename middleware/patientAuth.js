@@ -1,5 +1,7 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import PatientUser from '../models/PatientUser.js';
+import Session, { SESSION_DAYS } from '../models/Session.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -17,6 +19,14 @@ export const authenticatePatient = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    const session = await Session.findForAccessToken(decoded);
+    if (!session || session.accountType !== 'patient') {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again.' 
+      });
+    }
+
     const patient = await PatientUser.findById(decoded.id).select('-password');
 
     if (!patient || !patient.isActive) {
@@ -31,6 +41,7 @@ export const authenticatePatient = async (req, res, next) => {
       ...patient.toObject(),
       id: patient._id.toString()
     };
+    req.sessionId = session._id.toString();
     next();
   } catch (error) {
     console.error('Patient auth middleware error:', error);
@@ -41,13 +52,14 @@ export const authenticatePatient = async (req, res, next) => {
   }
 };
 
-// Generate JWT token for patient
-export const generatePatientToken = (patient) => {
+// Generate JWT token for a patient session
+export const generatePatientToken = (patient, session) => {
   return jwt.sign(
     { 
       id: patient._id, 
       email: patient.email,
-      type: 'patient'
+      type: 'patient',
+      sid: session._id
     },
     JWT_SECRET,
     { 
@@ -56,16 +68,18 @@ export const generatePatientToken = (patient) => {
   );
 };
 
-// Generate refresh token for patient
-export const generatePatientRefreshToken = (patient) => {
+// Generate refresh token for a patient session
+export const generatePatientRefreshToken = (patient, session) => {
   return jwt.sign(
     { 
       id: patient._id, 
-      type: 'patient_refresh' 
+      type: 'patient_refresh',
+      sid: session._id
     },
     JWT_SECRET,
     { 
-      expiresIn: '7d' 
+      expiresIn: `${SESSION_DAYS}d`,
+      jwtid: crypto.randomUUID()
     }
   );
 };
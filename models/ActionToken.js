@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Single-use record behind a signed appointment action link (confirm attendance
+// or request cancellation). The link itself is a JWT naming this record; usedAt
+// is set atomically when the link is used, so it works only once.
+const actionTokenSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['confirm', 'cancel'],
+      required: true
+    },
+    // Portal account of the appointment, if any
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    reminder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentReminder'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+actionTokenSchema.index({ appointment: 1, action: 1 });
+// Keep used and expired links around for a month for reference
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('ActionToken', actionTokenSchema);
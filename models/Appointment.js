@@ -1,4 +1,45 @@
 import mongoose from "mongoose";
+import Settings from "./Settings.js";
+import { APPOINTMENT_TIME, addMinutesToTime } from "../services/time.js";
+import {
+  syncAppointmentClaims,
+  releaseAppointmentClaims,
+} from "../services/slotReservation.js";
+import {
+  collectHistoryChanges,
+  recordSavedChanges,
+  rememberHistoryState,
+} from "../services/appointmentHistory.js";
+import {
+  InvalidTransitionError,
+  canTransition,
+} from "../services/appointmentStateMachine.js";
+
+// Service types offered by each doctor specialty
+export const SERVICE_TYPES = {
+  "ob-gyne": [
+    "PRENATAL_CHECKUP",
+    "POSTNATAL_CHECKUP",
+    "CHILDBIRTH_CONSULTATION",
+    "DILATATION_CURETTAGE",
+    "FAMILY_PLANNING",
+    "PAP_SMEAR",
+    "WOMEN_VACCINATION",
+    "PCOS_CONSULTATION",
+    "STI_CONSULTATION",
+    "INFERTILITY_CONSULTATION",
+    "MENOPAUSE_CONSULTATION",
+  ],
+  pediatric: [
+    "NEWBORN_CONSULTATION",
+    "WELL_BABY_CHECKUP",
+    "WELL_CHILD_CHECKUP",
+    "PEDIATRIC_EVALUATION",
+    "CHILD_VACCINATION",
+    "EAR_PIERCING",
+    "PEDIATRIC_REFERRAL",
+  ],
+};
 
 const appointmentSchema = new mongoose.Schema(
   {
@@ -24,10 +65,15 @@ const appointmentSchema = new mongoose.Schema(
       required: true,
     },
 
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+    },
+
+    // Display name of the doctor at booking time; `doctor` is the reference used for lookups
     doctorName: {
       type: String,
       required: true,
-      // Removed enum restriction to allow dynamic doctor names from clinic settings
     },
 
     // Appointment scheduling
@@ -64,29 +110,7 @@ const appointmentSchema = new mongoose.Schema(
     serviceType: {
       type: String,
       required: true,
-      enum: [
-        // OB-GYNE Services
-        "PRENATAL_CHECKUP",
-        "POSTNATAL_CHECKUP",
-        "CHILDBIRTH_CONSULTATION",
-        "DILATATION_CURETTAGE",
-        "FAMILY_PLANNING",
-        "PAP_SMEAR",
-        "WOMEN_VACCINATION",
-        "PCOS_CONSULTATION",
-        "STI_CONSULTATION",
-        "INFERTILITY_CONSULTATION",
-        "MENOPAUSE_CONSULTATION",
-
-        // Pediatric Services
-        "NEWBORN_CONSULTATION",
-        "WELL_BABY_CHECKUP",
-        "WELL_CHILD_CHECKUP",
-        "PEDIATRIC_EVALUATION",
-        "CHILD_VACCINATION",
-        "EAR_PIERCING",
-        "PEDIATRIC_REFERRAL",
-      ],
+      enum: [...SERVICE_TYPES["ob-gyne"], ...SERVICE_TYPES.pediatric],
     },
 
     // Appointment status
@@ -105,6 +129,11 @@ const appointmentSchema = new mongoose.Schema(
       default: "scheduled",
     },
 
+    // When the patient confirmed they will come (portal or reminder link)
+    attendanceConfirmedAt: {
+      type: Date,
+    },
+
     // Priority and type
     appointmentType: {
       type: String,
@@ -153,6 +182,16 @@ const appointmentSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Recurring series this appointment was generated from
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+    },
+
+    seriesIndex: {
+      type: Number,
+    },
+
     // Staff information
     bookedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -240,10 +279,17 @@ const appointmentSchema = new mongoose.Schema(
         maxlength: 500,
       },
       requestedAt: Date,
+      // Unset when the request came from a reminder link without a portal account
       requestedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "PatientUser",
       },
+      source: {
+        type: String,
+        enum: ["patient_portal", "action_link"],
+      },
+      // Status to go back to if the request is rejected
+      previousStatus: String,
       reviewedAt: Date,
       reviewedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -301,6 +347,28 @@ const appointmentSchema = new mongoose.Schema(
     estimatedWaitTime: {
       type: Number, // in minutes
     },
+
+    // Where a checked-in patient is in the day's queue
+    queueStatus: {
+      type: String,
+      enum: ["waiting", "called", "in_consultation", "done"],
+    },
+
+    checkedInAt: {
+      type: Date,
+    },
+
+    calledAt: {
+      type: Date,
+    },
+
+    consultationStartedAt: {
+      type: Date,
+    },
+
+    consultationEndedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -327,6 +395,26 @@ appointmentSchema.pre("validate", async function (next) {
   next();
 });
 
+// Derive endTime from the service duration whenever the start time or service changes,
+// unless the caller set endTime explicitly in the same change
+appointmentSchema.pre("validate", async function (next) {
+  try {
+    if (!this.appointmentTime || !APPOINTMENT_TIME.test(this.appointmentTime)) {
+      return next();
+    }
+
+    const timingChanged = this.isModified("appointmentTime") || this.isModified("serviceType");
+    if (!this.endTime || (timingChanged && !this.isModified("endTime"))) {
+      const durations = await Settings.getServiceDurations();
+      const duration = durations[this.serviceType] || (await Settings.getSettings()).slotDuration;
+      this.endTime = addMinutesToTime(this.appointmentTime, duration);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Validate appointment time against doctor schedules
 appointmentSchema.pre("save", function (next) {
   // Skip validation if this is a reschedule (has rescheduledFrom) or if status is reschedule_pending
@@ -339,9 +427,88 @@ appointmentSchema.pre("save", function (next) {
   next();
 });
 
+// Refuse status changes the state machine doesn't allow. Routes check first to
+// answer with a clear message; this catches anything that didn't.
+appointmentSchema.pre("save", function (next) {
+  if (this.isNew || !this.isModified("status")) {
+    return next();
+  }
+
+  const from = this.$locals.historyState?.status;
+  if (from && from !== this.status && !canTransition(from, this.status)) {
+    return next(new InvalidTransitionError(from, this.status));
+  }
+  next();
+});
+
+// Reserve (or release) the appointment's time in the SlotClaim collection.
+// A concurrent booking of the same time fails here with a SlotConflictError.
+appointmentSchema.pre("save", async function (next) {
+  const timingFields = ["doctor", "appointmentDate", "appointmentTime", "endTime", "status", "appointmentType"];
+  this.$locals.claimsSynced = false;
+  if (!this.isNew && !timingFields.some((field) => this.isModified(field))) {
+    return next();
+  }
+
+  try {
+    // Routes set $locals.holdToken when the patient is booking a held slot
+    this.$locals.convertedHold = await syncAppointmentClaims(this, { holdToken: this.$locals.holdToken });
+    this.$locals.claimsSynced = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Claims move before the write, so undo the move when saving fails: a new
+// appointment leaves none behind and gives a converted hold back to the patient,
+// an existing one gets back the claims of its stored doctor, date and time.
+appointmentSchema.post("save", async function (error, doc, next) {
+  const claimsSynced = doc.$locals.claimsSynced;
+  doc.$locals.claimsSynced = false;
+
+  try {
+    if (doc.isNew) {
+      await releaseAppointmentClaims(doc._id, { hold: doc.$locals.convertedHold });
+    } else if (claimsSynced) {
+      const stored = await doc.constructor.findById(doc._id);
+      if (stored) {
+        await syncAppointmentClaims(stored);
+      }
+    }
+  } catch (rollbackError) {
+    console.error(`Error restoring slot claims for appointment ${doc._id}:`, rollbackError);
+  }
+  next(error);
+});
+
+appointmentSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) {
+    await releaseAppointmentClaims(doc._id);
+  }
+});
+
+// History: remember the stored values, diff them on save and record the change
+// with the actor the route set through setHistoryContext
+appointmentSchema.post("init", function () {
+  rememberHistoryState(this);
+});
+
+appointmentSchema.pre("save", function (next) {
+  collectHistoryChanges(this);
+  next();
+});
+
+appointmentSchema.post("save", async function (doc) {
+  await recordSavedChanges(doc);
+});
+
 // Indexes for efficient querying
 appointmentSchema.index({ appointmentDate: 1, doctorName: 1 });
+appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
 appointmentSchema.index({ patient: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ series: 1, appointmentDate: 1 });
+appointmentSchema.index({ doctor: 1, appointmentDate: 1, queueNumber: 1 });
 
 export default mongoose.model("Appointment", appointmentSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Append-only log of what happened to an appointment and who did it. Entries
+// are only ever inserted; updates and deletes are refused.
+const appointmentHistorySchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true
+    },
+    // e.g. "cancellation_requested", "attendance_confirmed"
+    action: {
+      type: String,
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    actorType: {
+      type: String,
+      enum: ['user', 'patient', 'system'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    // Where the change came from: staff app, patient portal, an emailed link or a job
+    source: {
+      type: String,
+      enum: ['staff', 'patient_portal', 'action_link', 'system'],
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }
+    ]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+appointmentHistorySchema.index({ appointment: 1, createdAt: 1 });
+
+const APPEND_ONLY = 'Appointment history is append-only';
+
+appointmentHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new Error(APPEND_ONLY));
+  }
+);
+appointmentHistorySchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY));
+});
+
+export default mongoose.model('AppointmentHistory', appointmentHistorySchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One reminder sent for an appointment. The unique index is what keeps reminders
+// from going out twice: a reminder is recorded before it is sent, so a restart or
+// a second worker can't send the same one again. The start time is part of the
+// key so a rescheduled appointment gets fresh reminders for its new time.
+const appointmentReminderSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true
+    },
+    // Minutes before the appointment this reminder belongs to (e.g. 1440, 120)
+    offsetMinutes: {
+      type: Number,
+      required: true
+    },
+    appointmentStart: {
+      type: Date,
+      required: true
+    },
+    channels: [
+      {
+        type: String,
+        enum: ['in_app', 'email', 'sms']
+      }
+    ],
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+appointmentReminderSchema.index({ appointment: 1, offsetMinutes: 1, appointmentStart: 1 }, { unique: true });
+appointmentReminderSchema.index({ sentAt: 1 });
+
+export default mongoose.model('AppointmentReminder', appointmentReminderSchema);
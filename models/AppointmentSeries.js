@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// A set of recurring appointments generated from one rule:
+// - interval:     every N weeks from the start date, until a date or a number of visits
+// - prenatal:     monthly until 28 weeks, every 2 weeks until 36 weeks, then weekly until EDD
+// - immunization: well-baby visits at fixed ages counted from the child's birth date
+// The generated appointments point back here through Appointment.series.
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true
+    },
+    doctorName: {
+      type: String,
+      required: true
+    },
+    serviceType: {
+      type: String,
+      required: true
+    },
+    // Preferred time for every occurrence; conflicting occurrences may be moved
+    appointmentTime: {
+      type: String,
+      required: true,
+      validate: {
+        validator: (time) => /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i.test(time),
+        message: 'Time must be in format HH:MM AM/PM'
+      }
+    },
+    rule: {
+      type: {
+        type: String,
+        enum: ['interval', 'prenatal', 'immunization'],
+        required: true
+      },
+      intervalWeeks: {
+        type: Number,
+        min: 1,
+        max: 52,
+        required: function () {
+          return this.rule?.type === 'interval';
+        }
+      },
+      count: {
+        type: Number,
+        min: 1,
+        max: 52
+      },
+      until: Date
+    },
+    // EDD for prenatal series, birth date for immunization series
+    anchorDate: {
+      type: Date,
+      required: function () {
+        return this.rule?.type !== 'interval';
+      }
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    reasonForVisit: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active'
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+appointmentSeriesSchema.pre('validate', function (next) {
+  if (this.rule?.type === 'interval' && !this.rule.count && !this.rule.until) {
+    this.invalidate('rule.until', 'An interval series needs an end date or a number of visits');
+  }
+  next();
+});
+
+appointmentSeriesSchema.index({ patient: 1, status: 1 });
+appointmentSeriesSchema.index({ doctor: 1 });
+
+export default mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Access log for medical records. Entries form a hash chain: each stores the
+// hash of the one before it (by seq) and a hash over its own content, so editing
+// or removing an entry breaks the chain from that point on (see
+// verifyAuditChain in services/auditLog.js). Entries are only ever inserted.
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied from the user, so the entry still reads right if the account changes
+  userName: String,
+  userRole: String,
+  action: {
+    type: String,
+    enum: ['view', 'create', 'update', 'delete'],
+    required: true
+  },
+  resource: {
+    type: String,
+    enum: ['patient', 'consultation', 'immunization'],
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  // Consultation or immunization id
+  resourceId: String,
+  // Names of changed fields; never record values
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+auditLogSchema.index({ seq: 1 }, { unique: true });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ patient: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const APPEND_ONLY = 'Audit log is append-only';
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new Error(APPEND_ONLY));
+  }
+);
+auditLogSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY));
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
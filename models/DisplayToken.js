@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Access token for an unauthenticated waiting-room display. Only the SHA-256 hash
+// is stored; the token itself is shown to the admin once, when it is created.
+const displayTokenSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Doctors shown on this display; empty shows every active doctor
+    doctors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+      }
+    ],
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+displayTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('DisplayToken', displayTokenSchema);
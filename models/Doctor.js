@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import Settings from './Settings.js';
+
+const dayHoursSchema = {
+  start: { type: String, default: '' },
+  end: { type: String, default: '' },
+  enabled: { type: Boolean, default: false }
+};
+
+const SPECIALTY_DEFAULTS = {
+  'ob-gyne': {
+    label: 'OB-GYNE',
+    description: 'Obstetrics and Gynecology specialist',
+    defaultServiceType: 'PRENATAL_CHECKUP'
+  },
+  pediatric: {
+    label: 'Pediatric',
+    description: 'Pediatrics specialist for children and infants',
+    defaultServiceType: 'WELL_CHILD_CHECKUP'
+  }
+};
+
+const doctorSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Clinical department; decides which patient records and services the doctor handles
+    specialty: {
+      type: String,
+      enum: ['ob-gyne', 'pediatric'],
+      required: true
+    },
+    // Optional display title, e.g. "Sonologist"
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    defaultServiceType: {
+      type: String
+    },
+    // Linked staff account for the doctor
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      validate: {
+        validator: async function (userId) {
+          if (!userId) return true;
+          const user = await mongoose.model('User').findById(userId).select('role');
+          return !!user && user.role === 'doctor';
+        },
+        message: 'Linked user must exist and have the doctor role'
+      }
+    },
+    hours: {
+      monday: dayHoursSchema,
+      tuesday: dayHoursSchema,
+      wednesday: dayHoursSchema,
+      thursday: dayHoursSchema,
+      friday: dayHoursSchema,
+      saturday: dayHoursSchema,
+      sunday: dayHoursSchema
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Fill specialty-based defaults
+doctorSchema.pre('validate', function (next) {
+  const defaults = SPECIALTY_DEFAULTS[this.specialty];
+  if (defaults) {
+    if (!this.description) this.description = defaults.description;
+    if (!this.defaultServiceType) this.defaultServiceType = defaults.defaultServiceType;
+  }
+  next();
+});
+
+doctorSchema.virtual('specialtyLabel').get(function () {
+  return this.title || SPECIALTY_DEFAULTS[this.specialty]?.label || this.specialty;
+});
+
+doctorSchema.set('toJSON', { virtuals: true });
+
+// Seed the roster from the legacy two-doctor clinic settings the first time it is needed.
+// Upserting on the unique name and specialty keeps concurrent first requests from
+// seeding it twice.
+doctorSchema.statics.ensureRoster = async function () {
+  const count = await this.countDocuments();
+  if (count > 0) return;
+
+  const settings = (await Settings.getSettings()).toObject();
+  const legacyDoctors = [
+    { config: settings.obgyneDoctor, specialty: 'ob-gyne' },
+    { config: settings.pediatrician, specialty: 'pediatric' }
+  ];
+
+  for (const { config, specialty } of legacyDoctors) {
+    if (!config || !config.name) continue;
+    // Upserts skip the pre-validate hook, so fill the specialty defaults here
+    await this.updateOne(
+      { name: config.name, specialty },
+      {
+        $setOnInsert: {
+          hours: config.hours || {},
+          description: SPECIALTY_DEFAULTS[specialty].description,
+          defaultServiceType: SPECIALTY_DEFAULTS[specialty].defaultServiceType
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+doctorSchema.index({ user: 1 }, { unique: true, sparse: true });
+doctorSchema.index({ name: 1, specialty: 1 }, { unique: true });
+doctorSchema.index({ isActive: 1, name: 1 });
+
+export default mongoose.model('Doctor', doctorSchema);
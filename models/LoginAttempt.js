@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// One staff or patient login attempt, successful or not, for reviewing
+// suspicious activity. The account is unset when the username or email
+// matched no active account.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    accountType: {
+      type: String,
+      enum: ['user', 'patient'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    // Username or email as entered
+    identifier: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    success: {
+      type: Boolean,
+      required: true
+    },
+    // Why a failed attempt failed
+    reason: {
+      type: String,
+      enum: ['invalid_password', 'invalid_two_factor_code', 'unknown_account', 'throttled', 'locked']
+    },
+    ipAddress: String,
+    userAgent: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ patientUser: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+// Kept for 180 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// A patient asking the clinic to lift a no-show booking lock. Approving it
+// unlocks booking the same way staff can by hand.
+const noShowAppealSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true
+    },
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000
+    },
+    // Counted no-shows when the appeal was submitted
+    noShowCount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+noShowAppealSchema.index({ status: 1, createdAt: 1 });
+noShowAppealSchema.index({ patient: 1, status: 1 });
+noShowAppealSchema.index({ patientUser: 1, createdAt: -1 });
+
+export default mongoose.model('NoShowAppeal', noShowAppealSchema);
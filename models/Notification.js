@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// In-app notification, saved for every appointment event pushed over Socket.IO so
+// offline recipients still see it. Patient notifications belong to one portal
+// account; staff notifications are addressed like the staff socket rooms
+// (front-desk roles plus the appointment's doctor) and track reads per user.
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientType: {
+      type: String,
+      enum: ['patient', 'staff'],
+      required: true
+    },
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser',
+      required: function () {
+        return this.recipientType === 'patient';
+      }
+    },
+    // Staff audience: every user with one of these roles, plus the doctor's linked user
+    roles: [
+      {
+        type: String,
+        enum: ['admin', 'staff', 'doctor']
+      }
+    ],
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor'
+    },
+    // Socket event name, e.g. "appointment:confirmed"
+    event: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    // Patient notifications
+    readAt: Date,
+    // Staff notifications
+    readBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationSchema.index({ patientUser: 1, createdAt: -1 });
+notificationSchema.index({ recipientType: 1, roles: 1, createdAt: -1 });
+notificationSchema.index({ recipientType: 1, doctor: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
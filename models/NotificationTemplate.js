@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Admin-edited wording for a patient notification. A template overrides the
+// built-in default for one notification type, channel and language; types and
+// placeholders are listed in services/templates.js.
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    // Notification type, e.g. "appointment_confirmed"
+    type: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    channel: {
+      type: String,
+      enum: ['in_app', 'email', 'sms'],
+      required: true
+    },
+    language: {
+      type: String,
+      enum: ['en', 'fil'],
+      required: true
+    },
+    // Email only
+    subject: {
+      type: String,
+      trim: true
+    },
+    body: {
+      type: String,
+      required: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationTemplateSchema.index({ type: 1, channel: 1, language: 1 }, { unique: true });
+
+export default mongoose.model('NotificationTemplate', notificationTemplateSchema);
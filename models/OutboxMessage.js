@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Email/SMS waiting to be delivered by the outbox worker. Messages are written in
+// the same request that raises the notification and delivered in the background,
+// with retries and exponential backoff when a transport fails.
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['email', 'sms'],
+      required: true
+    },
+    // Email address or phone number
+    to: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      trim: true
+    },
+    body: {
+      type: String,
+      required: true
+    },
+    event: {
+      type: String
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    // Records behind the action links in the body; the body keeps placeholders
+    // and the signed links are filled in when the message is sent
+    actionTokens: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ActionToken'
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: Date,
+    lastError: String,
+    // Transport that delivered the message and its reference, if any
+    transport: String,
+    providerMessageId: String,
+    sentAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ appointment: 1 });
+
+export default mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -294,6 +294,13 @@ const patientSchema = new mongoose.Schema({
   lastNoShowAt: {
     type: Date
   },
+  appointmentLockedAt: {
+    type: Date
+  },
+  // No-shows before this don't count (set when booking is unlocked)
+  noShowCountResetAt: {
+    type: Date
+  },
   
   notes: [{
     text: { type: String, trim: true },
@@ -71,13 +71,29 @@ const patientUserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Language of notifications, reminders and other messages
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'fil'],
+    default: 'en'
+  },
   lastLogin: {
     type: Date
   },
+  // Failed logins in a row; see services/loginProtection.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  // No login attempts are checked before this time (a delay or a lockout)
+  loginBlockedUntil: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerificationToken: String,
-  emailVerificationExpires: Date
+  emailVerificationExpires: Date,
+  // Last verification email, for throttling resends
+  emailVerificationSentAt: Date
 }, {
   timestamps: true
 });
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Last queue number handed out per doctor per day. Numbers restart at 1 every day.
+const queueCounterSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true
+    },
+    // UTC "YYYY-MM-DD", like appointment dates
+    dateKey: {
+      type: String,
+      required: true
+    },
+    lastNumber: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+queueCounterSchema.index({ doctor: 1, dateKey: 1 }, { unique: true });
+
+// Atomically take the next number, so two desks checking in at once never share one
+queueCounterSchema.statics.nextNumber = async function (doctor, dateKey) {
+  const counter = await this.findOneAndUpdate(
+    { doctor, dateKey },
+    { $inc: { lastNumber: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.lastNumber;
+};
+
+export default mongoose.model('QueueCounter', queueCounterSchema);
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Exceptions to the weekly doctor hours:
+// - closure: the whole clinic (or one doctor) is closed for full days
+// - block:   part of a day is unavailable (startTime-endTime)
+// - leave:   a doctor is away for a range of full days
+// - holiday: full-day closure, usually recurring every year on the same dates
+const scheduleExceptionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['closure', 'block', 'leave', 'holiday'],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    // Empty for clinic-wide exceptions
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: function () {
+        return this.type === 'leave';
+      }
+    },
+    // Inclusive date range, stored as UTC midnight like appointment dates
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date
+    },
+    // Only used by partial-day blocks, in "HH:MM" 24-hour format
+    startTime: {
+      type: String,
+      validate: {
+        validator: (time) => !time || CLOCK_TIME.test(time),
+        message: 'Start time must be in format HH:MM'
+      },
+      required: function () {
+        return this.type === 'block';
+      }
+    },
+    endTime: {
+      type: String,
+      validate: {
+        validator: (time) => !time || CLOCK_TIME.test(time),
+        message: 'End time must be in format HH:MM'
+      },
+      required: function () {
+        return this.type === 'block';
+      }
+    },
+    // Repeat every year on the same month/day range (national holidays)
+    recurring: {
+      type: Boolean,
+      default: false
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+scheduleExceptionSchema.pre('validate', function (next) {
+  if (!this.endDate) {
+    this.endDate = this.startDate;
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  if (this.type === 'block' && this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after the start time');
+  }
+  next();
+});
+
+scheduleExceptionSchema.virtual('isFullDay').get(function () {
+  return this.type !== 'block';
+});
+
+scheduleExceptionSchema.set('toJSON', { virtuals: true });
+
+scheduleExceptionSchema.index({ startDate: 1, endDate: 1 });
+scheduleExceptionSchema.index({ doctor: 1 });
+scheduleExceptionSchema.index({ recurring: 1 });
+
+export default mongoose.model('ScheduleException', scheduleExceptionSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Refresh tokens, and so sessions, last this long after the last refresh
+export const SESSION_DAYS = 7;
+
+// One signed-in device of a staff user or portal patient. Access and refresh
+// tokens carry the session id (sid), so revoking the session ends both at once.
+// Only a hash of the current refresh token is stored; it changes on every
+// refresh, and an older token coming back means it was copied (see
+// services/sessions.js).
+const sessionSchema = new mongoose.Schema(
+  {
+    accountType: {
+      type: String,
+      enum: ['user', 'patient'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    // sha256 of the refresh token currently valid for this session
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'token_reuse', 'account_deactivated', 'password_reset', 'password_changed', 'two_factor_reset']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ patientUser: 1, revokedAt: 1 });
+// Expired sessions are removed after a week, keeping recent ones listable for audits
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const accountField = (accountType) => (accountType === 'patient' ? 'patientUser' : 'user');
+
+export const activeSessionFilter = (now = new Date()) => ({
+  revokedAt: null,
+  expiresAt: { $gt: now }
+});
+
+// The live session behind a decoded access token, or null. Staff access tokens
+// have no type; patient ones have type "patient". Refresh tokens never pass.
+sessionSchema.statics.findForAccessToken = function (decoded) {
+  if (!decoded?.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) return null;
+
+  let accountType;
+  if (!decoded.type) accountType = 'user';
+  else if (decoded.type === 'patient') accountType = 'patient';
+  else return null;
+
+  return this.findOne({
+    _id: decoded.sid,
+    accountType,
+    [accountField(accountType)]: decoded.id,
+    ...activeSessionFilter()
+  });
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 
+// Default visit length in minutes per Appointment.serviceType.
+// Admins can override individual services through Settings.serviceDurations.
+export const DEFAULT_SERVICE_DURATIONS = {
+  // OB-GYNE Services
+  PRENATAL_CHECKUP: 30,
+  POSTNATAL_CHECKUP: 30,
+  CHILDBIRTH_CONSULTATION: 45,
+  DILATATION_CURETTAGE: 90,
+  FAMILY_PLANNING: 30,
+  PAP_SMEAR: 30,
+  WOMEN_VACCINATION: 15,
+  PCOS_CONSULTATION: 45,
+  STI_CONSULTATION: 30,
+  INFERTILITY_CONSULTATION: 60,
+  MENOPAUSE_CONSULTATION: 45,
+
+  // Pediatric Services
+  NEWBORN_CONSULTATION: 45,
+  WELL_BABY_CHECKUP: 30,
+  WELL_CHILD_CHECKUP: 30,
+  PEDIATRIC_EVALUATION: 45,
+  CHILD_VACCINATION: 15,
+  EAR_PIERCING: 15,
+  PEDIATRIC_REFERRAL: 30
+};
+
 const settingsSchema = new mongoose.Schema(
   {
     clinicName: {
@@ -7,6 +33,88 @@ const settingsSchema = new mongoose.Schema(
       required: true,
       default: 'VM Mother and Child Clinic'
     },
+    // Length of a bookable slot in minutes, shared by staff and patient availability
+    slotDuration: {
+      type: Number,
+      default: 30,
+      min: 5,
+      max: 240
+    },
+    // How long a patient-portal checkout hold keeps a slot reserved, in minutes
+    slotHoldMinutes: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 30
+    },
+    // How long a waitlisted patient has to accept a freed slot, in minutes
+    waitlistOfferMinutes: {
+      type: Number,
+      default: 120,
+      min: 5,
+      max: 1440
+    },
+    // When appointment reminders go out, in minutes before the appointment
+    reminderOffsets: {
+      type: [
+        {
+          type: Number,
+          min: 5,
+          max: 10080
+        }
+      ],
+      default: [1440, 120]
+    },
+    // When missed appointments lock patient booking
+    noShowPolicy: {
+      // No-shows within the window that lock booking
+      threshold: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 20
+      },
+      // Only no-shows this many days back count; 0 keeps them forever
+      windowDays: {
+        type: Number,
+        default: 180,
+        min: 0,
+        max: 3650
+      },
+      // Booking unlocks by itself this many days after locking; 0 waits for staff
+      autoUnlockDays: {
+        type: Number,
+        default: 30,
+        min: 0,
+        max: 365
+      }
+    },
+    // Let portal patients book before verifying their email address
+    allowUnverifiedBooking: {
+      type: Boolean,
+      default: false
+    },
+    // Staff roles that must use two-factor authentication to log in
+    twoFactorRequiredRoles: {
+      type: [
+        {
+          type: String,
+          enum: ['admin', 'staff', 'doctor']
+        }
+      ],
+      default: []
+    },
+    // Per-service overrides of DEFAULT_SERVICE_DURATIONS, in minutes
+    serviceDurations: {
+      type: Map,
+      of: {
+        type: Number,
+        min: 5,
+        max: 480
+      },
+      default: {}
+    },
+    // Legacy two-doctor configuration, only used to seed the Doctor roster
     obgyneDoctor: {
       name: {
         type: String,
@@ -82,6 +190,15 @@ settingsSchema.statics.getSettings = async function() {
   return settings;
 };
 
+// Visit length in minutes for every service type, with admin overrides applied
+settingsSchema.statics.getServiceDurations = async function() {
+  const settings = await this.getSettings();
+  return {
+    ...DEFAULT_SERVICE_DURATIONS,
+    ...Object.fromEntries(settings.serviceDurations || [])
+  };
+};
+
 settingsSchema.statics.updateSettings = async function(newSettings) {
   let settings = await this.findOne();
   if (!settings) {
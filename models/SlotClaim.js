@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// One document per reserved unit of a doctor's day. The unique index on
+// (doctor, dateKey, minute) lets MongoDB reject a second booking of the same
+// time atomically, so two parallel requests can never both win a slot.
+// A claim belongs either to an appointment or to a temporary checkout hold.
+const slotClaimSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true
+    },
+    // UTC "YYYY-MM-DD", same key as availability uses
+    dateKey: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    // Minutes after midnight at the start of the claimed unit
+    minute: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1439
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: function () {
+        return !this.holdToken;
+      }
+    },
+    // Temporary hold taken while a patient completes a portal booking
+    holdToken: {
+      type: String
+    },
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    // Holds only; MongoDB's TTL monitor deletes the claim once this passes
+    expiresAt: {
+      type: Date,
+      required: function () {
+        return Boolean(this.holdToken);
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+slotClaimSchema.index({ doctor: 1, dateKey: 1, minute: 1 }, { unique: true });
+slotClaimSchema.index({ appointment: 1 });
+slotClaimSchema.index({ holdToken: 1 }, { sparse: true });
+slotClaimSchema.index({ heldBy: 1 }, { sparse: true });
+slotClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SlotClaim', slotClaimSchema);
@@ -49,8 +49,39 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Failed logins in a row; see services/loginProtection.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  // No login attempts are checked before this time (a delay or a lockout)
+  loginBlockedUntil: Date,
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  // TOTP two-factor authentication; see services/twoFactor.js. No defaults, so
+  // saving a document loaded before enrollment can't switch 2FA back off.
+  twoFactor: {
+    enabled: Boolean,
+    // Encrypted base32 secrets: the active one, and one waiting for its first code
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // sha256 of each unused recovery code
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Last accepted 30-second step, so a code can't be used twice
+    lastUsedStep: Number,
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -85,6 +116,12 @@ userSchema.set('toJSON', {
     delete ret.password;
     delete ret.passwordResetToken;
     delete ret.passwordResetExpires;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
     return ret;
   }
 });
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+// A patient queued for a doctor, service and date range. When a matching slot
+// frees up the first waiting entry gets a time-limited offer backed by a slot hold.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    // Portal patients join themselves; staff can queue any registered patient
+    patientUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientUser'
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: function () {
+        return !this.patientUser;
+      }
+    },
+    patientName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    contactNumber: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    patientType: {
+      type: String,
+      enum: ['self', 'dependent'],
+      default: 'self'
+    },
+    dependentInfo: {
+      name: String,
+      relationship: String,
+      age: Number,
+      dateOfBirth: Date
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true
+    },
+    serviceType: {
+      type: String,
+      required: true
+    },
+    // Inclusive range of acceptable days, stored as UTC midnight
+    dateFrom: {
+      type: Date,
+      required: true
+    },
+    dateTo: {
+      type: Date,
+      required: true
+    },
+    reasonForVisit: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting'
+    },
+    // Current (or last) offer made to this entry
+    offer: {
+      dateKey: String,
+      appointmentTime: String,
+      holdToken: String,
+      offeredAt: Date,
+      expiresAt: Date,
+      sourceAppointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+      }
+    },
+    // Slots this entry turned down, as "YYYY-MM-DD|h:mm AM" keys
+    declinedSlots: [String],
+    bookedAppointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+waitlistEntrySchema.pre('validate', function (next) {
+  if (this.dateFrom && this.dateTo && this.dateTo < this.dateFrom) {
+    this.invalidate('dateTo', 'End of the date range must be on or after the start');
+  }
+  next();
+});
+
+waitlistEntrySchema.index({ doctor: 1, status: 1, dateFrom: 1, dateTo: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ patientUser: 1 });
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,92 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { InvalidTransitionError, transitionErrorBody } from '../services/appointmentStateMachine.js';
+import { AppointmentError } from '../services/appointments.js';
+import { ActionTokenError, useActionToken, verifyActionToken } from '../services/actionTokens.js';
+
+const router = express.Router();
+
+// Public endpoints behind the confirm/cancel links in reminder messages. The
+// signed token is the only credential and works for one appointment only.
+
+const toSummary = (appointment) => ({
+  appointmentId: appointment.appointmentId,
+  patientName: appointment.patientName,
+  doctorName: appointment.doctorName,
+  date: appointment.appointmentDate,
+  time: appointment.appointmentTime,
+  status: appointment.status,
+  attendanceConfirmedAt: appointment.attendanceConfirmedAt
+});
+
+const sendError = (res, error, logMessage, fallbackMessage) => {
+  if (error instanceof ActionTokenError || error instanceof AppointmentError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error instanceof InvalidTransitionError) {
+    return res.status(error.status).json(transitionErrorBody(error));
+  }
+  console.error(logMessage, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Describe what a link will do. Doesn't use the link, so mail scanners that
+// open links can't confirm or cancel anything.
+router.get('/:token', async (req, res) => {
+  try {
+    const { record, appointment } = await verifyActionToken(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        action: record.action,
+        expiresAt: record.expiresAt,
+        appointment: toSummary(appointment)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get appointment action error:', 'Server error checking link');
+  }
+});
+
+// Confirm attendance or request cancellation
+router.post('/:token', [
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, appointment } = await useActionToken(req.params.token, {
+      reason: req.body.reason,
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: action === 'confirm'
+        ? 'Thank you, your attendance is confirmed.'
+        : 'Cancellation request submitted. The clinic will review it shortly.',
+      data: {
+        action,
+        appointment: toSummary(appointment)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Use appointment action error:', 'Server error processing link');
+  }
+});
+
+export default router;
@@ -0,0 +1,341 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import { SERVICE_TYPES } from '../models/Appointment.js';
+import { authenticateToken, requireStaff } from '../middleware/auth.js';
+import { findDoctor } from '../services/availability.js';
+import { SlotConflictError } from '../services/slotReservation.js';
+import {
+  SeriesError,
+  cancelSeries,
+  createSeries,
+  getSeriesAppointments,
+  previewSeries,
+  rescheduleSeries
+} from '../services/appointmentSeries.js';
+
+const router = express.Router();
+
+const TIME_FORMAT = /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i;
+
+const seriesValidation = [
+  body('patientId').notEmpty().withMessage('Patient ID is required'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('serviceType').notEmpty().withMessage('Service type is required'),
+  body('appointmentTime').matches(TIME_FORMAT).withMessage('Valid appointment time is required'),
+  body('rule.type').isIn(['interval', 'prenatal', 'immunization']).withMessage('Rule type must be interval, prenatal or immunization'),
+  body('rule.intervalWeeks')
+    .if(body('rule.type').equals('interval'))
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Interval must be between 1 and 52 weeks'),
+  body('rule.count').optional().isInt({ min: 1, max: 52 }).withMessage('Number of visits must be between 1 and 52'),
+  body('rule.until').optional().isISO8601().withMessage('Valid end date required'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  body('anchorDate').optional().isISO8601().withMessage('Valid EDD or birth date required'),
+  body('shiftConflicts').optional().isBoolean().withMessage('shiftConflicts must be a boolean'),
+  body('reasonForVisit').optional().isLength({ max: 500 }).withMessage('Reason for visit too long')
+];
+
+const handleSeriesError = (res, error, fallbackMessage) => {
+  if (error instanceof SeriesError || error instanceof SlotConflictError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Resolve the patient and doctor of a series request, or send the error response
+const loadSeriesParticipants = async (req, res) => {
+  const { patientId, doctorId, serviceType } = req.body;
+
+  const patient = await Patient.findOne({ patientId, isActive: true });
+  if (!patient) {
+    res.status(404).json({
+      success: false,
+      message: 'Patient not found'
+    });
+    return null;
+  }
+
+  const doctor = await findDoctor({ doctorId });
+  if (!doctor) {
+    res.status(404).json({
+      success: false,
+      message: 'Doctor not found'
+    });
+    return null;
+  }
+
+  if (doctor.specialty !== patient.patientType || !SERVICE_TYPES[doctor.specialty].includes(serviceType)) {
+    res.status(400).json({
+      success: false,
+      message: 'Service type does not match the doctor and patient type'
+    });
+    return null;
+  }
+
+  return { patient, doctor };
+};
+
+const seriesOptions = (req, participants) => ({
+  ...participants,
+  serviceType: req.body.serviceType,
+  appointmentTime: req.body.appointmentTime,
+  rule: {
+    type: req.body.rule.type,
+    intervalWeeks: req.body.rule.intervalWeeks,
+    count: req.body.rule.count,
+    until: req.body.rule.until
+  },
+  startDate: req.body.startDate,
+  anchorDate: req.body.anchorDate,
+  shiftConflicts: req.body.shiftConflicts === true || req.body.shiftConflicts === 'true',
+  reasonForVisit: req.body.reasonForVisit,
+  user: req.user
+});
+
+const loadSeries = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return AppointmentSeries.findById(id);
+};
+
+// List appointment series
+router.get('/', [
+  authenticateToken,
+  requireStaff,
+  query('patientId').optional().notEmpty().withMessage('Valid patient ID required'),
+  query('status').optional().isIn(['active', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.patientId) {
+      const patient = await Patient.findOne({ patientId: req.query.patientId });
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+      filter.patient = patient._id;
+    }
+
+    const series = await AppointmentSeries.find(filter)
+      .populate('patient', 'patientId patientType pediatricRecord.nameOfChildren obGyneRecord.patientName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving appointment series'
+    });
+  }
+});
+
+// Show the occurrences a series would have, with per-visit conflicts, without booking
+router.post('/preview', [authenticateToken, requireStaff, ...seriesValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const participants = await loadSeriesParticipants(req, res);
+    if (!participants) return;
+
+    const { anchorKey, occurrences } = await previewSeries(seriesOptions(req, participants));
+
+    res.json({
+      success: true,
+      data: {
+        anchorDate: anchorKey,
+        occurrences,
+        bookable: occurrences.filter(occurrence => occurrence.available).length
+      }
+    });
+  } catch (error) {
+    console.error('Preview appointment series error:', error);
+    handleSeriesError(res, error, 'Server error previewing appointment series');
+  }
+});
+
+// Create a series and book its occurrences
+router.post('/', [authenticateToken, requireStaff, ...seriesValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const participants = await loadSeriesParticipants(req, res);
+    if (!participants) return;
+
+    const { series, appointments, skipped } = await createSeries(seriesOptions(req, participants));
+
+    res.status(201).json({
+      success: true,
+      message: skipped.length > 0
+        ? `Series created with ${appointments.length} appointments; ${skipped.length} visits could not be booked`
+        : `Series created with ${appointments.length} appointments`,
+      data: { series, appointments, skipped }
+    });
+  } catch (error) {
+    console.error('Create appointment series error:', error);
+    handleSeriesError(res, error, 'Server error creating appointment series');
+  }
+});
+
+// Get a series with its appointments
+router.get('/:id', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const series = await loadSeries(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const appointments = await getSeriesAppointments(series._id);
+
+    res.json({
+      success: true,
+      data: { series, appointments }
+    });
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving appointment series'
+    });
+  }
+});
+
+// Change the time of every upcoming occurrence, or of those from fromDate on.
+// Single occurrences are edited through the regular appointment endpoints.
+router.patch('/:id', [
+  authenticateToken,
+  requireStaff,
+  body('appointmentTime').matches(TIME_FORMAT).withMessage('Valid appointment time is required'),
+  body('fromDate').optional().isISO8601().withMessage('Valid date required'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await loadSeries(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const { appointmentTime, fromDate, reason } = req.body;
+    const { updated, conflicts } = await rescheduleSeries(series, {
+      appointmentTime,
+      fromDate,
+      reason,
+      user: req.user,
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: conflicts.length > 0
+        ? `${updated.length} appointments moved; ${conflicts.length} kept their time because of conflicts`
+        : `${updated.length} appointments moved`,
+      data: { series, updated, conflicts }
+    });
+  } catch (error) {
+    console.error('Update appointment series error:', error);
+    handleSeriesError(res, error, 'Server error updating appointment series');
+  }
+});
+
+// Cancel the whole series, or this and following occurrences with fromDate
+router.post('/:id/cancel', [
+  authenticateToken,
+  requireStaff,
+  body('fromDate').optional().isISO8601().withMessage('Valid date required'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await loadSeries(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const { cancelled } = await cancelSeries(series, {
+      reason: req.body.reason,
+      fromDate: req.body.fromDate,
+      user: req.user,
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: `${cancelled.length} appointments cancelled`,
+      data: { series, cancelled }
+    });
+  } catch (error) {
+    console.error('Cancel appointment series error:', error);
+    handleSeriesError(res, error, 'Server error cancelling appointment series');
+  }
+});
+
+export default router;
@@ -1,10 +1,42 @@
 import express from "express";
 import { body, query, validationResult } from "express-validator";
+import mongoose from "mongoose";
 import Appointment from "../models/Appointment.js";
 import Patient from "../models/Patient.js";
 import PatientUser from "../models/PatientUser.js";
 import Settings from "../models/Settings.js";
 import { authenticateToken, requireStaff } from "../middleware/auth.js";
+import {
+  checkSlot,
+  findDoctor,
+  findOverlappingAppointments,
+  getAppointmentRange,
+  getDayAvailability,
+  getDayBounds,
+  getServiceDuration,
+  parseAppointmentTime,
+  toDateKey,
+} from "../services/availability.js";
+import {
+  applyStaffCancellation,
+  applyStaffReschedule,
+  emitCancelled,
+  emitRescheduled,
+} from "../services/appointments.js";
+import { getAppointmentHistory, setHistoryContext } from "../services/appointmentHistory.js";
+import {
+  InvalidTransitionError,
+  assertNotFinal,
+  assertTransition,
+  requireStatus,
+  transitionErrorBody,
+  transitionTo,
+} from "../services/appointmentStateMachine.js";
+import { recordAudit } from "../services/auditLog.js";
+import { refreshNoShowStatus } from "../services/noShowPolicy.js";
+import { SlotConflictError } from "../services/slotReservation.js";
+import { offerFreedSlot } from "../services/waitlist.js";
+import { notifyPatient } from "../services/notifications.js";
 
 const router = express.Router();
 
@@ -34,8 +66,8 @@ router.get("/", [authenticateToken, requireStaff], async (req, res) => {
       filter.doctorType = req.query.doctorType;
     }
 
-    if (req.query.doctorName) {
-      filter.doctorName = req.query.doctorName;
+    if (req.query.doctorId) {
+      filter.doctor = req.query.doctorId;
     }
 
     // Add this block to filter by patientId
@@ -124,6 +156,11 @@ router.get("/:id", [authenticateToken, requireStaff], async (req, res) => {
       });
     }
 
+    // The full patient record is included, so this counts as viewing it
+    if (appointment.patient) {
+      await recordAudit(req, { action: "view", resource: "patient", patient: appointment.patient });
+    }
+
     res.json({
       success: true,
       data: { appointment },
@@ -137,6 +174,35 @@ router.get("/:id", [authenticateToken, requireStaff], async (req, res) => {
   }
 });
 
+// Get the status history of an appointment, oldest first
+router.get("/:id/history", [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const appointment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Appointment.findById(req.params.id).select("appointmentId status")
+      : null;
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      });
+    }
+
+    const history = await getAppointmentHistory(appointment._id);
+
+    res.json({
+      success: true,
+      data: { appointment, history },
+    });
+  } catch (error) {
+    console.error("Get appointment history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving appointment history",
+    });
+  }
+});
+
 // Create new appointment
 router.post(
   "/",
@@ -144,8 +210,7 @@ router.post(
     authenticateToken,
     requireStaff,
     body("patientId").notEmpty().withMessage("Patient ID is required"),
-    body("doctorType").notEmpty().withMessage("Doctor type is required"),
-    body("doctorName").notEmpty().withMessage("Doctor name is required"),
+    body("doctorId").isMongoId().withMessage("Valid doctor ID is required"),
     body("appointmentDate")
       .isISO8601()
       .withMessage("Valid appointment date is required"),
@@ -181,8 +246,7 @@ router.post(
 
       const {
         patientId,
-        doctorType,
-        doctorName,
+        doctorId,
         appointmentDate,
         appointmentTime,
         endTime,
@@ -206,11 +270,17 @@ router.post(
         });
       }
 
+      const doctor = await findDoctor({ doctorId });
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: "Doctor not found",
+        });
+      }
+
       // Validate doctor type matches patient type
-      if (
-        (doctorType === "pediatric" && patient.patientType !== "pediatric") ||
-        (doctorType === "ob-gyne" && patient.patientType !== "ob-gyne")
-      ) {
+      const doctorType = doctor.specialty;
+      if (doctorType !== patient.patientType) {
         return res.status(400).json({
           success: false,
           message: "Doctor type does not match patient type",
@@ -249,18 +319,40 @@ router.post(
         return safeServiceType;
       })();
 
-      // Check for existing appointment at the same time
-      const existingAppointment = await Appointment.findOne({
-        doctorName,
-        appointmentDate: new Date(appointmentDate),
-        appointmentTime,
-        status: { $in: ["scheduled", "confirmed"] },
+      // Same checks as portal bookings: working hours, closures, leave, blocks and holds
+      const slotCheck = await checkSlot(doctor, appointmentDate, appointmentTime, {
+        serviceType: normalizedServiceType,
       });
+      if (!slotCheck.available) {
+        return res.status(slotCheck.conflict ? 409 : 400).json({
+          success: false,
+          message: slotCheck.reason,
+        });
+      }
+
+      // A custom end time can run past the service duration, so check the whole visit
+      const startMinutes = parseAppointmentTime(appointmentTime);
+      const endMinutes = endTime
+        ? parseAppointmentTime(endTime)
+        : startMinutes + (await getServiceDuration(normalizedServiceType));
 
-      if (existingAppointment) {
+      if (endMinutes <= startMinutes) {
         return res.status(400).json({
           success: false,
-          message: "Time slot already booked",
+          message: "End time must be after the appointment time",
+        });
+      }
+
+      const overlapping = await findOverlappingAppointments(
+        doctor,
+        appointmentDate,
+        { start: startMinutes, end: endMinutes }
+      );
+
+      if (overlapping.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Time slot overlaps an existing appointment at ${overlapping[0].appointmentTime}`,
         });
       }
 
@@ -280,8 +372,9 @@ router.post(
         patient: patient._id,
         patientUserId: patientUserId, // Link to patient user for notifications
         doctorType,
-        doctorName,
-        appointmentDate: new Date(appointmentDate),
+        doctor: doctor._id,
+        doctorName: doctor.name,
+        appointmentDate: getDayBounds(toDateKey(appointmentDate)).start,
         appointmentTime,
         endTime: endTime || undefined,
         estimatedWaitTime: estimatedWaitTime ? parseInt(estimatedWaitTime) : undefined,
@@ -302,6 +395,7 @@ router.post(
         contactNumber: derivedContactNumber || contactInfo?.primaryPhone || "",
         bookingSource: "staff",
       });
+      setHistoryContext(appointment, { actor: { user: req.user } });
 
       await appointment.save();
 
@@ -319,6 +413,12 @@ router.post(
       });
     } catch (error) {
       console.error("Create appointment error:", error);
+      if (error instanceof SlotConflictError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
       res.status(500).json({
         success: false,
         message: "Server error creating appointment",
@@ -365,10 +465,17 @@ router.patch(
         });
       }
 
+      // Refuse invalid moves before notifying anyone or touching other appointments
+      assertTransition(appointment, status);
+
       const previousStatus = appointment.status;
+      setHistoryContext(appointment, {
+        actor: { user: req.user },
+        reason: cancellationReason || reason,
+      });
 
       if (status === "confirmed") {
-        appointment.status = status;
+        transitionTo(appointment, status);
         appointment.confirmedBy = req.user._id;
 
         // Update patient status to 'Active' when appointment is confirmed
@@ -387,27 +494,38 @@ router.patch(
           appointment.rescheduleRequest.reviewedBy = req.user._id;
         }
 
-        // Cancel other scheduled appointments for the same time slot
+        // Cancel other scheduled appointments overlapping this time range
         // These are competing appointments that weren't confirmed
-        const conflictingAppointments = await Appointment.find({
-          _id: { $ne: appointment._id }, // Exclude the one being confirmed
-          appointmentDate: appointment.appointmentDate,
-          appointmentTime: appointment.appointmentTime,
-          doctorName: appointment.doctorName,
-          status: 'scheduled' // Only cancel scheduled (pending) appointments
-        });
+        const conflictingAppointments = appointment.doctor
+          ? await findOverlappingAppointments(
+              appointment.doctor,
+              appointment.appointmentDate,
+              getAppointmentRange(appointment, await Settings.getServiceDurations()),
+              {
+                statuses: ['scheduled'], // Only cancel scheduled (pending) appointments
+                excludeId: appointment._id, // Exclude the one being confirmed
+              }
+            )
+          : [];
 
         // Cancel and notify each conflicting appointment
         for (const conflictingAppt of conflictingAppointments) {
           conflictingAppt.status = 'cancelled';
           conflictingAppt.cancellationReason = `This time slot was confirmed for another patient. Please book a different time.`;
+          setHistoryContext(conflictingAppt, {
+            actor: { user: req.user },
+            action: "slot_conflict_cancelled",
+            reason: `Time slot confirmed for appointment ${appointment.appointmentId}`,
+          });
           await conflictingAppt.save();
 
+          // Any part of its time not covered by the confirmed visit goes to the waitlist
+          await offerFreedSlot(conflictingAppt, req.io);
+
           // Notify the patient whose appointment was canceled
-          if (req.io && conflictingAppt.patientUserId) {
-            req.io.emit('appointment:cancelled', {
+          if (conflictingAppt.patientUserId) {
+            await notifyPatient(req.io, conflictingAppt.patientUserId, 'appointment:cancelled', {
               type: 'appointment_slot_conflicted',
-              message: `Your appointment with ${conflictingAppt.doctorName} on ${new Date(conflictingAppt.appointmentDate).toLocaleDateString()} at ${conflictingAppt.appointmentTime} was canceled because the time slot was confirmed for another patient. Please book a different appointment.`,
               data: {
                 id: conflictingAppt._id,
                 patientName: conflictingAppt.patientName,
@@ -421,10 +539,9 @@ router.patch(
         }
 
         // Emit socket event for confirmation
-        if (req.io && appointment.patientUserId) {
-          req.io.emit('appointment:confirmed', {
+        if (appointment.patientUserId) {
+          await notifyPatient(req.io, appointment.patientUserId, 'appointment:confirmed', {
             type: 'appointment_confirmed',
-            message: `Your appointment with ${appointment.doctorName} has been confirmed.`,
             data: {
               id: appointment._id,
               patientName: appointment.patientName,
@@ -436,47 +553,21 @@ router.patch(
         }
       } else if (status === "cancelled") {
         // Admin cancellation: Cancel immediately for all appointments (no patient approval needed)
-        // The patient will be notified but doesn't need to confirm
-        appointment.status = "cancelled";
-        if (cancellationReason || reason) {
-          appointment.cancellationReason = cancellationReason || reason;
-        }
-        // Record that this was cancelled by admin/staff
-        if (appointment.bookingSource === "patient_portal" && appointment.patientUserId) {
-          appointment.cancellationRequest = {
-            status: "approved", // Already approved by admin
-            reason: cancellationReason || reason || "Cancelled by staff",
-            requestedAt: new Date(),
-            reviewedAt: new Date(),
-            reviewedBy: req.user._id,
-            adminNotes: "Cancelled by clinic staff"
-          };
-        }
+        applyStaffCancellation(appointment, {
+          reason: cancellationReason || reason,
+          user: req.user,
+        });
         
         // Emit socket event for cancellation
-        if (req.io && appointment.patientUserId) {
-          req.io.emit('appointment:cancelled', {
-            type: 'appointment_cancelled',
-            message: `Your appointment with ${appointment.doctorName} has been cancelled.`,
-            data: {
-              id: appointment._id,
-              patientName: appointment.patientName,
-              doctorName: appointment.doctorName,
-              date: appointment.appointmentDate,
-              time: appointment.appointmentTime,
-              reason: cancellationReason || reason
-            }
-          });
-        }
+        await emitCancelled(req.io, appointment, { reason: cancellationReason || reason });
       } else {
-        appointment.status = status;
+        transitionTo(appointment, status);
         
         // Emit socket events for other statuses
-        if (req.io && appointment.patientUserId) {
+        if (appointment.patientUserId) {
           if (status === 'rescheduled') {
-            req.io.emit('appointment:rescheduled', {
+            await notifyPatient(req.io, appointment.patientUserId, 'appointment:rescheduled', {
               type: 'appointment_rescheduled',
-              message: `Your appointment with ${appointment.doctorName} has been rescheduled.`,
               data: {
                 id: appointment._id,
                 patientName: appointment.patientName,
@@ -486,9 +577,8 @@ router.patch(
               }
             });
           } else if (status === 'completed') {
-            req.io.emit('appointment:completed', {
+            await notifyPatient(req.io, appointment.patientUserId, 'appointment:completed', {
               type: 'appointment_completed',
-              message: `Your appointment with ${appointment.doctorName} has been marked as completed.`,
               data: {
                 id: appointment._id,
                 patientName: appointment.patientName,
@@ -505,35 +595,37 @@ router.patch(
         appointment.staffNotes = staffNotes;
       }
 
-      // Track no-show counts and lock booking after 3 strikes
-      if (status === 'no-show' && previousStatus !== 'no-show' && appointment.patient) {
+      await appointment.save();
+
+      // Recount the patient's no-shows under the clinic's policy; this locks
+      // booking, or unlocks it when a no-show is corrected to completed
+      if (appointment.patient && (status === "no-show" || previousStatus === "no-show")) {
         const patient = await Patient.findById(appointment.patient);
         if (patient) {
-          patient.noShowCount = (patient.noShowCount || 0) + 1;
-          patient.lastNoShowAt = new Date();
-          if (patient.noShowCount >= 3) {
-            patient.appointmentLocked = true;
-          }
-          await patient.save();
-          
-          // Emit socket event for no-show
-          if (req.io && appointment.patientUserId) {
-            req.io.emit('appointment:no_show', {
-              type: 'appointment_no_show',
-              message: `You have been marked as a no-show for your appointment with ${appointment.doctorName}.`,
-              data: {
-                id: appointment._id,
-                patientName: appointment.patientName,
-                doctorName: appointment.doctorName,
-                date: appointment.appointmentDate,
-                time: appointment.appointmentTime
-              }
-            });
+          if (status === "no-show") {
+            patient.lastNoShowAt = new Date();
           }
+          await refreshNoShowStatus(patient, { io: req.io });
         }
       }
 
-      await appointment.save();
+      if (status === "no-show" && appointment.patientUserId) {
+        await notifyPatient(req.io, appointment.patientUserId, 'appointment:no_show', {
+          type: 'appointment_no_show',
+          data: {
+            id: appointment._id,
+            patientName: appointment.patientName,
+            doctorName: appointment.doctorName,
+            date: appointment.appointmentDate,
+            time: appointment.appointmentTime
+          }
+        });
+      }
+
+      // Offer the freed time to the next waitlisted patient
+      if (status === "cancelled" && previousStatus !== "cancelled") {
+        await offerFreedSlot(appointment, req.io);
+      }
 
       const updatedAppointment = await Appointment.findById(appointment._id)
         .populate(
@@ -550,6 +642,15 @@ router.patch(
       });
     } catch (error) {
       console.error("Update appointment status error:", error);
+      if (error instanceof InvalidTransitionError) {
+        return res.status(error.status).json(transitionErrorBody(error));
+      }
+      if (error instanceof SlotConflictError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
       res.status(500).json({
         success: false,
         message: "Server error updating appointment",
@@ -572,23 +673,25 @@ router.patch(
         });
       }
 
-      if (appointment.status !== "cancellation_pending") {
-        return res.status(400).json({
-          success: false,
-          message: "Appointment is not pending cancellation approval",
-        });
-      }
+      requireStatus(appointment, ["cancellation_pending"], {
+        action: "approve a cancellation request for",
+      });
 
-      // Check if this is a patient-initiated cancellation request
-      if (!appointment.cancellationRequest || !appointment.cancellationRequest.requestedBy) {
+      // Requests from reminder links have no requestedBy, so check the request itself
+      if (appointment.cancellationRequest?.status !== "pending") {
         return res.status(400).json({
           success: false,
-          message: "This is not a patient-initiated cancellation request",
+          message: "There is no pending cancellation request for this appointment",
         });
       }
 
       // Approve the cancellation
-      appointment.status = "cancelled";
+      setHistoryContext(appointment, {
+        actor: { user: req.user },
+        action: "cancellation_approved",
+        reason: req.body.adminNotes || appointment.cancellationRequest.reason,
+      });
+      transitionTo(appointment, "cancelled");
       appointment.cancellationRequest.status = "approved";
       appointment.cancellationRequest.reviewedAt = new Date();
       appointment.cancellationRequest.reviewedBy = req.user._id;
@@ -598,11 +701,14 @@ router.patch(
 
       await appointment.save();
 
+      // Offer the freed time to the next waitlisted patient
+      await offerFreedSlot(appointment, req.io);
+
       // Emit socket event for cancellation approval
-      if (req.io && appointment.patientUserId) {
-        req.io.emit('appointment:cancelled', {
+      if (appointment.patientUserId) {
+        await notifyPatient(req.io, appointment.patientUserId, 'appointment:cancelled', {
           type: 'appointment_cancelled',
-          message: `Your cancellation request for appointment with ${appointment.doctorName} has been approved.`,
+          template: 'appointment_cancellation_approved',
           data: {
             id: appointment._id,
             patientName: appointment.patientName,
@@ -629,6 +735,9 @@ router.patch(
       });
     } catch (error) {
       console.error("Approve cancellation error:", error);
+      if (error instanceof InvalidTransitionError) {
+        return res.status(error.status).json(transitionErrorBody(error));
+      }
       res.status(500).json({
         success: false,
         message: "Server error approving cancellation",
@@ -651,24 +760,26 @@ router.patch(
         });
       }
 
-      if (appointment.status !== "cancellation_pending") {
-        return res.status(400).json({
-          success: false,
-          message: "Appointment is not pending cancellation approval",
-        });
-      }
+      requireStatus(appointment, ["cancellation_pending"], {
+        action: "reject a cancellation request for",
+      });
 
-      // Check if this is a patient-initiated cancellation request
-      if (!appointment.cancellationRequest || !appointment.cancellationRequest.requestedBy) {
+      // Requests from reminder links have no requestedBy, so check the request itself
+      if (appointment.cancellationRequest?.status !== "pending") {
         return res.status(400).json({
           success: false,
-          message: "This is not a patient-initiated cancellation request",
+          message: "There is no pending cancellation request for this appointment",
         });
       }
 
       // Reject the cancellation - restore to previous status (usually confirmed or scheduled)
       const previousStatus = appointment.cancellationRequest.previousStatus || "confirmed";
-      appointment.status = previousStatus;
+      setHistoryContext(appointment, {
+        actor: { user: req.user },
+        action: "cancellation_rejected",
+        reason: req.body.adminNotes,
+      });
+      transitionTo(appointment, previousStatus);
       appointment.cancellationRequest.status = "rejected";
       appointment.cancellationRequest.reviewedAt = new Date();
       appointment.cancellationRequest.reviewedBy = req.user._id;
@@ -693,6 +804,15 @@ router.patch(
       });
     } catch (error) {
       console.error("Reject cancellation error:", error);
+      if (error instanceof InvalidTransitionError) {
+        return res.status(error.status).json(transitionErrorBody(error));
+      }
+      if (error instanceof SlotConflictError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
       res.status(500).json({
         success: false,
         message: "Server error rejecting cancellation",
@@ -737,129 +857,58 @@ router.patch(
         });
       }
 
-      // Parse the date string properly to avoid timezone issues
-      // newDate is in format "YYYY-MM-DD", create date at UTC noon to avoid timezone shifts
-      // Using noon (12:00) ensures the date won't shift to previous day regardless of timezone
-      const [year, month, day] = newDate.split('-');
-      const parsedDate = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), 12, 0, 0));
-
-      // Validate doctor availability for the new date using Settings
-      const dayOfWeek = parsedDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
-      const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-      const dayName = dayNames[dayOfWeek];
+      assertNotFinal(appointment, { action: "reschedule" });
 
-      const settings = await Settings.getSettings();
-      let doctorSchedule = null;
+      // Appointment dates are stored at UTC midnight of the day
+      const parsedDate = getDayBounds(toDateKey(newDate)).start;
 
-      // Check if doctor matches OB-GYNE or Pediatrician in settings
-      if (settings.obgyneDoctor.name === appointment.doctorName) {
-        doctorSchedule = settings.obgyneDoctor.hours[dayName];
-      } else if (settings.pediatrician.name === appointment.doctorName) {
-        doctorSchedule = settings.pediatrician.hours[dayName];
-      }
+      // Validate doctor availability for the new date using the shared availability engine
+      // (weekly hours, clinic closures, holidays and doctor leave)
+      const doctor = await findDoctor({ doctorId: appointment.doctor, includeInactive: true });
 
-      // If we found a schedule and the day is not enabled
-      if (doctorSchedule && !doctorSchedule.enabled) {
-        return res.status(400).json({
-          success: false,
-          message: `${appointment.doctorName} is not available on ${parsedDate.toLocaleDateString('en-US', { weekday: 'long' })}. Please select a different date.`,
-        });
+      if (doctor) {
+        const availability = await getDayAvailability(doctor, parsedDate);
+        if (!availability.workingDay) {
+          return res.status(400).json({
+            success: false,
+            message: `${availability.reason}. Please select a different date.`,
+          });
+        }
       }
       
-      // If we didn't find a schedule (doctor name mismatch), we allow it (fallback behavior)
-      // or we could block it, but allowing it is safer for legacy data
-
-      // Check for conflicts
-      const existingAppointment = await Appointment.findOne({
-        _id: { $ne: appointment._id },
-        doctorName: appointment.doctorName,
-        appointmentDate: parsedDate,
-        appointmentTime: newTime,
-        status: { $in: ["scheduled", "confirmed", "reschedule_pending"] },
-      });
-
-      if (existingAppointment) {
-        return res.status(400).json({
+      // If we didn't find the doctor (legacy appointment without a doctor reference), we allow it
+      // (fallback behavior) or we could block it, but allowing it is safer for legacy data
+
+      // Check for conflicts with other visits overlapping the new time range
+      const newStart = parseAppointmentTime(newTime);
+      const overlapping = appointment.doctor
+        ? await findOverlappingAppointments(
+            appointment.doctor,
+            parsedDate,
+            { start: newStart, end: newStart + (await getServiceDuration(appointment.serviceType)) },
+            { excludeId: appointment._id }
+          )
+        : [];
+
+      if (overlapping.length > 0) {
+        return res.status(409).json({
           success: false,
           message: "New time slot already booked",
         });
       }
 
-      // Store original appointment details
-      appointment.rescheduledFrom = {
-        originalDate: appointment.appointmentDate,
-        originalTime: appointment.appointmentTime,
-        reason: reason || "Rescheduled by staff",
-      };
-
-      // If this is a patient portal booking
-      if (appointment.bookingSource === "patient_portal" && appointment.patientUserId) {
-        // If it's already pending reschedule (patient requested it), this is an admin approval
-        if (appointment.status === "reschedule_pending") {
-           appointment.appointmentDate = parsedDate;
-           appointment.appointmentTime = newTime;
-           appointment.status = "confirmed";
-           if (appointment.rescheduleRequest) {
-             appointment.rescheduleRequest.status = "approved";
-             appointment.rescheduleRequest.reviewedAt = new Date();
-             appointment.rescheduleRequest.reviewedBy = req.user._id;
-           }
-        } else {
-          // Otherwise, it's a staff-initiated reschedule requiring patient approval
-          appointment.rescheduleRequest = {
-            status: "pending",
-            reason: reason || "Rescheduled by staff",
-            requestedAt: new Date(),
-            preferredDate: parsedDate,
-            preferredTime: newTime,
-          };
-          appointment.appointmentDate = parsedDate;
-          appointment.appointmentTime = newTime;
-          appointment.status = "reschedule_pending";
-        }
-      } else {
-        // For staff bookings, reschedule directly
-        appointment.appointmentDate = parsedDate;
-        appointment.appointmentTime = newTime;
-        appointment.status = "confirmed";
-      }
+      applyStaffReschedule(appointment, {
+        date: parsedDate,
+        time: newTime,
+        reason,
+        user: req.user,
+      });
+      setHistoryContext(appointment, { actor: { user: req.user }, reason });
 
       await appointment.save();
 
       // Emit socket event for reschedule
-      if (req.io && appointment.patientUserId) {
-        // If it's a request (pending), notify about the request
-        if (appointment.status === 'reschedule_pending') {
-          req.io.emit('appointment:reschedule_pending', {
-            type: 'appointment_reschedule_pending',
-            message: `Your reschedule request for appointment with ${appointment.doctorName} is pending approval.`,
-            data: {
-              id: appointment._id,
-              patientName: appointment.patientName,
-              doctorName: appointment.doctorName,
-              date: appointment.appointmentDate,
-              time: appointment.appointmentTime,
-              preferredDate: appointment.rescheduleRequest?.preferredDate,
-              preferredTime: appointment.rescheduleRequest?.preferredTime
-            }
-          });
-        } else {
-          // Direct reschedule
-          req.io.emit('appointment:rescheduled', {
-            type: 'appointment_rescheduled',
-            message: `Your appointment with ${appointment.doctorName} has been rescheduled.`,
-            data: {
-              id: appointment._id,
-              patientName: appointment.patientName,
-              doctorName: appointment.doctorName,
-              date: appointment.appointmentDate,
-              time: appointment.appointmentTime,
-              originalDate: appointment.rescheduledFrom?.originalDate,
-              originalTime: appointment.rescheduledFrom?.originalTime
-            }
-          });
-        }
-      }
+      await emitRescheduled(req.io, appointment);
 
       const updatedAppointment = await Appointment.findById(appointment._id)
         .populate(
@@ -875,6 +924,15 @@ router.patch(
       });
     } catch (error) {
       console.error("Reschedule appointment error:", error);
+      if (error instanceof InvalidTransitionError) {
+        return res.status(error.status).json(transitionErrorBody(error));
+      }
+      if (error instanceof SlotConflictError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
       res.status(500).json({
         success: false,
         message: "Server error rescheduling appointment",
@@ -886,18 +944,19 @@ router.patch(
 // Get daily appointments for a specific doctor
 router.get("/daily", [authenticateToken, requireStaff], async (req, res) => {
   try {
-    const { doctorName } = req.query;
+    const { doctorId } = req.query;
     const date = req.query.date ? new Date(req.query.date) : new Date();
 
-    if (!doctorName) {
+    const doctor = await findDoctor({ doctorId, includeInactive: true });
+    if (!doctor) {
       return res.status(400).json({
         success: false,
-        message: "Doctor name is required",
+        message: "Valid doctor ID is required",
       });
     }
 
     const appointments = await Appointment.find({
-      doctorName,
+      doctor: doctor._id,
       appointmentDate: {
         $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
         $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1),
@@ -914,7 +973,7 @@ router.get("/daily", [authenticateToken, requireStaff], async (req, res) => {
     res.json({
       success: true,
       data: {
-        doctor: doctorName,
+        doctor: { id: doctor.id, name: doctor.name },
         date: date.toISOString().split("T")[0],
         appointments,
         count: appointments.length,
@@ -938,11 +997,7 @@ router.patch(
       const { id } = req.params;
       const { diagnosis } = req.body;
 
-      const appointment = await Appointment.findByIdAndUpdate(
-        id,
-        { diagnosis },
-        { new: true }
-      );
+      const appointment = await Appointment.findById(id);
 
       if (!appointment) {
         return res.status(404).json({
@@ -951,6 +1006,10 @@ router.patch(
         });
       }
 
+      appointment.diagnosis = diagnosis;
+      setHistoryContext(appointment, { actor: { user: req.user } });
+      await appointment.save();
+
       res.json({
         success: true,
         data: appointment,
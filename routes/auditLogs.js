@@ -0,0 +1,96 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import AuditLog from '../models/AuditLog.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { verifyAuditChain } from '../services/auditLog.js';
+import { getDayBounds } from '../services/availability.js';
+import { toDateKey } from '../services/time.js';
+
+const router = express.Router();
+
+// Query the medical record audit log (admin only)
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('userId').optional().isMongoId().withMessage('Valid user ID required'),
+  query('patientId').optional().isMongoId().withMessage('Valid patient ID required'),
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  query('action').optional().isIn(['view', 'create', 'update', 'delete']).withMessage('Invalid action'),
+  query('resource').optional().isIn(['patient', 'consultation', 'immunization']).withMessage('Invalid resource')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const filter = {};
+    if (req.query.userId) filter.user = req.query.userId;
+    if (req.query.patientId) filter.patient = req.query.patientId;
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.resource) filter.resource = req.query.resource;
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) filter.createdAt.$gte = getDayBounds(toDateKey(req.query.startDate)).start;
+      if (req.query.endDate) filter.createdAt.$lt = getDayBounds(toDateKey(req.query.endDate)).end;
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate('patient', 'patientId patientType')
+      .sort({ seq: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving audit log'
+    });
+  }
+});
+
+// Check the hash chain for edited or removed entries (admin only)
+router.get('/verify', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.checked} entries checked)`
+        : `Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying audit log'
+    });
+  }
+});
+
+export default router;
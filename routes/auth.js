@@ -3,16 +3,113 @@ import { body, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import {
-  generateToken,
-  generateRefreshToken,
-  verifyRefreshToken,
-  authenticateToken,
-  requireAdmin
-} from '../middleware/auth.js';
+  SessionError,
+  findOwnSession,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  startSession
+} from '../services/sessions.js';
+import { PasswordResetError, requestPasswordReset, resetPassword } from '../services/passwordReset.js';
+import {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} from '../services/loginProtection.js';
+import {
+  TwoFactorError,
+  beginEnrollment,
+  clearTwoFactor,
+  confirmEnrollment,
+  createLoginChallenge,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  isTwoFactorRequired,
+  regenerateRecoveryCodes,
+  verifyLoginChallenge,
+  verifySecondFactor
+} from '../services/twoFactor.js';
 
 const router = express.Router();
 
+// Errors from the login steps and 2FA endpoints
+const handleLoginError = (res, error, fallbackMessage) => {
+  if (error instanceof LoginBlockedError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      data: { blockedUntil: error.blockedUntil }
+    });
+  }
+  if (error instanceof TwoFactorError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Last step of every login: record it, start a session for this device and send the tokens
+async function completeLogin(req, res, user, { identifier, extra = {} }) {
+  await recordLoginSuccess('user', user, { identifier, req });
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session for this device
+  const { token, refreshToken } = await startSession('user', user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        role: user.role,
+        specialty: user.specialty,
+        lastLogin: user.lastLogin
+      },
+      token,
+      refreshToken,
+      ...extra
+    }
+  });
+}
+
+// 2FA setup is open to a logged-in user, or mid-login to one whose role requires it
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+  try {
+    req.user = await verifyLoginChallenge(req.body.challengeToken, 'enroll');
+    req.enrollingAtLogin = true;
+    next();
+  } catch (error) {
+    if (!(error instanceof TwoFactorError)) {
+      console.error('Two-factor enrollment auth error:', error);
+    }
+    handleLoginError(res, error, 'Server error during two-factor setup');
+  }
+};
+
 // Login endpoint
 router.post('/login', [
   body('username').trim().notEmpty().withMessage('Username is required'),
@@ -42,6 +139,7 @@ router.post('/login', [
         ]
       });
       console.log('Users found (including inactive):', allUsers.length);
+      await recordLoginAttempt('user', { account: null, identifier: username, success: false, reason: 'unknown_account', req });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -57,6 +155,9 @@ router.post('/login', [
       passwordHash: user.password.substring(0, 20) + '...'
     });
 
+    // Refuse while delayed or locked after failed attempts
+    await assertLoginAllowed('user', user, { identifier: username, req });
+
     // Check password - try both methods
     let isValidPassword = await user.comparePassword(password);
 
@@ -67,89 +168,331 @@ router.post('/login', [
 
     if (!isValidPassword) {
       console.log('❌ Login failed: Invalid password for user:', user.username);
+      await recordLoginFailure('user', user, { identifier: username, req, io: req.io });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Accounts with 2FA, or whose role requires it, continue with a second step
+    if (user.twoFactor?.enabled) {
+      console.log('🔐 Password accepted, waiting for two-factor code:', user.username);
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user, 'login')
+        }
+      });
+    }
+    if (await isTwoFactorRequired(user)) {
+      console.log('🔐 Password accepted, two-factor setup required:', user.username);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication is required for your role. Set it up to finish logging in.',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: createLoginChallenge(user, 'enroll')
+        }
+      });
+    }
+
     console.log('✅ Login successful for:', user.username);
+    await completeLogin(req, res, user, { identifier: username });
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+  } catch (error) {
+    if (!(error instanceof LoginBlockedError)) {
+      console.error('Login error:', error);
+    }
+    handleLoginError(res, error, 'Server error during login');
+  }
+});
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+// Second login step: a code from the authenticator app, or a recovery code
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Login challenge is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Enter a code or a recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await verifyLoginChallenge(req.body.challengeToken, 'login');
+    await assertLoginAllowed('user', user, { identifier: user.username, req });
+
+    let result;
+    try {
+      result = await verifySecondFactor(user, { code: req.body.code, recoveryCode: req.body.recoveryCode });
+    } catch (error) {
+      // Wrong codes count towards the lockout like wrong passwords
+      if (error instanceof TwoFactorError && error.status === 401) {
+        await recordLoginFailure('user', user, {
+          identifier: user.username,
+          req,
+          io: req.io,
+          reason: 'invalid_two_factor_code'
+        });
+      }
+      throw error;
+    }
+
+    await completeLogin(req, res, user, {
+      identifier: user.username,
+      extra: { recoveryCodesLeft: result.recoveryCodesLeft }
+    });
+  } catch (error) {
+    if (!(error instanceof LoginBlockedError || error instanceof TwoFactorError)) {
+      console.error('Two-factor login error:', error);
+    }
+    handleLoginError(res, error, 'Server error during login');
+  }
+});
+
+// Refresh token endpoint; the refresh token is single-use and replaced on every call
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const { token, refreshToken: newRefreshToken } = await refreshSession('user', refreshToken, req, { io: req.io });
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          role: user.role,
-          specialty: user.specialty,
-          lastLogin: user.lastLogin
-        },
         token,
-        refreshToken
+        refreshToken: newRefreshToken
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error refreshing token'
     });
   }
 });
 
-// Refresh token endpoint
-router.post('/refresh', async (req, res) => {
+// Two-factor status of the current user
+router.get('/2fa', authenticateToken, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const status = await getTwoFactorStatus(req.user);
 
-    if (!refreshToken) {
-      return res.status(401).json({
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving two-factor status'
+    });
+  }
+});
+
+// Start 2FA setup: returns the secret and an otpauth:// URI for the authenticator app
+router.post('/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Add the account to your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    if (!(error instanceof TwoFactorError)) {
+      console.error('Two-factor setup error:', error);
+    }
+    handleLoginError(res, error, 'Server error during two-factor setup');
+  }
+});
+
+// Finish 2FA setup with a first code. Returns the recovery codes, shown only
+// this once; during a login it also finishes logging in.
+router.post('/2fa/enable', authenticateEnrollment, [
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Refresh token required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
-    const user = await User.findById(decoded.id).select('-password');
+    const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
+    if (req.enrollingAtLogin) {
+      return completeLogin(req, res, req.user, {
+        identifier: req.user.username,
+        extra: { recoveryCodes }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (!(error instanceof TwoFactorError)) {
+      console.error('Two-factor enable error:', error);
+    }
+    handleLoginError(res, error, 'Server error enabling two-factor authentication');
+  }
+});
+
+// Turn 2FA off; needs the password and a current code, and isn't allowed when the role requires 2FA
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const newToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    await disableTwoFactor(req.user, { password: req.body.password, code: req.body.code });
 
     res.json({
       success: true,
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken
-      }
+      message: 'Two-factor authentication disabled'
     });
+  } catch (error) {
+    if (!(error instanceof TwoFactorError)) {
+      console.error('Two-factor disable error:', error);
+    }
+    handleLoginError(res, error, 'Server error disabling two-factor authentication');
+  }
+});
 
+// Replace all recovery codes; needs a current code
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
   } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(401).json({
+    if (!(error instanceof TwoFactorError)) {
+      console.error('Recovery codes error:', error);
+    }
+    handleLoginError(res, error, 'Server error generating recovery codes');
+  }
+});
+
+// Forgot password: emails a reset link; the response is the same whether or not the email is registered
+router.post('/forgot-password', [
+  body('email').trim().isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await requestPasswordReset('user', req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If that email belongs to an account, a reset link has been sent'
+    });
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// Reset password with the token from a reset link; logs out every device
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await resetPassword('user', req.body.token, req.body.newPassword, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid refresh token'
+      message: 'Server error resetting password'
     });
   }
 });
@@ -200,9 +543,10 @@ router.put('/change-password', [
       });
     }
 
-    // Update password
+    // Update password and log out the other devices
     user.password = newPassword;
     await user.save();
+    await revokeAllSessions('user', user._id, 'password_changed', { exceptSessionId: req.sessionId, io: req.io });
 
     res.json({
       success: true,
@@ -315,11 +659,142 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Logout (optional - mainly for token blacklisting if implemented)
+// Deactivate a user (Admin only); their sessions end straight away
+router.patch('/users/:id/deactivate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.isActive = false;
+    await user.save();
+    const sessionsEnded = await revokeAllSessions('user', user._id, 'account_deactivated', { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: { userId: user._id, sessionsEnded }
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating user'
+    });
+  }
+});
+
+// Reactivate a user (Admin only); they log in again as usual
+router.patch('/users/:id/activate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User activated',
+      data: { userId: user._id }
+    });
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error activating user'
+    });
+  }
+});
+
+// Remove 2FA from a user who lost their device (Admin only). Their sessions
+// end, since whoever has the device may be logged in. If their role requires
+// 2FA they set it up again at the next login.
+router.delete('/users/:id/2fa', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearTwoFactor(user);
+    const sessionsEnded = await revokeAllSessions('user', user._id, 'two_factor_reset', { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      data: { userId: user._id, sessionsEnded }
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting two-factor authentication'
+    });
+  }
+});
+
+// Unlock a user locked out by failed logins (Admin only)
+router.patch('/users/:id/unlock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount('user', user, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'User unlocked',
+      data: { userId: user._id }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking user'
+    });
+  }
+});
+
+// Logout: ends the session behind the access token on this device
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a production environment, you might want to blacklist the token
-    // For now, we'll just return a success message
+    const session = await findOwnSession('user', req.user._id, req.sessionId);
+    if (session) {
+      await revokeSession(session, 'logout', { io: req.io });
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -333,6 +808,69 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Logout from every device, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const sessionsEnded = await revokeAllSessions('user', req.user._id, 'logout_all', { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsEnded }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// List signed-in devices
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions('user', req.user._id, { currentSessionId: req.sessionId });
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving sessions'
+    });
+  }
+});
+
+// Logout from one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await findOwnSession('user', req.user._id, req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'logout', { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending session'
+    });
+  }
+});
+
 // Update user profile
 router.put('/profile', authenticateToken, [
   body('firstName').optional().trim().notEmpty().withMessage('First name is required'),
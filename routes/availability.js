@@ -1,77 +1,46 @@
 import express from 'express';
 import { query, validationResult } from 'express-validator';
-import Appointment from '../models/Appointment.js';
+import { DEFAULT_SERVICE_DURATIONS } from '../models/Settings.js';
 import { authenticateToken, requireStaff } from '../middleware/auth.js';
+import {
+  DAY_NAMES,
+  getDoctors,
+  findDoctor,
+  getSlotDuration,
+  getDayAvailability,
+  getScheduleExceptions,
+  checkSlot,
+  toDateKey,
+  addDays
+} from '../services/availability.js';
 
 const router = express.Router();
 
-// Doctor schedules configuration
-const DOCTOR_SCHEDULES = {
-  'Dr. Maria Sarah L. Manaloto': {
-    specialty: 'ob-gyne',
-    schedule: {
-      1: { start: '08:00', end: '12:00', slots: 30 }, // Monday 8AM-12PM, 30min slots
-      3: { start: '09:00', end: '14:00', slots: 30 }, // Wednesday 9AM-2PM
-      5: { start: '13:00', end: '17:00', slots: 30 }  // Friday 1PM-5PM
-    }
-  },
-  'Dr. Shara Laine S. Vino': {
-    specialty: 'pediatric',
-    schedule: {
-      1: { start: '13:00', end: '17:00', slots: 30 }, // Monday 1PM-5PM
-      2: { start: '13:00', end: '17:00', slots: 30 }, // Tuesday 1PM-5PM
-      4: { start: '08:00', end: '12:00', slots: 30 }  // Thursday 8AM-12PM
-    }
-  }
-};
-
-// Helper function to generate time slots
-function generateTimeSlots(startTime, endTime, slotDuration) {
-  const slots = [];
-  const [startHour, startMin] = startTime.split(':').map(Number);
-  const [endHour, endMin] = endTime.split(':').map(Number);
-  
-  const startMinutes = startHour * 60 + startMin;
-  const endMinutes = endHour * 60 + endMin;
-  
-  for (let minutes = startMinutes; minutes < endMinutes; minutes += slotDuration) {
-    const hour = Math.floor(minutes / 60);
-    const min = minutes % 60;
-    
-    // Convert to 12-hour format
-    let displayHour = hour;
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    
-    if (hour > 12) displayHour = hour - 12;
-    if (hour === 0) displayHour = 12;
-    
-    const timeString = `${displayHour}:${min.toString().padStart(2, '0')} ${ampm}`;
-    slots.push(timeString);
-  }
-  
-  return slots;
-}
-
 // Get doctor schedules
 router.get('/schedules', [authenticateToken, requireStaff], async (req, res) => {
   try {
+    const doctors = await getDoctors();
+    const slotDuration = await getSlotDuration();
     const schedules = {};
-    
-    Object.entries(DOCTOR_SCHEDULES).forEach(([doctorName, config]) => {
-      schedules[doctorName] = {
-        specialty: config.specialty,
+
+    doctors.forEach(doctor => {
+      schedules[doctor.id] = {
+        doctorId: doctor.id,
+        name: doctor.name,
+        specialty: doctor.specialty,
         weeklySchedule: {}
       };
-      
-      Object.entries(config.schedule).forEach(([dayOfWeek, schedule]) => {
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        const dayName = dayNames[parseInt(dayOfWeek)];
-        
-        schedules[doctorName].weeklySchedule[dayName] = {
-          dayOfWeek: parseInt(dayOfWeek),
-          startTime: schedule.start,
-          endTime: schedule.end,
-          slotDuration: schedule.slots,
+
+      DAY_NAMES.forEach((day, dayOfWeek) => {
+        const hours = doctor.hours && doctor.hours[day];
+        if (!hours || !hours.enabled) return;
+
+        const dayName = day.charAt(0).toUpperCase() + day.slice(1);
+        schedules[doctor.id].weeklySchedule[dayName] = {
+          dayOfWeek,
+          startTime: hours.start,
+          endTime: hours.end,
+          slotDuration,
           available: true
         };
       });
@@ -95,8 +64,9 @@ router.get('/schedules', [authenticateToken, requireStaff], async (req, res) =>
 router.get('/slots', [
   authenticateToken,
   requireStaff,
-  query('doctorName').notEmpty().withMessage('Doctor name is required'),
-  query('date').isISO8601().withMessage('Valid date is required')
+  query('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  query('date').isISO8601().withMessage('Valid date is required'),
+  query('serviceType').optional().isIn(Object.keys(DEFAULT_SERVICE_DURATIONS)).withMessage('Valid service type required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -108,72 +78,53 @@ router.get('/slots', [
       });
     }
 
-    const { doctorName, date } = req.query;
-    const requestedDate = new Date(date);
-    const dayOfWeek = requestedDate.getDay();
+    const { doctorId, date, serviceType } = req.query;
 
     // Check if doctor exists
-    if (!DOCTOR_SCHEDULES[doctorName]) {
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
       return res.status(404).json({
         success: false,
         message: 'Doctor not found'
       });
     }
 
-    const doctorConfig = DOCTOR_SCHEDULES[doctorName];
-    const daySchedule = doctorConfig.schedule[dayOfWeek];
+    const availability = await getDayAvailability(doctor, date, { serviceType });
 
     // Check if doctor works on this day
-    if (!daySchedule) {
+    if (!availability.workingDay) {
       return res.json({
         success: true,
         data: {
-          doctorName,
+          doctorId,
+          doctorName: doctor.name,
           date,
           available: false,
-          reason: 'Doctor not available on this day',
+          reason: availability.reason,
           slots: []
         }
       });
     }
 
-    // Generate all possible time slots
-    const allSlots = generateTimeSlots(daySchedule.start, daySchedule.end, daySchedule.slots);
-
-    // Get existing appointments for this doctor and date
-    const startOfDay = new Date(requestedDate.getFullYear(), requestedDate.getMonth(), requestedDate.getDate());
-    const endOfDay = new Date(requestedDate.getFullYear(), requestedDate.getMonth(), requestedDate.getDate() + 1);
-
-    // Only count confirmed appointments as booked
-    // Scheduled appointments are still available for booking (first-come-first-confirmed)
-    const existingAppointments = await Appointment.find({
-      doctorName,
-      appointmentDate: {
-        $gte: startOfDay,
-        $lt: endOfDay
-      },
-      status: 'confirmed' // Only confirmed appointments block the slot
-    });
-
-    const bookedSlots = existingAppointments.map(apt => apt.appointmentTime);
-
-    // Filter available slots
-    const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot));
-
     res.json({
       success: true,
       data: {
-        doctorName,
+        doctorId,
+        doctorName: doctor.name,
         date,
-        specialty: doctorConfig.specialty,
+        specialty: doctor.specialty,
         available: true,
-        totalSlots: allSlots.length,
-        availableSlots: availableSlots.length,
-        bookedSlots: bookedSlots.length,
+        duration: availability.duration,
+        totalSlots: availability.slots.length,
+        availableSlots: availability.availableSlots.length,
+        bookedSlots: availability.bookedSlots.length,
+        heldSlots: availability.heldSlots.length,
         slots: {
-          all: allSlots,
-          available: availableSlots,
-          booked: bookedSlots
+          all: availability.slots,
+          available: availability.availableSlots,
+          booked: availability.bookedSlots,
+          held: availability.heldSlots,
+          blocked: availability.blockedSlots
         }
       }
     });
@@ -193,7 +144,7 @@ router.get('/summary', [
   requireStaff,
   query('startDate').isISO8601().withMessage('Valid start date is required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date required'),
-  query('doctorName').optional().notEmpty().withMessage('Doctor name cannot be empty')
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -205,74 +156,63 @@ router.get('/summary', [
       });
     }
 
-    const startDate = new Date(req.query.startDate);
-    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date(startDate.getTime() + (7 * 24 * 60 * 60 * 1000)); // Default to 7 days
-    const doctorName = req.query.doctorName;
+    const startDate = toDateKey(req.query.startDate);
+    const endDate = req.query.endDate ? toDateKey(req.query.endDate) : addDays(startDate, 7); // Default to 7 days
+    const doctorId = req.query.doctorId;
 
     const availabilitySummary = {};
 
     // Get doctors to check
-    const doctorsToCheck = doctorName ? [doctorName] : Object.keys(DOCTOR_SCHEDULES);
+    const allDoctors = await getDoctors();
+    const doctorsToCheck = doctorId
+      ? allDoctors.filter(doctor => doctor.id === doctorId)
+      : allDoctors;
+
+    if (doctorId && doctorsToCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
 
     for (const doctor of doctorsToCheck) {
-      availabilitySummary[doctor] = {};
-      const doctorConfig = DOCTOR_SCHEDULES[doctor];
+      availabilitySummary[doctor.id] = {};
+      const exceptions = await getScheduleExceptions(doctor, startDate, endDate);
 
       // Check each day in the date range
-      const currentDate = new Date(startDate);
-      while (currentDate <= endDate) {
-        const dateString = currentDate.toISOString().split('T')[0];
-        const dayOfWeek = currentDate.getDay();
-        const daySchedule = doctorConfig.schedule[dayOfWeek];
-
-        if (daySchedule) {
-          // Generate slots for this day
-          const allSlots = generateTimeSlots(daySchedule.start, daySchedule.end, daySchedule.slots);
+      for (let dateKey = startDate; dateKey <= endDate; dateKey = addDays(dateKey, 1)) {
+        const availability = await getDayAvailability(doctor, dateKey, { exceptions });
 
-          // Get existing appointments
-          const startOfDay = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate());
-          const endOfDay = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate() + 1);
+        if (availability.workingDay) {
+          const totalSlots = availability.slots.length;
+          const availableCount = availability.availableSlots.length;
 
-          // Only count confirmed appointments as booked
-          const existingAppointments = await Appointment.find({
-            doctorName: doctor,
-            appointmentDate: {
-              $gte: startOfDay,
-              $lt: endOfDay
-            },
-            status: 'confirmed' // Only confirmed appointments block the slot
-          });
-
-          const bookedCount = existingAppointments.length;
-          const availableCount = allSlots.length - bookedCount;
-
-          availabilitySummary[doctor][dateString] = {
+          availabilitySummary[doctor.id][dateKey] = {
             workingDay: true,
-            totalSlots: allSlots.length,
+            totalSlots,
             availableSlots: availableCount,
-            bookedSlots: bookedCount,
-            availability: ((availableCount / allSlots.length) * 100).toFixed(1) + '%'
+            bookedSlots: availability.bookedSlots.length,
+            availability: totalSlots > 0 ? ((availableCount / totalSlots) * 100).toFixed(1) + '%' : 'N/A'
           };
         } else {
-          availabilitySummary[doctor][dateString] = {
+          availabilitySummary[doctor.id][dateKey] = {
             workingDay: false,
+            reason: availability.reason,
             totalSlots: 0,
             availableSlots: 0,
             bookedSlots: 0,
             availability: 'N/A'
           };
         }
-
-        currentDate.setDate(currentDate.getDate() + 1);
       }
     }
 
     res.json({
       success: true,
       data: {
-        startDate: startDate.toISOString().split('T')[0],
-        endDate: endDate.toISOString().split('T')[0],
-        doctors: doctorName ? [doctorName] : doctorsToCheck,
+        startDate,
+        endDate,
+        doctors: doctorsToCheck.map(doctor => ({ id: doctor.id, name: doctor.name })),
         availabilitySummary
       }
     });
@@ -290,9 +230,10 @@ router.get('/summary', [
 router.get('/check-slot', [
   authenticateToken,
   requireStaff,
-  query('doctorName').notEmpty().withMessage('Doctor name is required'),
+  query('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
   query('date').isISO8601().withMessage('Valid date is required'),
-  query('time').notEmpty().withMessage('Time is required')
+  query('time').notEmpty().withMessage('Time is required'),
+  query('serviceType').optional().isIn(Object.keys(DEFAULT_SERVICE_DURATIONS)).withMessage('Valid service type required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -304,30 +245,27 @@ router.get('/check-slot', [
       });
     }
 
-    const { doctorName, date, time } = req.query;
-    const requestedDate = new Date(date);
+    const { doctorId, date, time, serviceType } = req.query;
 
-    // Check if appointment is already confirmed (scheduled ones don't block)
-    const existingAppointment = await Appointment.findOne({
-      doctorName,
-      appointmentDate: {
-        $gte: new Date(requestedDate.getFullYear(), requestedDate.getMonth(), requestedDate.getDate()),
-        $lt: new Date(requestedDate.getFullYear(), requestedDate.getMonth(), requestedDate.getDate() + 1)
-      },
-      appointmentTime: time,
-      status: 'confirmed' // Only confirmed appointments block the slot
-    });
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
 
-    const isAvailable = !existingAppointment;
+    const { available, reason } = await checkSlot(doctor, date, time, { serviceType });
 
     res.json({
       success: true,
       data: {
-        doctorName,
+        doctorId,
+        doctorName: doctor.name,
         date,
         time,
-        available: isAvailable,
-        reason: existingAppointment ? 'Time slot already booked' : 'Available'
+        available,
+        reason
       }
     });
 
@@ -0,0 +1,154 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import DisplayToken from '../models/DisplayToken.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getDoctors } from '../services/availability.js';
+import {
+  disconnectDisplay,
+  findActiveDisplayToken,
+  generateDisplayToken,
+  getDisplayBoard
+} from '../services/display.js';
+
+const router = express.Router();
+
+// Waiting-room board: "now serving" and next queue numbers per doctor.
+// Public, but only for a valid display token.
+router.get('/board', async (req, res) => {
+  try {
+    const token = req.get('X-Display-Token') || req.query.token;
+    const displayToken = await findActiveDisplayToken(token);
+    if (!displayToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked display token'
+      });
+    }
+
+    const board = await getDisplayBoard(displayToken);
+
+    res.json({
+      success: true,
+      data: { display: displayToken.name, ...board }
+    });
+  } catch (error) {
+    console.error('Get display board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving display board'
+    });
+  }
+});
+
+// List display tokens (admin only)
+router.get('/tokens', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const tokens = await DisplayToken.find()
+      .populate('doctors', 'name specialty')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { tokens }
+    });
+  } catch (error) {
+    console.error('Get display tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving display tokens'
+    });
+  }
+});
+
+// Create a display token (admin only). The token is only returned here.
+router.post('/tokens', [
+  authenticateToken,
+  requireAdmin,
+  body('name').trim().notEmpty().withMessage('Display name is required')
+    .isLength({ max: 100 }).withMessage('Display name too long'),
+  body('doctorIds').optional().isArray().withMessage('doctorIds must be an array'),
+  body('doctorIds.*').isMongoId().withMessage('Valid doctor ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const doctorIds = req.body.doctorIds || [];
+    if (doctorIds.length > 0) {
+      const doctors = await getDoctors({ includeInactive: true });
+      const known = doctors.map(doctor => String(doctor._id));
+      if (!doctorIds.every(id => known.includes(id))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+    }
+
+    const { token, tokenHash } = generateDisplayToken();
+    const displayToken = new DisplayToken({
+      name: req.body.name,
+      tokenHash,
+      doctors: doctorIds,
+      createdBy: req.user._id
+    });
+    await displayToken.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Display token created. Copy it now; it will not be shown again.',
+      data: { displayToken, token }
+    });
+  } catch (error) {
+    console.error('Create display token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating display token'
+    });
+  }
+});
+
+// Revoke a display token (admin only); connected displays are dropped immediately
+router.delete('/tokens/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const displayToken = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DisplayToken.findById(req.params.id)
+      : null;
+    if (!displayToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Display token not found'
+      });
+    }
+
+    if (!displayToken.revokedAt) {
+      displayToken.revokedAt = new Date();
+      displayToken.revokedBy = req.user._id;
+      await displayToken.save();
+    }
+
+    disconnectDisplay(req.io, displayToken._id);
+
+    res.json({
+      success: true,
+      message: 'Display token revoked',
+      data: { displayToken }
+    });
+  } catch (error) {
+    console.error('Revoke display token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking display token'
+    });
+  }
+});
+
+export default router;
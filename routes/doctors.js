@@ -0,0 +1,267 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Doctor from '../models/Doctor.js';
+import { authenticateToken, requireStaff, requireAdmin } from '../middleware/auth.js';
+import { DAY_NAMES, getDoctors } from '../services/availability.js';
+
+const router = express.Router();
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Weekly hours must be { monday: { start: 'HH:MM', end: 'HH:MM', enabled }, ... }
+const validateHours = (hours) => {
+  if (typeof hours !== 'object' || hours === null) {
+    throw new Error('Hours must be an object keyed by day name');
+  }
+
+  Object.entries(hours).forEach(([day, dayHours]) => {
+    if (!DAY_NAMES.includes(day)) {
+      throw new Error(`Unknown day: ${day}`);
+    }
+    if (!dayHours || !dayHours.enabled) return;
+
+    if (!CLOCK_TIME.test(dayHours.start || '') || !CLOCK_TIME.test(dayHours.end || '')) {
+      throw new Error(`Working hours for ${day} must use HH:MM format`);
+    }
+    if (dayHours.start >= dayHours.end) {
+      throw new Error(`Working hours for ${day} must end after they start`);
+    }
+  });
+
+  return true;
+};
+
+const doctorValidators = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Doctor name is required'),
+  (isUpdate ? body('specialty').optional() : body('specialty'))
+    .isIn(['ob-gyne', 'pediatric']).withMessage('Specialty must be ob-gyne or pediatric'),
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title too long'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description too long'),
+  body('user').optional({ nullable: true }).isMongoId().withMessage('Linked user must be a valid user ID'),
+  body('hours').optional().custom(validateHours),
+  body('isActive').optional().isBoolean().withMessage('Active flag must be a boolean')
+];
+
+// Get doctor roster
+router.get('/', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const doctors = await getDoctors({ includeInactive: req.query.includeInactive === 'true' });
+
+    res.json({
+      success: true,
+      data: { doctors }
+    });
+  } catch (error) {
+    console.error('Get doctors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving doctors'
+    });
+  }
+});
+
+// Get single doctor
+router.get('/:id', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const doctor = await Doctor.findById(req.params.id)
+      .populate('user', 'firstName lastName email role');
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { doctor }
+    });
+  } catch (error) {
+    console.error('Get doctor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving doctor'
+    });
+  }
+});
+
+// Create doctor (Admin only)
+router.post('/', [authenticateToken, requireAdmin, ...doctorValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, specialty, title, description, user, hours, isActive } = req.body;
+
+    const doctor = new Doctor({
+      name,
+      specialty,
+      title,
+      description,
+      user: user || undefined,
+      hours,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    await doctor.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Doctor created successfully',
+      data: { doctor }
+    });
+  } catch (error) {
+    console.error('Create doctor error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.keyPattern?.user
+          ? 'This user is already linked to another doctor'
+          : 'A doctor with this name and specialty already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating doctor'
+    });
+  }
+});
+
+// Update doctor (Admin only)
+router.put('/:id', [authenticateToken, requireAdmin, ...doctorValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const { name, specialty, title, description, user, hours, isActive } = req.body;
+
+    if (name) doctor.name = name;
+    if (specialty) doctor.specialty = specialty;
+    if (title !== undefined) doctor.title = title;
+    if (description !== undefined) doctor.description = description;
+    if (user !== undefined) doctor.user = user || undefined;
+    if (isActive !== undefined) doctor.isActive = isActive;
+
+    if (hours) {
+      // Deep merge hours to preserve all day settings
+      Object.keys(hours).forEach(day => {
+        if (hours[day]) {
+          doctor.hours[day] = {
+            ...doctor.hours[day],
+            ...hours[day]
+          };
+        }
+      });
+    }
+
+    await doctor.save();
+
+    res.json({
+      success: true,
+      message: 'Doctor updated successfully',
+      data: { doctor }
+    });
+  } catch (error) {
+    console.error('Update doctor error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.keyPattern?.user
+          ? 'This user is already linked to another doctor'
+          : 'A doctor with this name and specialty already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating doctor'
+    });
+  }
+});
+
+// Deactivate doctor (Admin only)
+// Doctors are never hard-deleted because appointments keep referencing them
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const doctor = await Doctor.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Doctor deactivated successfully',
+      data: { doctor }
+    });
+  } catch (error) {
+    console.error('Deactivate doctor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating doctor'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,191 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import LoginAttempt from '../models/LoginAttempt.js';
+import PatientUser from '../models/PatientUser.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getDayBounds } from '../services/availability.js';
+import { findLockedAccounts, unlockAccount } from '../services/loginProtection.js';
+import { toDateKey } from '../services/time.js';
+
+const router = express.Router();
+
+// An IP address with at least this many failed logins is listed as suspicious
+const SUSPICIOUS_FAILURES = 5;
+
+// Login attempts, newest first (admin only)
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('accountType').optional().isIn(['user', 'patient']).withMessage('Invalid account type'),
+  query('accountId').optional().isMongoId().withMessage('Valid account ID required'),
+  query('success').optional().isBoolean().withMessage('Success must be true or false'),
+  query('reason').optional().isIn(['invalid_password', 'invalid_two_factor_code', 'unknown_account', 'throttled', 'locked']).withMessage('Invalid reason'),
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const filter = {};
+    if (req.query.accountType) filter.accountType = req.query.accountType;
+    if (req.query.accountId) {
+      filter.$or = [{ user: req.query.accountId }, { patientUser: req.query.accountId }];
+    }
+    if (req.query.success !== undefined) filter.success = req.query.success === 'true';
+    if (req.query.reason) filter.reason = req.query.reason;
+    if (req.query.ipAddress) filter.ipAddress = String(req.query.ipAddress);
+    if (req.query.identifier) filter.identifier = String(req.query.identifier).toLowerCase();
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) filter.createdAt.$gte = getDayBounds(toDateKey(req.query.startDate)).start;
+      if (req.query.endDate) filter.createdAt.$lt = getDayBounds(toDateKey(req.query.endDate)).end;
+    }
+
+    const attempts = await LoginAttempt.find(filter)
+      .populate('user', 'username firstName lastName role')
+      .populate('patientUser', 'email firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await LoginAttempt.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving login attempts'
+    });
+  }
+});
+
+// IP addresses with many failed logins in the last hours (admin only)
+router.get('/suspicious', [
+  authenticateToken,
+  requireAdmin,
+  query('hours').optional().isInt({ min: 1, max: 720 }).withMessage('Hours must be between 1 and 720')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hours = parseInt(req.query.hours) || 24;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const sources = await LoginAttempt.aggregate([
+      { $match: { success: false, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$ipAddress',
+          failures: { $sum: 1 },
+          identifiers: { $addToSet: '$identifier' },
+          lastAttemptAt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { failures: { $gte: SUSPICIOUS_FAILURES } } },
+      { $sort: { failures: -1 } },
+      { $limit: 100 },
+      {
+        $project: {
+          _id: 0,
+          ipAddress: '$_id',
+          failures: 1,
+          accountsTried: { $size: '$identifiers' },
+          identifiers: { $slice: ['$identifiers', 20] },
+          lastAttemptAt: 1
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: { since, sources }
+    });
+  } catch (error) {
+    console.error('Get suspicious logins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving suspicious logins'
+    });
+  }
+});
+
+// Staff and patient accounts locked out right now (admin only)
+router.get('/locked', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const [users, patients] = await Promise.all([
+      findLockedAccounts('user'),
+      findLockedAccounts('patient')
+    ]);
+
+    res.json({
+      success: true,
+      data: { users, patients }
+    });
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving locked accounts'
+    });
+  }
+});
+
+// Unlock a patient account locked out by failed logins (admin only).
+// Staff accounts are unlocked through PATCH /api/auth/users/:id/unlock.
+router.patch('/patients/:id/unlock', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const patientUser = mongoose.Types.ObjectId.isValid(req.params.id) && await PatientUser.findById(req.params.id);
+    if (!patientUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient account not found'
+      });
+    }
+
+    await unlockAccount('patient', patientUser, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Patient account unlocked',
+      data: { patientUserId: patientUser._id }
+    });
+  } catch (error) {
+    console.error('Unlock patient account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking patient account'
+    });
+  }
+});
+
+export default router;
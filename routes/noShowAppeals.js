@@ -0,0 +1,126 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import NoShowAppeal from '../models/NoShowAppeal.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { NoShowAppealError, reviewAppeal } from '../services/noShowPolicy.js';
+
+const router = express.Router();
+
+// Same roles that can unlock booking by hand
+const requireFrontDesk = requireRole('admin', 'staff');
+
+const loadAppeal = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return NoShowAppeal.findById(id);
+};
+
+const handleAppealError = (res, error, fallbackMessage) => {
+  if (error instanceof NoShowAppealError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// List no-show appeals, oldest pending first
+router.get('/', [
+  authenticateToken,
+  requireFrontDesk,
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { status: req.query.status || 'pending' };
+
+    const appeals = await NoShowAppeal.find(filter)
+      .populate('patient', 'patientId patientType obGyneRecord.patientName pediatricRecord.nameOfChildren noShowCount appointmentLocked appointmentLockedAt')
+      .populate('patientUser', 'fullName email phoneNumber')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: filter.status === 'pending' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await NoShowAppeal.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        appeals,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get no-show appeals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving appeals'
+    });
+  }
+});
+
+const reviewValidation = [
+  authenticateToken,
+  requireFrontDesk,
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+];
+
+const reviewHandler = (approve) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appeal = await loadAppeal(req.params.id);
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    await reviewAppeal(appeal, { approve, notes: req.body.notes, user: req.user, io: req.io });
+
+    res.json({
+      success: true,
+      message: approve ? 'Appeal approved; booking unlocked for patient' : 'Appeal rejected',
+      data: { appeal }
+    });
+  } catch (error) {
+    console.error(`${approve ? 'Approve' : 'Reject'} no-show appeal error:`, error);
+    handleAppealError(res, error, `Server error ${approve ? 'approving' : 'rejecting'} appeal`);
+  }
+};
+
+// Approve an appeal and unlock booking
+router.patch('/:id/approve', reviewValidation, reviewHandler(true));
+
+// Reject an appeal; booking stays locked
+router.patch('/:id/reject', reviewValidation, reviewHandler(false));
+
+export default router;
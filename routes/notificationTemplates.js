@@ -0,0 +1,287 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { actionLink } from '../services/actionTokens.js';
+import {
+  CHANNELS,
+  DEFAULT_TEMPLATES,
+  LANGUAGES,
+  PLACEHOLDERS,
+  TEMPLATE_TYPES,
+  findUnknownPlaceholders,
+  render,
+  resolveTemplate,
+  templateVariables
+} from '../services/templates.js';
+
+const router = express.Router();
+
+// Values used by the preview when none are given
+const SAMPLE_DATA = {
+  patientName: 'Maria Santos',
+  doctorName: 'Dr. Reyes',
+  time: '9:30 AM',
+  reason: 'Doctor unavailable'
+};
+
+const SAMPLE_LINKS = {
+  confirmUrl: actionLink('sample-confirm-token'),
+  cancelUrl: actionLink('sample-cancel-token')
+};
+
+const placeholderCheck = (field) => body(field).optional().custom(value => {
+  const unknown = findUnknownPlaceholders(value);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholders: ${unknown.join(', ')}`);
+  }
+  return true;
+});
+
+const findTemplate = (id) => mongoose.Types.ObjectId.isValid(id)
+  ? NotificationTemplate.findById(id)
+  : null;
+
+// List custom templates with the built-in defaults and placeholders (admin only)
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('type').optional().isIn(TEMPLATE_TYPES).withMessage('Invalid template type'),
+  query('channel').optional().isIn(CHANNELS).withMessage('Invalid channel'),
+  query('language').optional().isIn(LANGUAGES).withMessage('Invalid language')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    for (const field of ['type', 'channel', 'language']) {
+      if (req.query[field]) filter[field] = req.query[field];
+    }
+
+    const templates = await NotificationTemplate.find(filter)
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ type: 1, channel: 1, language: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        types: TEMPLATE_TYPES,
+        channels: CHANNELS,
+        languages: LANGUAGES,
+        placeholders: PLACEHOLDERS,
+        defaults: DEFAULT_TEMPLATES
+      }
+    });
+  } catch (error) {
+    console.error('Get notification templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving notification templates'
+    });
+  }
+});
+
+// Override the default wording for one type, channel and language (admin only)
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('type').isIn(TEMPLATE_TYPES).withMessage('Invalid template type'),
+  body('channel').isIn(CHANNELS).withMessage('Invalid channel'),
+  body('language').isIn(LANGUAGES).withMessage('Invalid language'),
+  body('subject').optional().trim().isLength({ max: 200 }).withMessage('Subject too long'),
+  body('body').trim().notEmpty().withMessage('Template body is required')
+    .isLength({ max: 2000 }).withMessage('Template body too long'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  placeholderCheck('subject'),
+  placeholderCheck('body')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, channel, language, subject, isActive } = req.body;
+    const existing = await NotificationTemplate.findOne({ type, channel, language });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template for this type, channel and language already exists',
+        data: { template: existing }
+      });
+    }
+
+    const template = new NotificationTemplate({
+      type,
+      channel,
+      language,
+      subject: channel === 'email' ? subject : undefined,
+      body: req.body.body,
+      isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification template created',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Create notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating notification template'
+    });
+  }
+});
+
+// Preview a template with sample or given values (admin only). Renders the
+// draft subject/body when sent, otherwise the template currently in effect.
+router.post('/preview', [
+  authenticateToken,
+  requireAdmin,
+  body('type').isIn(TEMPLATE_TYPES).withMessage('Invalid template type'),
+  body('channel').isIn(CHANNELS).withMessage('Invalid channel'),
+  body('language').optional().isIn(LANGUAGES).withMessage('Invalid language'),
+  body('data').optional().isObject().withMessage('data must be an object'),
+  placeholderCheck('subject'),
+  placeholderCheck('body')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, channel, language = 'en' } = req.body;
+    const template = req.body.body
+      ? { subject: req.body.subject, body: req.body.body, language, source: 'draft' }
+      : await resolveTemplate(type, channel, language);
+
+    const variables = templateVariables({
+      ...SAMPLE_DATA,
+      date: new Date(),
+      ...req.body.data
+    }, template.language, SAMPLE_LINKS);
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        channel,
+        language: template.language,
+        source: template.source,
+        subject: channel === 'email' ? render(template.subject, variables) : undefined,
+        body: render(template.body, variables)
+      }
+    });
+  } catch (error) {
+    console.error('Preview notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error previewing notification template'
+    });
+  }
+});
+
+// Update a custom template (admin only)
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('subject').optional().trim().isLength({ max: 200 }).withMessage('Subject too long'),
+  body('body').optional().trim().notEmpty().withMessage('Template body cannot be empty')
+    .isLength({ max: 2000 }).withMessage('Template body too long'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  placeholderCheck('subject'),
+  placeholderCheck('body')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification template not found'
+      });
+    }
+
+    if (req.body.subject !== undefined && template.channel === 'email') {
+      template.subject = req.body.subject;
+    }
+    if (req.body.body !== undefined) {
+      template.body = req.body.body;
+    }
+    if (req.body.isActive !== undefined) {
+      template.isActive = req.body.isActive;
+    }
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Notification template updated',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification template'
+    });
+  }
+});
+
+// Delete a custom template; the built-in default applies again (admin only)
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification template not found'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Notification template deleted; the default wording applies again'
+    });
+  } catch (error) {
+    console.error('Delete notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting notification template'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import { authenticateToken, requireStaff } from '../middleware/auth.js';
+import {
+  countUnread,
+  listNotifications,
+  markAllRead,
+  markRead
+} from '../services/notifications.js';
+
+const router = express.Router();
+
+const recipientOf = (req) => ({ user: req.user });
+
+// List the signed-in staff member's notifications, newest first
+router.get('/', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unreadOnly === 'true';
+
+    const result = await listNotifications(recipientOf(req), { page, limit, unreadOnly });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving notifications'
+    });
+  }
+});
+
+// Number of unread notifications, for the notification badge
+router.get('/unread-count', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const unreadCount = await countUnread(recipientOf(req));
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving unread count'
+    });
+  }
+});
+
+// Mark every notification as read
+router.patch('/read-all', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const updated = await markAllRead(recipientOf(req));
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notifications'
+    });
+  }
+});
+
+// Mark one notification as read
+router.patch('/:id/read', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const notification = await markRead(recipientOf(req), req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import OutboxMessage from '../models/OutboxMessage.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { retryMessage } from '../services/outbox.js';
+
+const router = express.Router();
+
+// Message bodies stay out of the API: they carry patient details and whatever
+// links the templates put in them
+const HIDDEN_FIELDS = '-body -actionTokens';
+
+const toListItem = (message) => {
+  const { body, actionTokens, ...item } = message.toObject();
+  return item;
+};
+
+// List outgoing email/SMS messages with their delivery status, without bodies (admin only)
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']).withMessage('Invalid status'),
+  query('channel').optional().isIn(['email', 'sms']).withMessage('Invalid channel'),
+  query('appointmentId').optional().isMongoId().withMessage('Valid appointment ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.channel) filter.channel = req.query.channel;
+    if (req.query.appointmentId) filter.appointment = req.query.appointmentId;
+
+    const messages = await OutboxMessage.find(filter)
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await OutboxMessage.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get outbox messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving outbox messages'
+    });
+  }
+});
+
+// Retry a failed message (admin only)
+router.post('/:id/retry', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const message = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OutboxMessage.findById(req.params.id)
+      : null;
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (message.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed messages can be retried'
+      });
+    }
+
+    await retryMessage(message);
+
+    res.json({
+      success: true,
+      message: 'Message queued for another delivery attempt',
+      data: { message: toListItem(message) }
+    });
+  } catch (error) {
+    console.error('Retry outbox message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrying message'
+    });
+  }
+});
+
+export default router;
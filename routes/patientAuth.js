@@ -1,12 +1,31 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import PatientUser from '../models/PatientUser.js';
+import { authenticatePatient } from '../middleware/patientAuth.js';
 import {
-  authenticatePatient,
-  generatePatientToken,
-  generatePatientRefreshToken,
-  verifyPatientRefreshToken
-} from '../middleware/patientAuth.js';
+  SessionError,
+  findOwnSession,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  startSession
+} from '../services/sessions.js';
+import { PasswordResetError, requestPasswordReset, resetPassword } from '../services/passwordReset.js';
+import {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '../services/loginProtection.js';
+import {
+  EmailVerificationError,
+  resendVerificationEmail,
+  sendVerificationEmail,
+  verifyEmail
+} from '../services/emailVerification.js';
+import { LANGUAGES } from '../services/templates.js';
 
 const router = express.Router();
 
@@ -20,7 +39,8 @@ router.post('/register', [
   body('dateOfBirth').isISO8601().withMessage('Valid date of birth is required'),
   body('gender').isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required'),
   body('consent').isBoolean().withMessage('Consent must be provided'),
-  body('consent').custom(val => val === true).withMessage('You must agree to the terms and conditions')
+  body('consent').custom(val => val === true).withMessage('You must agree to the terms and conditions'),
+  body('preferredLanguage').optional().isIn(LANGUAGES).withMessage('Invalid preferred language')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -33,7 +53,7 @@ router.post('/register', [
       });
     }
 
-    const { email, password, firstName, lastName, phoneNumber, dateOfBirth, gender, address, emergencyContact, consent } = req.body;
+    const { email, password, firstName, lastName, phoneNumber, dateOfBirth, gender, address, emergencyContact, consent, preferredLanguage } = req.body;
 
     // Check if patient already exists
     const existingPatient = await PatientUser.findOne({ email });
@@ -56,18 +76,21 @@ router.post('/register', [
       address,
       emergencyContact,
       consent,
-      consentDate: consent ? new Date() : null
+      consentDate: consent ? new Date() : null,
+      preferredLanguage
     });
 
     await patientUser.save();
+    const verificationSent = await sendVerificationEmail(patientUser);
 
-    // Generate tokens
-    const token = generatePatientToken(patientUser);
-    const refreshToken = generatePatientRefreshToken(patientUser);
+    // Start a session for this device
+    const { token, refreshToken } = await startSession('patient', patientUser, req);
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
+      message: verificationSent
+        ? 'Registration successful. Check your email to verify your account.'
+        : 'Registration successful, but the verification email could not be sent. Request a new one from your account.',
       data: {
         user: {
           id: patientUser._id,
@@ -83,7 +106,8 @@ router.post('/register', [
           emergencyContact: patientUser.emergencyContact,
           isVerified: patientUser.isVerified,
           consent: patientUser.consent,
-          consentDate: patientUser.consentDate
+          consentDate: patientUser.consentDate,
+          preferredLanguage: patientUser.preferredLanguage
         },
         token,
         refreshToken
@@ -124,28 +148,34 @@ router.post('/login', [
     }).populate('patientRecord');
 
     if (!patientUser) {
+      await recordLoginAttempt('patient', { account: null, identifier: email, success: false, reason: 'unknown_account', req });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Refuse while delayed or locked after failed attempts
+    await assertLoginAllowed('patient', patientUser, { identifier: email, req });
+
     // Check password
     const isValidPassword = await patientUser.comparePassword(password);
     if (!isValidPassword) {
+      await recordLoginFailure('patient', patientUser, { identifier: email, req, io: req.io });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    await recordLoginSuccess('patient', patientUser, { identifier: email, req });
+
     // Update last login
     patientUser.lastLogin = new Date();
     await patientUser.save();
 
-    // Generate tokens
-    const token = generatePatientToken(patientUser);
-    const refreshToken = generatePatientRefreshToken(patientUser);
+    // Start a session for this device
+    const { token, refreshToken } = await startSession('patient', patientUser, req);
 
     res.json({
       success: true,
@@ -164,6 +194,7 @@ router.post('/login', [
           address: patientUser.address,
           emergencyContact: patientUser.emergencyContact,
           isVerified: patientUser.isVerified,
+          preferredLanguage: patientUser.preferredLanguage,
           patientRecord: patientUser.patientRecord,
           lastLogin: patientUser.lastLogin
         },
@@ -173,6 +204,14 @@ router.post('/login', [
     });
 
   } catch (error) {
+    if (error instanceof LoginBlockedError) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: { blockedUntil: error.blockedUntil }
+      });
+    }
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
@@ -181,6 +220,266 @@ router.post('/login', [
   }
 });
 
+// Refresh token endpoint; the refresh token is single-use and replaced on every call
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const { token, refreshToken: newRefreshToken } = await refreshSession('patient', refreshToken, req, { io: req.io });
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: newRefreshToken
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Patient refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+});
+
+// Logout: ends the session behind the access token on this device
+router.post('/logout', authenticatePatient, async (req, res) => {
+  try {
+    const session = await findOwnSession('patient', req.patient.id, req.sessionId);
+    if (session) {
+      await revokeSession(session, 'logout', { io: req.io });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Patient logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// Logout from every device, including this one
+router.post('/logout-all', authenticatePatient, async (req, res) => {
+  try {
+    const sessionsEnded = await revokeAllSessions('patient', req.patient.id, 'logout_all', { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsEnded }
+    });
+  } catch (error) {
+    console.error('Patient logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// List signed-in devices
+router.get('/sessions', authenticatePatient, async (req, res) => {
+  try {
+    const sessions = await listSessions('patient', req.patient.id, { currentSessionId: req.sessionId });
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get patient sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving sessions'
+    });
+  }
+});
+
+// Logout from one device
+router.delete('/sessions/:id', authenticatePatient, async (req, res) => {
+  try {
+    const session = await findOwnSession('patient', req.patient.id, req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'logout', { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    console.error('End patient session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending session'
+    });
+  }
+});
+
+// Verify the email address with the token from a verification link
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const patientUser = await verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { email: patientUser.email, isVerified: patientUser.isVerified }
+    });
+  } catch (error) {
+    if (error instanceof EmailVerificationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// Send a new verification link; throttled per account
+router.post('/resend-verification', authenticatePatient, async (req, res) => {
+  try {
+    const patientUser = await PatientUser.findById(req.patient.id);
+    if (!patientUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    await resendVerificationEmail(patientUser);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    if (error instanceof EmailVerificationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// Forgot password: emails a reset link; the response is the same whether or not the email is registered
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await requestPasswordReset('patient', req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If that email belongs to an account, a reset link has been sent'
+    });
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Patient forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// Reset password with the token from a reset link; logs out every device
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await resetPassword('patient', req.body.token, req.body.newPassword, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Patient reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
 // Patient profile endpoint
 router.get('/profile', authenticatePatient, async (req, res) => {
   try {
@@ -215,7 +514,8 @@ router.put('/profile', authenticatePatient, [
   body('firstName').optional().trim().notEmpty(),
   body('lastName').optional().trim().notEmpty(),
   body('phoneNumber').optional().trim().notEmpty(),
-  body('email').optional().isEmail().normalizeEmail()
+  body('email').optional().isEmail().normalizeEmail(),
+  body('preferredLanguage').optional().isIn(LANGUAGES).withMessage('Invalid preferred language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -230,6 +530,14 @@ router.put('/profile', authenticatePatient, [
     const updates = req.body;
     delete updates.password; // Don't allow password updates through this endpoint
 
+    // Only the verification flow marks an email as verified; a new email needs verifying again
+    ['isVerified', 'emailVerificationToken', 'emailVerificationExpires', 'emailVerificationSentAt']
+      .forEach(field => delete updates[field]);
+    const emailChanged = updates.email !== undefined && updates.email !== req.patient.email;
+    if (emailChanged) {
+      updates.isVerified = false;
+    }
+
     const patientUser = await PatientUser.findByIdAndUpdate(
       req.patient.id,
       updates,
@@ -243,6 +551,10 @@ router.put('/profile', authenticatePatient, [
       });
     }
 
+    if (emailChanged) {
+      await sendVerificationEmail(patientUser);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -294,9 +606,10 @@ router.put('/change-password', authenticatePatient, [
       });
     }
 
-    // Update password
+    // Update password and log out the other devices
     patientUser.password = newPassword;
     await patientUser.save();
+    await revokeAllSessions('patient', patientUser._id, 'password_changed', { exceptSessionId: req.sessionId, io: req.io });
 
     res.json({
       success: true,
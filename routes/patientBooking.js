@@ -1,17 +1,86 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Appointment from '../models/Appointment.js';
+import mongoose from 'mongoose';
+import Appointment, { SERVICE_TYPES } from '../models/Appointment.js';
+import NoShowAppeal from '../models/NoShowAppeal.js';
 import Patient from '../models/Patient.js';
 import PatientUser from '../models/PatientUser.js';
-import Settings from '../models/Settings.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
 import { authenticatePatient } from '../middleware/patientAuth.js';
+import {
+  getDoctors,
+  findDoctor,
+  getDayAvailability,
+  getAvailableDates,
+  getWeeklySchedule,
+  checkSlot,
+  findOverlappingAppointments,
+  getServiceDuration,
+  getDayBounds,
+  parseAppointmentTime
+} from '../services/availability.js';
+import { APPOINTMENT_TIME, toDateKey } from '../services/time.js';
+import { SlotConflictError } from '../services/slotReservation.js';
+import { HoldError, createHold, releaseHold, verifyHold } from '../services/slotHolds.js';
+import {
+  WaitlistError,
+  acceptOffer,
+  declineOffer,
+  offerFreedSlot,
+  withdrawEntry
+} from '../services/waitlist.js';
+import { AppointmentError, requestCancellation } from '../services/appointments.js';
+import {
+  InvalidTransitionError,
+  assertTransition,
+  requireStatus,
+  transitionErrorBody,
+  transitionTo
+} from '../services/appointmentStateMachine.js';
+import { setHistoryContext } from '../services/appointmentHistory.js';
+import {
+  BOOKING_LOCKED_MESSAGE,
+  NoShowAppealError,
+  getNoShowPolicy,
+  isBookingLocked,
+  submitAppeal,
+  unlocksAt
+} from '../services/noShowPolicy.js';
+import { UNVERIFIED_BOOKING_MESSAGE, canBookUnverified } from '../services/emailVerification.js';
+import { notifyStaff } from '../services/notifications.js';
 
 const router = express.Router();
 
+// Patients may pick any service offered by the doctor's specialty;
+// anything else falls back to the doctor's default service
+const resolveServiceType = (doctor, serviceType) =>
+  SERVICE_TYPES[doctor.specialty]?.includes(serviceType) ? serviceType : doctor.defaultServiceType;
+
+// Holds, bookings and waitlist entries need a verified email address unless
+// the clinic allows unverified booking
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (req.patient.isVerified || await canBookUnverified()) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: UNVERIFIED_BOOKING_MESSAGE,
+      data: { emailVerified: false }
+    });
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking account'
+    });
+  }
+};
+
 // Get available dates for a specific doctor
 router.get('/available-dates', async (req, res) => {
   try {
-    const { doctorId } = req.query;
+    const { doctorId, serviceType } = req.query;
 
     console.log('Available dates request for doctorId:', doctorId);
 
@@ -22,44 +91,8 @@ router.get('/available-dates', async (req, res) => {
       });
     }
 
-    // Fetch settings for dynamic doctor schedules
-    const settings = await Settings.getSettings();
-    
-    // Map settings to doctorSchedules format
-    // Using simple IDs 'doc_1' and 'doc_2' for now to match frontend expectations
-    // Ideally frontend should use real IDs or names
-    const doctorSchedules = {
-      'doc_1': {
-        name: settings.obgyneDoctor.name,
-        specialty: 'ob-gyne',
-        schedule: {
-          'Monday': settings.obgyneDoctor.hours.monday.enabled ? settings.obgyneDoctor.hours.monday : null,
-          'Tuesday': settings.obgyneDoctor.hours.tuesday.enabled ? settings.obgyneDoctor.hours.tuesday : null,
-          'Wednesday': settings.obgyneDoctor.hours.wednesday.enabled ? settings.obgyneDoctor.hours.wednesday : null,
-          'Thursday': settings.obgyneDoctor.hours.thursday.enabled ? settings.obgyneDoctor.hours.thursday : null,
-          'Friday': settings.obgyneDoctor.hours.friday.enabled ? settings.obgyneDoctor.hours.friday : null,
-          'Saturday': settings.obgyneDoctor.hours.saturday.enabled ? settings.obgyneDoctor.hours.saturday : null,
-          'Sunday': settings.obgyneDoctor.hours.sunday.enabled ? settings.obgyneDoctor.hours.sunday : null,
-        }
-      },
-      'doc_2': {
-        name: settings.pediatrician.name,
-        specialty: 'pediatric',
-        schedule: {
-          'Monday': settings.pediatrician.hours.monday.enabled ? settings.pediatrician.hours.monday : null,
-          'Tuesday': settings.pediatrician.hours.tuesday.enabled ? settings.pediatrician.hours.tuesday : null,
-          'Wednesday': settings.pediatrician.hours.wednesday.enabled ? settings.pediatrician.hours.wednesday : null,
-          'Thursday': settings.pediatrician.hours.thursday.enabled ? settings.pediatrician.hours.thursday : null,
-          'Friday': settings.pediatrician.hours.friday.enabled ? settings.pediatrician.hours.friday : null,
-          'Saturday': settings.pediatrician.hours.saturday.enabled ? settings.pediatrician.hours.saturday : null,
-          'Sunday': settings.pediatrician.hours.sunday.enabled ? settings.pediatrician.hours.sunday : null,
-        }
-      }
-    };
-
-    const doctor = doctorSchedules[doctorId];
+    const doctor = await findDoctor({ doctorId });
     console.log('Found doctor:', doctor ? doctor.name : 'NOT FOUND');
-    console.log('Doctor schedule:', doctor ? doctor.schedule : 'NO SCHEDULE');
 
     if (!doctor) {
       return res.status(400).json({
@@ -68,34 +101,11 @@ router.get('/available-dates', async (req, res) => {
       });
     }
 
-    // Get the next 90 days
-    const availableDates = [];
-    const today = new Date();
-    const maxDate = new Date();
-    maxDate.setDate(today.getDate() + 90); // 3 months ahead
-
-    // Start from tomorrow
-    const checkDate = new Date(today);
-    checkDate.setDate(checkDate.getDate() + 1);
-
-    while (checkDate <= maxDate) {
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const dayOfWeek = dayNames[checkDate.getDay()];
-
-      // Check if doctor works on this day
-      if (doctor.schedule[dayOfWeek]) {
-        // Fix timezone issue by using local date formatting
-        const year = checkDate.getFullYear();
-        const month = String(checkDate.getMonth() + 1).padStart(2, '0');
-        const day = String(checkDate.getDate()).padStart(2, '0');
-        const dateStr = `${year}-${month}-${day}`;
-        availableDates.push(dateStr);
-        console.log(`Adding available date: ${dateStr} (${dayOfWeek})`);
-      }
-
-      // Move to next day
-      checkDate.setDate(checkDate.getDate() + 1);
-    }
+    // Get the next 90 days, starting from tomorrow
+    const availableDates = await getAvailableDates(doctor, {
+      days: 90,
+      serviceType: resolveServiceType(doctor, serviceType)
+    });
 
     console.log(`Total available dates for ${doctor.name}: ${availableDates.length}`);
 
@@ -106,7 +116,7 @@ router.get('/available-dates', async (req, res) => {
         doctorInfo: {
           name: doctor.name,
           specialty: doctor.specialty,
-          workingDays: Object.keys(doctor.schedule)
+          workingDays: Object.keys(getWeeklySchedule(doctor))
         }
       }
     });
@@ -123,9 +133,9 @@ router.get('/available-dates', async (req, res) => {
 // Get available time slots for a specific date and doctor
 router.get('/available-slots', async (req, res) => {
   try {
-    const { date, doctorId } = req.query;
+    const { date, doctorId, serviceType, holdToken } = req.query;
 
-    console.log('Available slots request:', { date, doctorId });
+    console.log('Available slots request:', { date, doctorId, serviceType });
 
     if (!date || !doctorId) {
       return res.status(400).json({
@@ -134,40 +144,7 @@ router.get('/available-slots', async (req, res) => {
       });
     }
 
-    // Fetch settings for dynamic doctor schedules
-    const settings = await Settings.getSettings();
-    
-    // Map settings to doctorSchedules format
-    const doctorSchedules = {
-      'doc_1': {
-        name: settings.obgyneDoctor.name,
-        specialty: 'ob-gyne',
-        schedule: {
-          'Monday': settings.obgyneDoctor.hours.monday.enabled ? settings.obgyneDoctor.hours.monday : null,
-          'Tuesday': settings.obgyneDoctor.hours.tuesday.enabled ? settings.obgyneDoctor.hours.tuesday : null,
-          'Wednesday': settings.obgyneDoctor.hours.wednesday.enabled ? settings.obgyneDoctor.hours.wednesday : null,
-          'Thursday': settings.obgyneDoctor.hours.thursday.enabled ? settings.obgyneDoctor.hours.thursday : null,
-          'Friday': settings.obgyneDoctor.hours.friday.enabled ? settings.obgyneDoctor.hours.friday : null,
-          'Saturday': settings.obgyneDoctor.hours.saturday.enabled ? settings.obgyneDoctor.hours.saturday : null,
-          'Sunday': settings.obgyneDoctor.hours.sunday.enabled ? settings.obgyneDoctor.hours.sunday : null,
-        }
-      },
-      'doc_2': {
-        name: settings.pediatrician.name,
-        specialty: 'pediatric',
-        schedule: {
-          'Monday': settings.pediatrician.hours.monday.enabled ? settings.pediatrician.hours.monday : null,
-          'Tuesday': settings.pediatrician.hours.tuesday.enabled ? settings.pediatrician.hours.tuesday : null,
-          'Wednesday': settings.pediatrician.hours.wednesday.enabled ? settings.pediatrician.hours.wednesday : null,
-          'Thursday': settings.pediatrician.hours.thursday.enabled ? settings.pediatrician.hours.thursday : null,
-          'Friday': settings.pediatrician.hours.friday.enabled ? settings.pediatrician.hours.friday : null,
-          'Saturday': settings.pediatrician.hours.saturday.enabled ? settings.pediatrician.hours.saturday : null,
-          'Sunday': settings.pediatrician.hours.sunday.enabled ? settings.pediatrician.hours.sunday : null,
-        }
-      }
-    };
-
-    const doctor = doctorSchedules[doctorId];
+    const doctor = await findDoctor({ doctorId });
     if (!doctor) {
       return res.status(400).json({
         success: false,
@@ -175,79 +152,42 @@ router.get('/available-slots', async (req, res) => {
       });
     }
 
-    // Get day of week for the selected date - FIXED TIMEZONE ISSUE
-    const selectedDate = new Date(date + 'T12:00:00'); // Add time to avoid timezone issues
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const dayOfWeek = dayNames[selectedDate.getDay()];
-
-    console.log('Date info:', { selectedDate, dayOfWeek, schedule: doctor.schedule });
+    // The caller's own hold (if any) still shows as available to them
+    const availability = await getDayAvailability(doctor, date, {
+      serviceType: resolveServiceType(doctor, serviceType),
+      holdToken
+    });
 
     // Check if doctor works on this day
-    if (!doctor.schedule[dayOfWeek]) {
-      console.log(`Doctor ${doctor.name} not available on ${dayOfWeek}`);
+    if (!availability.workingDay) {
+      console.log(`Doctor ${doctor.name} not available on ${date}`);
       return res.json({
         success: true,
         data: {
           availableSlots: [],
-          message: `${doctor.name} is not available on ${dayOfWeek}s`
+          message: availability.reason
         }
       });
     }
 
-    // Generate time slots (30-minute intervals)
-    const { start, end } = doctor.schedule[dayOfWeek];
-    console.log('Generating slots for:', { start, end, dayOfWeek });
-    const timeSlots = generateTimeSlots(start, end, 30);
-    console.log('Generated time slots:', timeSlots);
-
-    // Get existing CONFIRMED appointments for this date and doctor
-    // Only confirmed appointments block the slot - scheduled ones are still available for booking
-    const confirmedAppointments = await Appointment.find({
-      appointmentDate: {
-        $gte: new Date(date + 'T00:00:00.000Z'),
-        $lt: new Date(date + 'T23:59:59.999Z')
-      },
-      doctorName: doctor.name,
-      status: 'confirmed' // Only block if confirmed, not scheduled
-    });
-
-    // Get SCHEDULED appointments to show count of pending bookings
-    const scheduledAppointments = await Appointment.find({
-      appointmentDate: {
-        $gte: new Date(date + 'T00:00:00.000Z'),
-        $lt: new Date(date + 'T23:59:59.999Z')
-      },
-      doctorName: doctor.name,
-      status: 'scheduled' // Count scheduled appointments
-    });
-
-    console.log('Existing confirmed appointments:', confirmedAppointments.length);
-    console.log('Existing scheduled appointments:', scheduledAppointments.length);
-
-    // Filter out booked slots (only confirmed ones)
-    const bookedTimes = confirmedAppointments.map(apt => apt.appointmentTime);
-    const availableSlots = timeSlots.filter(slot => !bookedTimes.includes(slot));
-
-    // Count scheduled appointments per time slot
-    const scheduledCounts = {};
-    scheduledAppointments.forEach(apt => {
-      const time = apt.appointmentTime;
-      scheduledCounts[time] = (scheduledCounts[time] || 0) + 1;
-    });
+    // Pending and confirmed bookings both reserve their time, so an available
+    // slot never has competing bookings
+    const { availableSlots } = availability;
+    const { start, end } = availability.workingHours;
 
-    // Create slots with booking count information
+    // Older portal builds still read booking counts per slot
     const slotsWithCounts = availableSlots.map(slot => ({
       time: slot,
-      scheduledCount: scheduledCounts[slot] || 0
+      scheduledCount: 0
     }));
 
-    console.log('Available slots with counts:', slotsWithCounts);
-
     res.json({
       success: true,
       data: {
         slots: availableSlots, // Keep backward compatibility
-        slotsWithCounts: slotsWithCounts, // New format with counts
+        slotsWithCounts: slotsWithCounts,
+        heldSlots: availability.heldSlots, // Reserved by another patient's checkout
+        duration: availability.duration,
         doctorInfo: {
           name: doctor.name,
           specialty: doctor.specialty,
@@ -268,49 +208,25 @@ router.get('/available-slots', async (req, res) => {
 // Get all available doctors and their schedules
 router.get('/doctors', async (req, res) => {
   try {
-    const settings = await Settings.getSettings();
+    const roster = await getDoctors();
 
-    // Helper to format schedule string
-    const formatSchedule = (hours) => {
+    const doctors = roster.map(doctor => {
+      const weeklySchedule = getWeeklySchedule(doctor);
       const schedule = {};
-      const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-      days.forEach(day => {
-        if (hours[day] && hours[day].enabled) {
-          const dayName = day.charAt(0).toUpperCase() + day.slice(1);
-          schedule[dayName] = `${hours[day].start} - ${hours[day].end}`;
-        }
+      Object.entries(weeklySchedule).forEach(([day, hours]) => {
+        schedule[day] = `${hours.start} - ${hours.end}`;
       });
-      return schedule;
-    };
 
-    // Helper to get working days
-    const getWorkingDays = (hours) => {
-      const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-      return days
-        .filter(day => hours[day] && hours[day].enabled)
-        .map(day => day.charAt(0).toUpperCase() + day.slice(1));
-    };
-
-    const doctors = [
-      {
-        _id: 'doc_1',
-        name: settings.obgyneDoctor.name,
-        specialty: 'OB-GYNE',
-        specialtyCode: 'ob-gyne',
-        description: 'Obstetrics and Gynecology specialist',
-        schedule: formatSchedule(settings.obgyneDoctor.hours),
-        workingDays: getWorkingDays(settings.obgyneDoctor.hours)
-      },
-      {
-        _id: 'doc_2',
-        name: settings.pediatrician.name,
-        specialty: 'Pediatric',
-        specialtyCode: 'pediatric',
-        description: 'Pediatrics specialist for children and infants',
-        schedule: formatSchedule(settings.pediatrician.hours),
-        workingDays: getWorkingDays(settings.pediatrician.hours)
-      }
-    ];
+      return {
+        _id: doctor.id,
+        name: doctor.name,
+        specialty: doctor.specialtyLabel,
+        specialtyCode: doctor.specialty,
+        description: doctor.description,
+        schedule,
+        workingDays: Object.keys(weeklySchedule)
+      };
+    });
 
     res.json({
       success: true,
@@ -326,15 +242,99 @@ router.get('/doctors', async (req, res) => {
   }
 });
 
+// Hold a slot for a few minutes while the patient completes the booking form
+router.post('/holds', authenticatePatient, requireVerifiedEmail, [
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
+  body('appointmentTime').matches(APPOINTMENT_TIME).withMessage('Time must be in format HH:MM AM/PM'),
+  body('serviceType').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId, appointmentDate, appointmentTime, serviceType } = req.body;
+
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctor selected'
+      });
+    }
+
+    const hold = await createHold({
+      doctor,
+      date: appointmentDate,
+      time: appointmentTime,
+      serviceType: resolveServiceType(doctor, serviceType),
+      patientUserId: req.patient.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time slot held. Please complete your booking before the hold expires.',
+      data: { hold }
+    });
+
+  } catch (error) {
+    if (error instanceof HoldError || error instanceof SlotConflictError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error holding time slot'
+    });
+  }
+});
+
+// Release a hold when the patient abandons checkout
+router.delete('/holds/:holdToken', authenticatePatient, async (req, res) => {
+  try {
+    const released = await releaseHold(req.params.holdToken, req.patient.id);
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found or already expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hold released'
+    });
+
+  } catch (error) {
+    console.error('Release hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing hold'
+    });
+  }
+});
+
 // Book an appointment
-router.post('/book-appointment', authenticatePatient, [
-  body('doctorName').notEmpty().withMessage('Doctor name is required'),
+// Portal bookings always go through a hold: send the holdToken from POST /holds.
+// Booking without one would let a patient skip the hold step and race others for the slot.
+router.post('/book-appointment', authenticatePatient, requireVerifiedEmail, [
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
   body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
   body('appointmentTime').notEmpty().withMessage('Appointment time is required'),
   body('serviceType').notEmpty().withMessage('Service type is required'),
   body('reasonForVisit').optional().trim(),
   body('patientType').isIn(['self', 'dependent']).withMessage('Patient type must be self or dependent'),
-  body('dependentInfo').optional().isObject()
+  body('dependentInfo').optional().isObject(),
+  body('holdToken').isString().notEmpty().withMessage('Hold the time slot before booking it')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -347,13 +347,14 @@ router.post('/book-appointment', authenticatePatient, [
     }
 
     const {
-      doctorName,
+      doctorId,
       appointmentDate,
       appointmentTime,
       serviceType,
       reasonForVisit,
       patientType,
-      dependentInfo
+      dependentInfo,
+      holdToken
     } = req.body;
 
     // Get patient user info from authenticated request
@@ -366,19 +367,37 @@ router.post('/book-appointment', authenticatePatient, [
       });
     }
 
-    // Check if slot is already confirmed by another patient
-    // Allow multiple "scheduled" appointments - they'll compete for confirmation
-    const confirmedAppointment = await Appointment.findOne({
-      appointmentDate: new Date(appointmentDate),
-      appointmentTime,
-      doctorName,
-      status: 'confirmed'
+    // Map the selected doctor to doctorType and default serviceType
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctor selected'
+      });
+    }
+
+    const doctorInfo = {
+      doctorType: doctor.specialty,
+      serviceType: resolveServiceType(doctor, serviceType)
+    };
+
+    // Check the whole visit against working hours, closures and existing bookings.
+    // The slot claim taken on save is what finally guarantees a single winner.
+    await verifyHold(holdToken, {
+      doctor,
+      date: appointmentDate,
+      time: appointmentTime,
+      patientUserId: patientUser._id
     });
 
-    if (confirmedAppointment) {
-      return res.status(400).json({
+    const slotCheck = await checkSlot(doctor, appointmentDate, appointmentTime, {
+      serviceType: doctorInfo.serviceType,
+      holdToken
+    });
+    if (!slotCheck.available) {
+      return res.status(slotCheck.conflict ? 409 : 400).json({
         success: false,
-        message: 'This time slot has already been confirmed for another patient'
+        message: slotCheck.reason
       });
     }
 
@@ -406,29 +425,6 @@ router.post('/book-appointment', authenticatePatient, [
     const appointmentCount = await Appointment.countDocuments();
     const appointmentId = `APT${String(appointmentCount + 1).padStart(6, '0')}`;
 
-    // Fetch settings for dynamic doctor names
-    const settings = await Settings.getSettings();
-
-    // Map specialty to doctorType and serviceType
-    const doctorSchedules = {
-      [settings.obgyneDoctor.name]: {
-        doctorType: 'ob-gyne',
-        defaultServiceType: 'PRENATAL_CHECKUP'
-      },
-      [settings.pediatrician.name]: {
-        doctorType: 'pediatric',
-        defaultServiceType: 'WELL_CHILD_CHECKUP'
-      }
-    };
-
-    const doctorInfo = doctorSchedules[doctorName];
-    if (!doctorInfo) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid doctor selected'
-      });
-    }
-
     // Find or create patient record linked to PatientUser
     let patientRecord = await Patient.findOne({
       'contactInfo.email': patientUser.email
@@ -524,12 +520,13 @@ router.post('/book-appointment', authenticatePatient, [
       }
     }
 
-    if (patientRecord?.appointmentLocked) {
+    if (await isBookingLocked(patientRecord)) {
       return res.status(403).json({
         success: false,
-        message: 'Booking is locked due to multiple no-shows. Please contact the clinic to unlock.',
+        message: BOOKING_LOCKED_MESSAGE,
         data: {
-          noShowCount: patientRecord.noShowCount || 0
+          noShowCount: patientRecord.noShowCount || 0,
+          unlocksAt: unlocksAt(patientRecord, await getNoShowPolicy())
         }
       });
     }
@@ -540,10 +537,11 @@ router.post('/book-appointment', authenticatePatient, [
       patient: patientRecord._id, // Link to patient record
       patientUserId: patientUser._id,
       doctorType: doctorInfo.doctorType,
-      doctorName,
-      appointmentDate: new Date(appointmentDate),
+      doctor: doctor._id,
+      doctorName: doctor.name,
+      appointmentDate: getDayBounds(toDateKey(appointmentDate)).start,
       appointmentTime,
-      serviceType: doctorInfo.defaultServiceType, // Always use the correct default service type
+      serviceType: doctorInfo.serviceType, // endTime is derived from the service duration
       contactInfo: {
         primaryPhone: patientUser.phoneNumber,
         email: patientUser.email
@@ -557,23 +555,24 @@ router.post('/book-appointment', authenticatePatient, [
       bookingSource: 'patient_portal'
     });
 
+    // Hand the held slot over to the new appointment
+    appointment.$locals.holdToken = holdToken;
+    setHistoryContext(appointment, { actor: { patientUserId: req.patient.id } });
     await appointment.save();
 
     // Emit socket event for real-time notification
-    if (req.io) {
-      req.io.emit('appointment:created', {
-        type: 'appointment_created',
-        message: `New appointment booked by ${appointment.patientName}`,
-        data: {
-          id: appointment._id,
-          patientName: appointment.patientName,
-          doctorName: appointment.doctorName,
-          serviceType: appointment.serviceType,
-          date: appointment.appointmentDate,
-          time: appointment.appointmentTime
-        }
-      });
-    }
+    await notifyStaff(req.io, appointment.doctor, 'appointment:created', {
+      type: 'appointment_created',
+      message: `New appointment booked by ${appointment.patientName}`,
+      data: {
+        id: appointment._id,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName,
+        serviceType: appointment.serviceType,
+        date: appointment.appointmentDate,
+        time: appointment.appointmentTime
+      }
+    });
 
     // Return appointment details
     res.status(201).json({
@@ -583,9 +582,11 @@ router.post('/book-appointment', authenticatePatient, [
         appointment: {
           appointmentId: appointment.appointmentId,
           patientName: appointment.patientName,
+          doctorId: appointment.doctor,
           doctorName: appointment.doctorName,
           appointmentDate: appointment.appointmentDate,
           appointmentTime: appointment.appointmentTime,
+          endTime: appointment.endTime,
           serviceType: appointment.serviceType,
           reasonForVisit: appointment.reasonForVisit,
           status: appointment.status,
@@ -599,6 +600,12 @@ router.post('/book-appointment', authenticatePatient, [
     console.error('Book appointment error:', error);
     console.error('Error stack:', error.stack);
     console.error('Request body:', JSON.stringify(req.body, null, 2));
+    if (error instanceof SlotConflictError || error instanceof HoldError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error booking appointment',
@@ -645,12 +652,7 @@ router.put('/cancel-appointment/:appointmentId', authenticatePatient, async (req
       });
     }
 
-    if (appointment.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Appointment is already cancelled'
-      });
-    }
+    assertTransition(appointment, 'cancelled', { action: 'cancel' });
 
     // Check if appointment is in the future (allow cancellation up to 2 hours before)
     const appointmentDateTime = new Date(`${appointment.appointmentDate.toISOString().split('T')[0]}T${convertTo24Hour(appointment.appointmentTime)}`);
@@ -665,24 +667,26 @@ router.put('/cancel-appointment/:appointmentId', authenticatePatient, async (req
       });
     }
 
-    appointment.status = 'cancelled';
+    transitionTo(appointment, 'cancelled');
     appointment.updatedAt = new Date();
+    setHistoryContext(appointment, { actor: { patientUserId: req.patient.id }, action: 'cancelled_by_patient' });
     await appointment.save();
 
+    // Offer the freed time to the waitlist
+    await offerFreedSlot(appointment, req.io);
+
     // Emit socket event for real-time notification
-    if (req.io) {
-      req.io.emit('appointment:cancelled', {
-        type: 'appointment_cancelled',
-        message: `Appointment cancelled by ${appointment.patientName}`,
-        data: {
-          id: appointment._id,
-          patientName: appointment.patientName,
-          doctorName: appointment.doctorName,
-          date: appointment.appointmentDate,
-          time: appointment.appointmentTime
-        }
-      });
-    }
+    await notifyStaff(req.io, appointment.doctor, 'appointment:cancelled', {
+      type: 'appointment_cancelled',
+      message: `Appointment cancelled by ${appointment.patientName}`,
+      data: {
+        id: appointment._id,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName,
+        date: appointment.appointmentDate,
+        time: appointment.appointmentTime
+      }
+    });
 
     res.json({
       success: true,
@@ -691,6 +695,9 @@ router.put('/cancel-appointment/:appointmentId', authenticatePatient, async (req
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json(transitionErrorBody(error));
+    }
     console.error('Cancel appointment error:', error);
     res.status(500).json({
       success: false,
@@ -724,69 +731,12 @@ router.post('/request-cancellation/:appointmentId', authenticatePatient, async (
       });
     }
 
-    // Check if appointment can be cancelled
-    if (appointment.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Appointment is already cancelled'
-      });
-    }
-
-    if (appointment.status === 'cancellation_pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cancellation request is already pending'
-      });
-    }
-
-    if (appointment.status === 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel a completed appointment'
-      });
-    }
-
-    // Check if appointment is in the future (allow cancellation up to 2 hours before)
-    const appointmentDateTime = new Date(`${appointment.appointmentDate.toISOString().split('T')[0]}T${convertTo24Hour(appointment.appointmentTime)}`);
-    const now = new Date();
-    const timeDifference = appointmentDateTime.getTime() - now.getTime();
-    const hoursDifference = timeDifference / (1000 * 60 * 60);
-
-    if (hoursDifference < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Appointments can only be cancelled at least 2 hours in advance'
-      });
-    }
-
-    // Create cancellation request
-    appointment.status = 'cancellation_pending';
-    appointment.cancellationRequest = {
-      status: 'pending',
+    await requestCancellation(appointment, {
       reason: reason.trim(),
-      requestedAt: new Date(),
-      requestedBy: req.patient.id,
-      previousStatus: appointment.status
-    };
-    appointment.updatedAt = new Date();
-    
-    await appointment.save();
-
-    // Emit socket event for real-time notification
-    if (req.io) {
-      req.io.emit('appointment:cancellation_requested', {
-        type: 'cancellation_requested',
-        message: `Cancellation request submitted for appointment with ${appointment.patientName}`,
-        data: {
-          id: appointment._id,
-          appointmentId: appointment.appointmentId,
-          patientName: appointment.patientName,
-          doctorName: appointment.doctorName,
-          date: appointment.appointmentDate,
-          time: appointment.appointmentTime
-        }
-      });
-    }
+      patientUserId: req.patient.id,
+      source: 'patient_portal',
+      io: req.io
+    });
 
     res.json({
       success: true,
@@ -795,6 +745,15 @@ router.post('/request-cancellation/:appointmentId', authenticatePatient, async (
     });
 
   } catch (error) {
+    if (error instanceof AppointmentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json(transitionErrorBody(error));
+    }
     console.error('Request cancellation error:', error);
     res.status(500).json({
       success: false,
@@ -834,32 +793,49 @@ router.post('/request-reschedule/:appointmentId', authenticatePatient, async (re
       });
     }
 
-    if (appointment.status === 'cancelled' || appointment.status === 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot reschedule a cancelled or completed appointment'
-      });
-    }
+    assertTransition(appointment, 'reschedule_pending', { action: 'request a reschedule of' });
 
     let parsedDate = null;
 
     // Only validate and check conflicts if a date is provided
     if (dateToUse && timeToUse) {
-      // Parse the new date
-      const [year, month, day] = dateToUse.split('-');
-      parsedDate = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), 12, 0, 0));
+      if (!APPOINTMENT_TIME.test(timeToUse)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Time must be in format HH:MM AM/PM'
+        });
+      }
 
-      // Check for conflicts
-      const existingAppointment = await Appointment.findOne({
-        _id: { $ne: appointment._id },
-        doctorName: appointment.doctorName,
-        appointmentDate: parsedDate,
-        appointmentTime: timeToUse,
-        status: { $in: ["scheduled", "confirmed", "reschedule_pending"] },
-      });
+      // Appointment dates are stored at UTC midnight of the day
+      parsedDate = getDayBounds(toDateKey(dateToUse)).start;
+
+      // Make sure the doctor is working that day (weekly hours, closures and leave)
+      const doctor = await findDoctor({ doctorId: appointment.doctor, includeInactive: true });
+      if (doctor) {
+        const availability = await getDayAvailability(doctor, parsedDate);
+        if (!availability.workingDay) {
+          return res.status(400).json({
+            success: false,
+            message: availability.reason
+          });
+        }
+      }
 
-      if (existingAppointment) {
-        return res.status(400).json({
+      // Check for conflicts with other visits overlapping the requested time range
+      const requestedStart = parseAppointmentTime(timeToUse);
+      const overlapping = appointment.doctor
+        ? await findOverlappingAppointments(
+          appointment.doctor,
+          parsedDate,
+          { start: requestedStart, end: requestedStart + await getServiceDuration(appointment.serviceType) },
+          {
+            excludeId: appointment._id
+          }
+        )
+        : [];
+
+      if (overlapping.length > 0) {
+        return res.status(409).json({
           success: false,
           message: 'The requested time slot is already booked'
         });
@@ -875,24 +851,27 @@ router.post('/request-reschedule/:appointmentId', authenticatePatient, async (re
       preferredTime: timeToUse,
       requestedBy: req.patient.id
     };
-    appointment.status = 'reschedule_pending';
+    transitionTo(appointment, 'reschedule_pending');
     appointment.updatedAt = new Date();
-    
+    setHistoryContext(appointment, {
+      actor: { patientUserId: req.patient.id },
+      action: 'reschedule_requested',
+      reason: appointment.rescheduleRequest.reason
+    });
+
     await appointment.save();
 
     // Emit socket event
-    if (req.io) {
-      req.io.emit('appointment:reschedule_requested', {
-        type: 'reschedule_requested',
-        message: `Reschedule request submitted for appointment with ${appointment.patientName}`,
-        data: {
-          id: appointment._id,
-          appointmentId: appointment.appointmentId,
-          patientName: appointment.patientName,
-          doctorName: appointment.doctorName
-        }
-      });
-    }
+    await notifyStaff(req.io, appointment.doctor, 'appointment:reschedule_requested', {
+      type: 'reschedule_requested',
+      message: `Reschedule request submitted for appointment with ${appointment.patientName}`,
+      data: {
+        id: appointment._id,
+        appointmentId: appointment.appointmentId,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName
+      }
+    });
 
     res.json({
       success: true,
@@ -901,6 +880,9 @@ router.post('/request-reschedule/:appointmentId', authenticatePatient, async (re
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json(transitionErrorBody(error));
+    }
     console.error('Request reschedule error:', error);
     res.status(500).json({
       success: false,
@@ -933,32 +915,32 @@ router.post('/accept-reschedule/:appointmentId', authenticatePatient, async (req
         message: 'No pending reschedule request found for this appointment'
       });
     }
+    requireStatus(appointment, ['reschedule_pending'], { action: 'accept a new time for' });
 
     // Apply the reschedule
     appointment.appointmentDate = appointment.rescheduleRequest.preferredDate;
     appointment.appointmentTime = appointment.rescheduleRequest.preferredTime;
-    appointment.status = 'confirmed';
+    transitionTo(appointment, 'confirmed');
     appointment.rescheduleRequest.status = 'approved';
     appointment.rescheduleRequest.reviewedAt = new Date();
     appointment.updatedAt = new Date();
-    
+    setHistoryContext(appointment, { actor: { patientUserId: req.patient.id }, action: 'reschedule_accepted' });
+
     await appointment.save();
 
     // Emit socket event
-    if (req.io) {
-      req.io.emit('appointment:reschedule_accepted', {
-        type: 'reschedule_accepted',
-        message: `Reschedule accepted for appointment with ${appointment.patientName}`,
-        data: {
-          id: appointment._id,
-          appointmentId: appointment.appointmentId,
-          patientName: appointment.patientName,
-          doctorName: appointment.doctorName,
-          newDate: appointment.appointmentDate,
-          newTime: appointment.appointmentTime
-        }
-      });
-    }
+    await notifyStaff(req.io, appointment.doctor, 'appointment:reschedule_accepted', {
+      type: 'reschedule_accepted',
+      message: `Reschedule accepted for appointment with ${appointment.patientName}`,
+      data: {
+        id: appointment._id,
+        appointmentId: appointment.appointmentId,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName,
+        newDate: appointment.appointmentDate,
+        newTime: appointment.appointmentTime
+      }
+    });
 
     res.json({
       success: true,
@@ -968,6 +950,15 @@ router.post('/accept-reschedule/:appointmentId', authenticatePatient, async (req
 
   } catch (error) {
     console.error('Accept reschedule error:', error);
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json(transitionErrorBody(error));
+    }
+    if (error instanceof SlotConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error accepting reschedule',
@@ -999,6 +990,7 @@ router.post('/cancel-reschedule/:appointmentId', authenticatePatient, async (req
         message: 'No pending reschedule request found for this appointment'
       });
     }
+    requireStatus(appointment, ['reschedule_pending'], { action: 'decline a new time for' });
 
     // Reject the reschedule - revert to original status
     appointment.rescheduleRequest.status = 'rejected';
@@ -1010,24 +1002,23 @@ router.post('/cancel-reschedule/:appointmentId', authenticatePatient, async (req
       appointment.appointmentTime = appointment.rescheduledFrom.originalTime;
     }
     
-    appointment.status = 'scheduled'; // Revert to scheduled
+    transitionTo(appointment, 'scheduled'); // Revert to scheduled
     appointment.updatedAt = new Date();
-    
+    setHistoryContext(appointment, { actor: { patientUserId: req.patient.id }, action: 'reschedule_rejected' });
+
     await appointment.save();
 
     // Emit socket event
-    if (req.io) {
-      req.io.emit('appointment:reschedule_rejected', {
-        type: 'reschedule_rejected',
-        message: `Reschedule rejected for appointment with ${appointment.patientName}`,
-        data: {
-          id: appointment._id,
-          appointmentId: appointment.appointmentId,
-          patientName: appointment.patientName,
-          doctorName: appointment.doctorName
-        }
-      });
-    }
+    await notifyStaff(req.io, appointment.doctor, 'appointment:reschedule_rejected', {
+      type: 'reschedule_rejected',
+      message: `Reschedule rejected for appointment with ${appointment.patientName}`,
+      data: {
+        id: appointment._id,
+        appointmentId: appointment.appointmentId,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName
+      }
+    });
 
     res.json({
       success: true,
@@ -1037,6 +1028,15 @@ router.post('/cancel-reschedule/:appointmentId', authenticatePatient, async (req
 
   } catch (error) {
     console.error('Cancel reschedule error:', error);
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json(transitionErrorBody(error));
+    }
+    if (error instanceof SlotConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error rejecting reschedule',
@@ -1045,31 +1045,307 @@ router.post('/cancel-reschedule/:appointmentId', authenticatePatient, async (req
   }
 });
 
-// Helper function to generate time slots
-function generateTimeSlots(startTime, endTime, intervalMinutes = 30) {
-  const slots = [];
-  const [startHour, startMin] = startTime.split(':').map(Number);
-  const [endHour, endMin] = endTime.split(':').map(Number);
+// Join the waitlist for a doctor, service and date range
+router.post('/waitlist', authenticatePatient, requireVerifiedEmail, [
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('serviceType').optional(),
+  body('dateFrom').isISO8601().withMessage('Valid start date is required'),
+  body('dateTo').isISO8601().withMessage('Valid end date is required'),
+  body('patientType').optional().isIn(['self', 'dependent']).withMessage('Patient type must be self or dependent'),
+  body('dependentInfo').optional().isObject(),
+  body('reasonForVisit').optional().trim().isLength({ max: 500 }).withMessage('Reason for visit too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId, serviceType, dateFrom, dateTo, patientType = 'self', dependentInfo, reasonForVisit } = req.body;
+
+    const patientUser = await PatientUser.findById(req.patient.id);
+    if (!patientUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient account not found'
+      });
+    }
+
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctor selected'
+      });
+    }
+
+    if (patientType === 'dependent' && (!dependentInfo || !dependentInfo.name || !dependentInfo.relationship)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependent information is required for dependent appointments'
+      });
+    }
+
+    const fromKey = toDateKey(dateFrom);
+    const toKey = toDateKey(dateTo);
+    if (toKey < fromKey || toKey < toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a date range that has not already passed'
+      });
+    }
 
-  const startMinutes = startHour * 60 + startMin;
-  const endMinutes = endHour * 60 + endMin;
+    const entry = new WaitlistEntry({
+      patientUser: patientUser._id,
+      patient: patientUser.patientRecord,
+      patientName: patientType === 'dependent' ? dependentInfo.name : patientUser.fullName,
+      contactNumber: patientUser.phoneNumber,
+      email: patientUser.email,
+      patientType,
+      dependentInfo: patientType === 'dependent' ? dependentInfo : undefined,
+      doctor: doctor._id,
+      serviceType: resolveServiceType(doctor, serviceType),
+      dateFrom: getDayBounds(fromKey).start,
+      dateTo: getDayBounds(toKey).start,
+      reasonForVisit
+    });
 
-  for (let minutes = startMinutes; minutes < endMinutes; minutes += intervalMinutes) {
-    const hour = Math.floor(minutes / 60);
-    const min = minutes % 60;
+    await entry.save();
 
-    let displayHour = hour;
-    const ampm = hour >= 12 ? 'PM' : 'AM';
+    res.status(201).json({
+      success: true,
+      message: 'You have been added to the waitlist. We will notify you when a slot opens up.',
+      data: { entry }
+    });
 
-    if (hour > 12) displayHour = hour - 12;
-    if (hour === 0) displayHour = 12;
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining waitlist'
+    });
+  }
+});
+
+// Get the patient's waitlist entries
+router.get('/waitlist', authenticatePatient, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ patientUser: req.patient.id })
+      .populate('doctor', 'name specialty')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
 
-    const timeString = `${displayHour}:${min.toString().padStart(2, '0')} ${ampm}`;
-    slots.push(timeString);
+  } catch (error) {
+    console.error('My waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving waitlist'
+    });
   }
+});
 
-  return slots;
-}
+// Accept, decline or leave a waitlist entry owned by the patient
+const findOwnWaitlistEntry = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) return null;
+  return WaitlistEntry.findOne({ _id: req.params.entryId, patientUser: req.patient.id });
+};
+
+const waitlistErrorResponse = (res, error, fallbackMessage) => {
+  if (error instanceof WaitlistError || error instanceof SlotConflictError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Accept a waitlist offer and book the offered slot
+router.post('/waitlist/:entryId/accept', authenticatePatient, async (req, res) => {
+  try {
+    const entry = await findOwnWaitlistEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const appointment = await acceptOffer(entry, { io: req.io });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer accepted. Your appointment has been booked.',
+      data: {
+        appointment: {
+          appointmentId: appointment.appointmentId,
+          patientName: appointment.patientName,
+          doctorId: appointment.doctor,
+          doctorName: appointment.doctorName,
+          appointmentDate: appointment.appointmentDate,
+          appointmentTime: appointment.appointmentTime,
+          endTime: appointment.endTime,
+          serviceType: appointment.serviceType,
+          status: appointment.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    waitlistErrorResponse(res, error, 'Error accepting waitlist offer');
+  }
+});
+
+// Decline the offered time but stay on the waitlist
+router.post('/waitlist/:entryId/decline', authenticatePatient, async (req, res) => {
+  try {
+    const entry = await findOwnWaitlistEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    await declineOffer(entry, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Offer declined. You are still on the waitlist.',
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    waitlistErrorResponse(res, error, 'Error declining waitlist offer');
+  }
+});
+
+// Leave the waitlist
+router.delete('/waitlist/:entryId', authenticatePatient, async (req, res) => {
+  try {
+    const entry = await findOwnWaitlistEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    await withdrawEntry(entry, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    waitlistErrorResponse(res, error, 'Error leaving waitlist');
+  }
+});
+
+// The clinic patient record of the logged-in portal user
+const findOwnPatientRecord = async (patientUserId) => {
+  const patientUser = await PatientUser.findById(patientUserId).select('email patientRecord');
+  if (!patientUser) return null;
+  if (patientUser.patientRecord) return Patient.findById(patientUser.patientRecord);
+  return Patient.findOne({ 'contactInfo.email': patientUser.email });
+};
+
+// Booking lock status and the patient's no-show appeals
+router.get('/no-show-appeals', authenticatePatient, async (req, res) => {
+  try {
+    const patientRecord = await findOwnPatientRecord(req.patient.id);
+    const locked = await isBookingLocked(patientRecord);
+    const appeals = await NoShowAppeal.find({ patientUser: req.patient.id })
+      .select('-reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        booking: {
+          locked,
+          noShowCount: patientRecord?.noShowCount || 0,
+          unlocksAt: patientRecord ? unlocksAt(patientRecord, await getNoShowPolicy()) : null
+        },
+        appeals
+      }
+    });
+
+  } catch (error) {
+    console.error('Get no-show appeals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving appeals'
+    });
+  }
+});
+
+// Appeal a no-show booking lock
+router.post('/no-show-appeals', authenticatePatient, [
+  body('reason').trim().notEmpty().withMessage('Please explain why booking should be unlocked')
+    .isLength({ max: 1000 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const patientRecord = await findOwnPatientRecord(req.patient.id);
+    if (!patientRecord) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is not locked'
+      });
+    }
+
+    const appeal = await submitAppeal({
+      patient: patientRecord,
+      patientUserId: req.patient.id,
+      reason: req.body.reason,
+      io: req.io
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Your appeal was submitted. The clinic will review it shortly.',
+      data: { appeal }
+    });
+
+  } catch (error) {
+    if (error instanceof NoShowAppealError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Submit no-show appeal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting appeal'
+    });
+  }
+});
 
 // Helper function to convert 12-hour format to 24-hour format
 function convertTo24Hour(time12h) {
@@ -0,0 +1,97 @@
+import express from 'express';
+import { authenticatePatient } from '../middleware/patientAuth.js';
+import {
+  countUnread,
+  listNotifications,
+  markAllRead,
+  markRead
+} from '../services/notifications.js';
+
+const router = express.Router();
+
+const recipientOf = (req) => ({ patientUserId: req.patient.id });
+
+// List the patient's notifications, newest first
+router.get('/', authenticatePatient, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unreadOnly === 'true';
+
+    const result = await listNotifications(recipientOf(req), { page, limit, unreadOnly });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get patient notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving notifications'
+    });
+  }
+});
+
+// Number of unread notifications, for the notification badge
+router.get('/unread-count', authenticatePatient, async (req, res) => {
+  try {
+    const unreadCount = await countUnread(recipientOf(req));
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Get patient unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving unread count'
+    });
+  }
+});
+
+// Mark every notification as read
+router.patch('/read-all', authenticatePatient, async (req, res) => {
+  try {
+    const updated = await markAllRead(recipientOf(req));
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Mark all patient notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notifications'
+    });
+  }
+});
+
+// Mark one notification as read
+router.patch('/:id/read', authenticatePatient, async (req, res) => {
+  try {
+    const notification = await markRead(recipientOf(req), req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark patient notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import Patient from '../models/Patient.js';
 import Appointment from '../models/Appointment.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditLog.js';
+import { unlockBooking } from '../services/noShowPolicy.js';
 const router = express.Router();
 
 // Create new patient
@@ -68,7 +70,8 @@ router.post('/', authenticateToken, requireRole(['admin', 'staff']), async (req,
     // For now, we'll let the model handle it
     const patient = new Patient(patientData);
     await patient.save();
-    
+    await recordAudit(req, { action: 'create', resource: 'patient', patient });
+
     res.status(201).json({
       message: 'Patient created successfully',
       patient: {
@@ -194,6 +197,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Patient not found' });
     }
 
+    await recordAudit(req, { action: 'view', resource: 'patient', patient });
+
     res.json(patient);
   } catch (error) {
     console.error('Error fetching patient:', error);
@@ -214,6 +219,13 @@ router.put('/:id', authenticateToken, requireRole(['admin', 'staff']), async (re
       return res.status(404).json({ message: 'Patient not found' });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'patient',
+      patient,
+      details: { fields: Object.keys(req.body) }
+    });
+
     res.json({
       message: 'Patient updated successfully',
       patient
@@ -269,6 +281,16 @@ router.post('/:id/consultations', authenticateToken, requireRole(['admin', 'doct
 
     await patient.save();
 
+    const consultations = patient.patientType === 'pediatric'
+      ? patient.pediatricRecord.consultations
+      : patient.obGyneRecord.consultations;
+    await recordAudit(req, {
+      action: 'create',
+      resource: 'consultation',
+      patient,
+      resourceId: consultations[consultations.length - 1]._id
+    });
+
     res.status(201).json({
       message: 'Consultation record added successfully',
       patient
@@ -327,6 +349,13 @@ router.put('/:id/consultations/:consultationId', authenticateToken, requireRole(
     }
 
     await patient.save();
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'consultation',
+      patient,
+      resourceId: req.params.consultationId,
+      details: { fields: Object.keys(req.body) }
+    });
 
     res.json({
       message: 'Consultation record updated successfully',
@@ -371,6 +400,12 @@ router.delete('/:id/consultations/:consultationId', authenticateToken, requireRo
     // Remove the consultation record
     consultations.splice(consultationIndex, 1);
     await patient.save();
+    await recordAudit(req, {
+      action: 'delete',
+      resource: 'consultation',
+      patient,
+      resourceId: req.params.consultationId
+    });
 
     res.json({
       message: 'Consultation record deleted successfully',
@@ -420,6 +455,14 @@ router.post('/:id/immunizations', authenticateToken, requireRole(['admin', 'doct
     patient.pediatricRecord.immunizationRecords.push(immunizationData);
     await patient.save();
 
+    const immunizations = patient.pediatricRecord.immunizationRecords;
+    await recordAudit(req, {
+      action: 'create',
+      resource: 'immunization',
+      patient,
+      resourceId: immunizations[immunizations.length - 1]._id
+    });
+
     res.status(201).json({
       message: 'Immunization record added successfully',
       patient
@@ -470,6 +513,13 @@ router.put('/:id/immunizations/:immunizationId', authenticateToken, requireRole(
     };
 
     await patient.save();
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'immunization',
+      patient,
+      resourceId: req.params.immunizationId,
+      details: { fields: Object.keys(req.body) }
+    });
 
     res.json({
       message: 'Immunization record updated successfully',
@@ -509,6 +559,12 @@ router.delete('/:id/immunizations/:immunizationId', authenticateToken, requireRo
     // Remove the immunization record
     patient.pediatricRecord.immunizationRecords.splice(immunizationIndex, 1);
     await patient.save();
+    await recordAudit(req, {
+      action: 'delete',
+      resource: 'immunization',
+      patient,
+      resourceId: req.params.immunizationId
+    });
 
     res.json({
       message: 'Immunization record deleted successfully',
@@ -656,9 +712,14 @@ router.patch('/:id/unlock-appointments', authenticateToken, requireRole(['admin'
       });
     }
 
-    patient.appointmentLocked = false;
-    patient.noShowCount = 0;
+    unlockBooking(patient);
     await patient.save();
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'patient',
+      patient,
+      details: { fields: ['appointmentLocked', 'noShowCount', 'noShowCountResetAt'] }
+    });
 
     res.json({
       success: true,
@@ -684,6 +745,8 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
       return res.status(404).json({ message: 'Patient not found' });
     }
 
+    await recordAudit(req, { action: 'delete', resource: 'patient', patient });
+
     res.json({ message: 'Patient deleted successfully' });
   } catch (error) {
     console.error('Error deleting patient:', error);
@@ -0,0 +1,253 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Appointment, { SERVICE_TYPES } from '../models/Appointment.js';
+import Patient from '../models/Patient.js';
+import { authenticateToken, requireStaff } from '../middleware/auth.js';
+import { InvalidTransitionError, transitionErrorBody } from '../services/appointmentStateMachine.js';
+import { findDoctor, toDateKey } from '../services/availability.js';
+import {
+  QueueError,
+  callNext,
+  checkIn,
+  checkInWalkIn,
+  finishConsultation,
+  getQueue,
+  startConsultation
+} from '../services/queue.js';
+import { toClinicTime } from '../services/time.js';
+
+const router = express.Router();
+
+const loadAppointment = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Appointment.findById(id);
+};
+
+const handleQueueError = (res, error, fallbackMessage) => {
+  if (error instanceof QueueError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error instanceof InvalidTransitionError) {
+    return res.status(error.status).json(transitionErrorBody(error));
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Get a doctor's queue for a day (today by default)
+router.get('/', [
+  authenticateToken,
+  requireStaff,
+  query('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  query('date').optional().isISO8601().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const doctor = await findDoctor({ doctorId: req.query.doctorId, includeInactive: true });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const dateKey = req.query.date ? toDateKey(req.query.date) : toClinicTime().dateKey;
+    const queue = await getQueue(doctor._id, dateKey);
+
+    res.json({
+      success: true,
+      data: { doctorName: doctor.name, ...queue }
+    });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving queue'
+    });
+  }
+});
+
+// Check in a patient who arrived for today's appointment
+router.post('/check-in', [
+  authenticateToken,
+  requireStaff,
+  body('appointmentId').isMongoId().withMessage('Valid appointment ID is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const appointment = await loadAppointment(req.body.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    await checkIn(appointment, { user: req.user, io: req.io });
+
+    res.json({
+      success: true,
+      message: `Patient checked in as number ${appointment.queueNumber}`,
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Queue check-in error:', error);
+    handleQueueError(res, error, 'Server error checking in patient');
+  }
+});
+
+// Register a walk-in patient and add them to today's queue
+router.post('/walk-in', [
+  authenticateToken,
+  requireStaff,
+  body('patientId').notEmpty().withMessage('Patient ID is required'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('serviceType').notEmpty().withMessage('Service type is required'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('reasonForVisit').optional().isLength({ max: 500 }).withMessage('Reason for visit too long')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { patientId, doctorId, serviceType, priority, reasonForVisit } = req.body;
+
+    const patient = await Patient.findOne({ patientId, isActive: true });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    if (doctor.specialty !== patient.patientType || !SERVICE_TYPES[doctor.specialty].includes(serviceType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service type does not match the doctor and patient type'
+      });
+    }
+
+    const appointment = await checkInWalkIn({
+      patient,
+      doctor,
+      serviceType,
+      priority,
+      reasonForVisit,
+      user: req.user,
+      io: req.io
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Walk-in registered as number ${appointment.queueNumber}`,
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Walk-in check-in error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    handleQueueError(res, error, 'Server error registering walk-in');
+  }
+});
+
+// Call the next waiting patient for a doctor
+router.post('/call-next', [
+  authenticateToken,
+  requireStaff,
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const appointment = await callNext(req.body.doctorId, { user: req.user, io: req.io });
+
+    res.json({
+      success: true,
+      message: `Calling number ${appointment.queueNumber}`,
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Call next patient error:', error);
+    handleQueueError(res, error, 'Server error calling next patient');
+  }
+});
+
+// Mark the patient as in consultation
+router.patch('/:id/start', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    await startConsultation(appointment, { user: req.user, io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Consultation started',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Start consultation error:', error);
+    handleQueueError(res, error, 'Server error starting consultation');
+  }
+});
+
+// Finish the consultation; completes the appointment
+router.patch('/:id/done', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    await finishConsultation(appointment, { user: req.user, io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Consultation finished',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Finish consultation error:', error);
+    handleQueueError(res, error, 'Server error finishing consultation');
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import { query, validationResult } from 'express-validator';
 import Appointment from '../models/Appointment.js';
 import Patient from '../models/Patient.js';
 import { authenticateToken, requireStaff } from '../middleware/auth.js';
+import { getReminderReport } from '../services/reminders.js';
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ router.get('/daily', [
   authenticateToken,
   requireStaff,
   query('date').optional().isISO8601().withMessage('Valid date required'),
-  query('doctorName').optional().notEmpty().withMessage('Doctor name cannot be empty')
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,7 +25,7 @@ router.get('/daily', [
     }
 
     const date = req.query.date ? new Date(req.query.date) : new Date();
-    const doctorName = req.query.doctorName;
+    const doctorId = req.query.doctorId;
 
     const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
     const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
@@ -37,8 +38,8 @@ router.get('/daily', [
       }
     };
 
-    if (doctorName) {
-      filter.doctorName = doctorName;
+    if (doctorId) {
+      filter.doctor = doctorId;
     }
 
     // Get appointments for the day
@@ -64,9 +65,13 @@ router.get('/daily', [
       return acc;
     }, {});
 
-    // Group by doctor
+    // Group by doctor (legacy appointments without a doctor reference are grouped by name)
     const doctorStats = appointments.reduce((acc, apt) => {
-      acc[apt.doctorName] = (acc[apt.doctorName] || 0) + 1;
+      const key = apt.doctor ? apt.doctor.toString() : apt.doctorName;
+      if (!acc[key]) {
+        acc[key] = { doctorId: apt.doctor || null, doctorName: apt.doctorName, count: 0 };
+      }
+      acc[key].count++;
       return acc;
     }, {});
 
@@ -74,7 +79,7 @@ router.get('/daily', [
       success: true,
       data: {
         date: date.toISOString().split('T')[0],
-        doctor: doctorName || 'All Doctors',
+        doctor: doctorId || 'All Doctors',
         appointments,
         statistics: {
           ...stats,
@@ -98,7 +103,7 @@ router.get('/weekly', [
   authenticateToken,
   requireStaff,
   query('startDate').optional().isISO8601().withMessage('Valid start date required'),
-  query('doctorName').optional().notEmpty().withMessage('Doctor name cannot be empty')
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -111,7 +116,7 @@ router.get('/weekly', [
     }
 
     const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date();
-    const doctorName = req.query.doctorName;
+    const doctorId = req.query.doctorId;
 
     // Calculate week boundaries
     const weekStart = new Date(startDate);
@@ -129,8 +134,8 @@ router.get('/weekly', [
       }
     };
 
-    if (doctorName) {
-      filter.doctorName = doctorName;
+    if (doctorId) {
+      filter.doctor = doctorId;
     }
 
     // Get appointments for the week
@@ -180,7 +185,7 @@ router.get('/weekly', [
       data: {
         weekStart: weekStart.toISOString().split('T')[0],
         weekEnd: weekEnd.toISOString().split('T')[0],
-        doctor: doctorName || 'All Doctors',
+        doctor: doctorId || 'All Doctors',
         dailyBreakdown,
         statistics: stats,
         totalAppointments: appointments.length
@@ -389,4 +394,42 @@ router.get('/monthly', [
   }
 });
 
+// Get reminder effectiveness report: no-show rate with and without reminders
+router.get('/reminders', [
+  authenticateToken,
+  requireStaff,
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('endDate').isISO8601().withMessage('Valid end date is required'),
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await getReminderReport({
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      doctorId: req.query.doctorId
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Reminder report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating reminder report'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
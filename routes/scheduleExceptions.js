@@ -0,0 +1,282 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import ScheduleException from '../models/ScheduleException.js';
+import { authenticateToken, requireStaff, requireAdmin } from '../middleware/auth.js';
+import { findDoctor, getDayBounds, toDateKey } from '../services/availability.js';
+import {
+  findAffectedAppointments,
+  resolveAffectedAppointments
+} from '../services/scheduleExceptions.js';
+
+const router = express.Router();
+
+const summarizeAppointment = (appointment) => ({
+  _id: appointment._id,
+  appointmentId: appointment.appointmentId,
+  patientName: appointment.patientName,
+  doctorName: appointment.doctorName,
+  appointmentDate: appointment.appointmentDate,
+  appointmentTime: appointment.appointmentTime,
+  status: appointment.status,
+  bookingSource: appointment.bookingSource
+});
+
+const loadException = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return ScheduleException.findById(id).populate('doctor', 'name specialty');
+};
+
+// List schedule exceptions
+router.get('/', [
+  authenticateToken,
+  requireStaff,
+  query('from').optional().isISO8601().withMessage('Valid from date required'),
+  query('to').optional().isISO8601().withMessage('Valid to date required'),
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    const and = [];
+
+    if (req.query.from || req.query.to) {
+      const range = {};
+      if (req.query.to) range.startDate = { $lt: getDayBounds(toDateKey(req.query.to)).end };
+      if (req.query.from) range.endDate = { $gte: getDayBounds(toDateKey(req.query.from)).start };
+      // Recurring holidays apply to every year
+      and.push({ $or: [{ recurring: true }, range] });
+    }
+
+    if (req.query.doctorId) {
+      and.push({ $or: [{ doctor: null }, { doctor: req.query.doctorId }] });
+    }
+
+    if (and.length > 0) {
+      filter.$and = and;
+    }
+
+    const exceptions = await ScheduleException.find(filter)
+      .populate('doctor', 'name specialty')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: { exceptions }
+    });
+  } catch (error) {
+    console.error('Get schedule exceptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving schedule exceptions'
+    });
+  }
+});
+
+// Create a closure, block, leave or holiday (Admin only)
+// Responds with the upcoming appointments that now fall inside the exception
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('type').isIn(['closure', 'block', 'leave', 'holiday']).withMessage('Valid exception type is required'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('doctorId').optional({ nullable: true }).isMongoId().withMessage('Valid doctor ID required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:MM'),
+  body('endTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:MM'),
+  body('recurring').optional().isBoolean().withMessage('Recurring must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, name, doctorId, startDate, endDate, startTime, endTime, recurring } = req.body;
+
+    let doctor = null;
+    if (doctorId) {
+      doctor = await findDoctor({ doctorId, includeInactive: true });
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+    }
+
+    const exception = new ScheduleException({
+      type,
+      name,
+      doctor: doctor ? doctor._id : undefined,
+      startDate: getDayBounds(toDateKey(startDate)).start,
+      endDate: endDate ? getDayBounds(toDateKey(endDate)).start : undefined,
+      startTime: type === 'block' ? startTime : undefined,
+      endTime: type === 'block' ? endTime : undefined,
+      // Holidays repeat every year unless stated otherwise
+      recurring: recurring !== undefined ? recurring : type === 'holiday',
+      createdBy: req.user._id
+    });
+
+    await exception.save();
+
+    const affectedAppointments = await findAffectedAppointments(exception);
+
+    res.status(201).json({
+      success: true,
+      message: affectedAppointments.length > 0
+        ? `Schedule exception created. ${affectedAppointments.length} upcoming appointment(s) are affected and can be rescheduled or cancelled.`
+        : 'Schedule exception created successfully',
+      data: {
+        exception,
+        affectedAppointments: affectedAppointments.map(summarizeAppointment)
+      }
+    });
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating schedule exception'
+    });
+  }
+});
+
+// List upcoming appointments affected by an exception
+router.get('/:id/affected-appointments', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const exception = await loadException(req.params.id);
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule exception not found'
+      });
+    }
+
+    const affectedAppointments = await findAffectedAppointments(exception);
+
+    res.json({
+      success: true,
+      data: {
+        exception,
+        affectedAppointments: affectedAppointments.map(summarizeAppointment),
+        count: affectedAppointments.length
+      }
+    });
+  } catch (error) {
+    console.error('Get affected appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving affected appointments'
+    });
+  }
+});
+
+// Bulk reschedule or cancel the appointments affected by an exception
+router.post('/:id/resolve', [
+  authenticateToken,
+  requireStaff,
+  body('action').isIn(['reschedule', 'cancel']).withMessage('Action must be reschedule or cancel'),
+  body('appointmentIds').optional().isArray().withMessage('Appointment IDs must be an array'),
+  body('appointmentIds.*').optional().isMongoId().withMessage('Invalid appointment ID'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exception = await loadException(req.params.id);
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule exception not found'
+      });
+    }
+
+    const { action, appointmentIds, reason } = req.body;
+
+    const results = await resolveAffectedAppointments(exception, {
+      action,
+      appointmentIds,
+      reason,
+      user: req.user,
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: `${results.cancelled.length} cancelled, ${results.rescheduled.length} rescheduled, ${results.failed.length} failed`,
+      data: {
+        cancelled: results.cancelled.map(summarizeAppointment),
+        rescheduled: results.rescheduled.map(summarizeAppointment),
+        failed: results.failed.map(({ appointment, reason: failureReason }) => ({
+          ...summarizeAppointment(appointment),
+          reason: failureReason
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Resolve affected appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving affected appointments'
+    });
+  }
+});
+
+// Delete a schedule exception (Admin only)
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule exception not found'
+      });
+    }
+
+    const exception = await ScheduleException.findByIdAndDelete(req.params.id);
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule exception not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule exception deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting schedule exception'
+    });
+  }
+});
+
+export default router;
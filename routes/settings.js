@@ -4,10 +4,22 @@ import { authenticatePatient } from '../middleware/patientAuth.js';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import PatientUser from '../models/PatientUser.js';
-import Settings from '../models/Settings.js';
+import Session from '../models/Session.js';
+import Settings, { DEFAULT_SERVICE_DURATIONS } from '../models/Settings.js';
+import { getDoctors } from '../services/availability.js';
+import { getNoShowPolicy } from '../services/noShowPolicy.js';
 
 const router = express.Router();
 
+const STAFF_ROLES = ['admin', 'staff', 'doctor'];
+
+// Accepted ranges for Settings.noShowPolicy; 0 turns the window or auto-unlock off
+const NO_SHOW_POLICY_LIMITS = {
+  threshold: { min: 1, max: 20, label: 'No-show threshold' },
+  windowDays: { min: 0, max: 3650, label: 'No-show window (days)' },
+  autoUnlockDays: { min: 0, max: 365, label: 'Auto-unlock delay (days)' }
+};
+
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
 // Middleware that accepts both patient and staff/admin tokens
@@ -24,17 +36,24 @@ const authenticateAny = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    const session = await Session.findForAccessToken(decoded);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again.' 
+      });
+    }
+    req.sessionId = session._id.toString();
     
-    // Try to find as staff/admin user first
-    const user = await User.findById(decoded.id).select('-password');
+    // The session says whether this is a staff/admin user or a patient
+    const user = session.accountType === 'user' && await User.findById(decoded.id).select('-password');
     if (user && user.isActive) {
       req.user = user;
       req.authType = 'staff';
       return next();
     }
     
-    // Try to find as patient user
-    const patient = await PatientUser.findById(decoded.id).select('-password');
+    const patient = session.accountType === 'patient' && await PatientUser.findById(decoded.id).select('-password');
     if (patient && patient.isActive) {
       req.patient = {
         ...patient.toObject(),
@@ -57,19 +76,43 @@ const authenticateAny = async (req, res, next) => {
   }
 };
 
-// Get clinic settings (accessible to both patients and staff)
+// Doctor fields patients may see; the linked staff account stays internal
+const publicDoctorFields = (doctor) => ({
+  _id: doctor._id,
+  name: doctor.name,
+  specialty: doctor.specialty,
+  specialtyLabel: doctor.specialtyLabel,
+  hours: doctor.hours
+});
+
+// Get clinic settings (accessible to both patients and staff). Patients get
+// the booking settings and the public doctor fields only.
 router.get('/clinic', authenticateAny, async (req, res) => {
   try {
     // Get settings from database
     const settings = await Settings.getSettings();
-    
+    const roster = await getDoctors();
+    const serviceDurations = await Settings.getServiceDurations();
+    const isStaff = req.authType === 'staff';
+
+    const data = {
+      clinicName: settings.clinicName,
+      slotDuration: settings.slotDuration,
+      slotHoldMinutes: settings.slotHoldMinutes,
+      waitlistOfferMinutes: settings.waitlistOfferMinutes,
+      reminderOffsets: settings.reminderOffsets,
+      serviceDurations,
+      doctors: isStaff ? roster : roster.map(publicDoctorFields)
+    };
+    if (isStaff) {
+      data.noShowPolicy = await getNoShowPolicy();
+      data.allowUnverifiedBooking = settings.allowUnverifiedBooking;
+      data.twoFactorRequiredRoles = settings.twoFactorRequiredRoles;
+    }
+
     res.json({
       success: true,
-      data: {
-        clinicName: settings.clinicName,
-        obgyneDoctor: settings.obgyneDoctor,
-        pediatrician: settings.pediatrician
-      }
+      data
     });
   } catch (error) {
     console.error('Error fetching clinic settings:', error);
@@ -82,83 +125,155 @@ router.get('/clinic', authenticateAny, async (req, res) => {
 });
 
 // Update clinic settings (admin only)
+// Doctor names and working hours are managed through /api/doctors
 router.put('/clinic', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { clinicName, obgyneDoctor, pediatrician } = req.body;
+    const { clinicName, slotDuration, slotHoldMinutes, waitlistOfferMinutes, reminderOffsets, noShowPolicy, allowUnverifiedBooking, twoFactorRequiredRoles, serviceDurations } = req.body;
 
-    // Get current settings from database
-    let settings = await Settings.findOne();
-    
-    if (!settings) {
-      // Create new settings if none exist
-      settings = new Settings({
-        clinicName: clinicName || 'VM Mother and Child Clinic',
-        obgyneDoctor: obgyneDoctor || {
-          name: 'Dr. Maria Sarah L. Manaloto',
-          hours: {
-            monday: { start: '08:00', end: '12:00', enabled: true },
-            tuesday: { start: '', end: '', enabled: false },
-            wednesday: { start: '09:00', end: '14:00', enabled: true },
-            thursday: { start: '', end: '', enabled: false },
-            friday: { start: '13:00', end: '17:00', enabled: true },
-            saturday: { start: '', end: '', enabled: false },
-            sunday: { start: '', end: '', enabled: false }
-          }
-        },
-        pediatrician: pediatrician || {
-          name: 'Dr. Shara Laine S. Vino',
-          hours: {
-            monday: { start: '13:00', end: '17:00', enabled: true },
-            tuesday: { start: '13:00', end: '17:00', enabled: true },
-            wednesday: { start: '', end: '', enabled: false },
-            thursday: { start: '08:00', end: '12:00', enabled: true },
-            friday: { start: '', end: '', enabled: false },
-            saturday: { start: '', end: '', enabled: false },
-            sunday: { start: '', end: '', enabled: false }
-          }
-        }
+    if (slotDuration !== undefined && (!Number.isInteger(slotDuration) || slotDuration < 5 || slotDuration > 240)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slot duration must be a whole number of minutes between 5 and 240'
+      });
+    }
+
+    if (slotHoldMinutes !== undefined && (!Number.isInteger(slotHoldMinutes) || slotHoldMinutes < 1 || slotHoldMinutes > 30)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slot hold time must be a whole number of minutes between 1 and 30'
+      });
+    }
+
+    if (waitlistOfferMinutes !== undefined && (!Number.isInteger(waitlistOfferMinutes) || waitlistOfferMinutes < 5 || waitlistOfferMinutes > 1440)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Waitlist offer time must be a whole number of minutes between 5 and 1440'
       });
-    } else {
-      // Update existing settings
-      if (clinicName) {
-        settings.clinicName = clinicName;
+    }
+
+    if (reminderOffsets !== undefined && (
+      !Array.isArray(reminderOffsets) ||
+      reminderOffsets.length > 5 ||
+      !reminderOffsets.every(minutes => Number.isInteger(minutes) && minutes >= 5 && minutes <= 10080)
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminder offsets must be up to 5 whole numbers of minutes between 5 and 10080'
+      });
+    }
+
+    // No-show policy is { threshold, windowDays, autoUnlockDays }; any subset may be sent
+    if (noShowPolicy !== undefined) {
+      if (typeof noShowPolicy !== 'object' || noShowPolicy === null || Array.isArray(noShowPolicy)) {
+        return res.status(400).json({
+          success: false,
+          message: 'No-show policy must be an object'
+        });
       }
 
-      if (obgyneDoctor) {
-        if (obgyneDoctor.name) {
-          settings.obgyneDoctor.name = obgyneDoctor.name;
-        }
-        if (obgyneDoctor.hours) {
-          // Deep merge hours to preserve all day settings
-          Object.keys(obgyneDoctor.hours).forEach(day => {
-            if (obgyneDoctor.hours[day]) {
-              settings.obgyneDoctor.hours[day] = {
-                ...settings.obgyneDoctor.hours[day],
-                ...obgyneDoctor.hours[day]
-              };
-            }
+      for (const [field, { min, max, label }] of Object.entries(NO_SHOW_POLICY_LIMITS)) {
+        const value = noShowPolicy[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+          return res.status(400).json({
+            success: false,
+            message: `${label} must be a whole number between ${min} and ${max}`
           });
         }
       }
+    }
+
+    if (allowUnverifiedBooking !== undefined && typeof allowUnverifiedBooking !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Allow unverified booking must be true or false'
+      });
+    }
+
+    if (twoFactorRequiredRoles !== undefined && (
+      !Array.isArray(twoFactorRequiredRoles) ||
+      !twoFactorRequiredRoles.every(role => STAFF_ROLES.includes(role))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: `Two-factor required roles must be a list of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    // Service durations are { SERVICE_TYPE: minutes }; null restores the default
+    if (serviceDurations !== undefined) {
+      if (typeof serviceDurations !== 'object' || serviceDurations === null || Array.isArray(serviceDurations)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Service durations must be an object keyed by service type'
+        });
+      }
 
-      if (pediatrician) {
-        if (pediatrician.name) {
-          settings.pediatrician.name = pediatrician.name;
+      for (const [serviceType, minutes] of Object.entries(serviceDurations)) {
+        if (!(serviceType in DEFAULT_SERVICE_DURATIONS)) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown service type: ${serviceType}`
+          });
         }
-        if (pediatrician.hours) {
-          // Deep merge hours to preserve all day settings
-          Object.keys(pediatrician.hours).forEach(day => {
-            if (pediatrician.hours[day]) {
-              settings.pediatrician.hours[day] = {
-                ...settings.pediatrician.hours[day],
-                ...pediatrician.hours[day]
-              };
-            }
+        if (minutes !== null && (!Number.isInteger(minutes) || minutes < 5 || minutes > 480)) {
+          return res.status(400).json({
+            success: false,
+            message: `Duration for ${serviceType} must be a whole number of minutes between 5 and 480`
           });
         }
       }
     }
 
+    // Get current settings from database (created with defaults if none exist)
+    const settings = await Settings.getSettings();
+
+    if (clinicName) {
+      settings.clinicName = clinicName;
+    }
+
+    if (slotDuration) {
+      settings.slotDuration = slotDuration;
+    }
+
+    if (slotHoldMinutes) {
+      settings.slotHoldMinutes = slotHoldMinutes;
+    }
+
+    if (waitlistOfferMinutes) {
+      settings.waitlistOfferMinutes = waitlistOfferMinutes;
+    }
+
+    if (reminderOffsets) {
+      settings.reminderOffsets = [...new Set(reminderOffsets)].sort((a, b) => b - a);
+    }
+
+    if (noShowPolicy) {
+      Object.keys(NO_SHOW_POLICY_LIMITS).forEach(field => {
+        if (noShowPolicy[field] !== undefined) {
+          settings.noShowPolicy[field] = noShowPolicy[field];
+        }
+      });
+    }
+
+    if (allowUnverifiedBooking !== undefined) {
+      settings.allowUnverifiedBooking = allowUnverifiedBooking;
+    }
+
+    // Members of these roles without 2FA set it up at their next login
+    if (twoFactorRequiredRoles !== undefined) {
+      settings.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+
+    if (serviceDurations) {
+      Object.entries(serviceDurations).forEach(([serviceType, minutes]) => {
+        if (minutes === null) {
+          settings.serviceDurations.delete(serviceType);
+        } else {
+          settings.serviceDurations.set(serviceType, minutes);
+        }
+      });
+    }
+
     await settings.save();
 
     res.json({
@@ -166,8 +281,14 @@ router.put('/clinic', authenticateToken, requireRole(['admin']), async (req, res
       message: 'Clinic settings updated successfully',
       data: {
         clinicName: settings.clinicName,
-        obgyneDoctor: settings.obgyneDoctor,
-        pediatrician: settings.pediatrician
+        slotDuration: settings.slotDuration,
+        slotHoldMinutes: settings.slotHoldMinutes,
+        waitlistOfferMinutes: settings.waitlistOfferMinutes,
+        reminderOffsets: settings.reminderOffsets,
+        noShowPolicy: await getNoShowPolicy(),
+        allowUnverifiedBooking: settings.allowUnverifiedBooking,
+        twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+        serviceDurations: await Settings.getServiceDurations()
       }
     });
   } catch (error) {
@@ -0,0 +1,213 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import PatientUser from '../models/PatientUser.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { SERVICE_TYPES } from '../models/Appointment.js';
+import { authenticateToken, requireStaff } from '../middleware/auth.js';
+import { findDoctor, getDayBounds, toDateKey } from '../services/availability.js';
+import { SlotConflictError } from '../services/slotReservation.js';
+import { WaitlistError, acceptOffer, withdrawEntry } from '../services/waitlist.js';
+
+const router = express.Router();
+
+const loadEntry = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return WaitlistEntry.findById(id);
+};
+
+const handleWaitlistError = (res, error, fallbackMessage) => {
+  if (error instanceof WaitlistError || error instanceof SlotConflictError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// List waitlist entries
+router.get('/', [
+  authenticateToken,
+  requireStaff,
+  query('doctorId').optional().isMongoId().withMessage('Valid doctor ID required'),
+  query('status').optional().isIn(['waiting', 'offered', 'booked', 'expired', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.doctorId) filter.doctor = req.query.doctorId;
+    filter.status = req.query.status || { $in: ['waiting', 'offered'] };
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('doctor', 'name specialty')
+      .populate('bookedAppointment', 'appointmentId appointmentDate appointmentTime status')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving waitlist'
+    });
+  }
+});
+
+// Queue a registered patient for a doctor, service and date range
+router.post('/', [
+  authenticateToken,
+  requireStaff,
+  body('patientId').notEmpty().withMessage('Patient ID is required'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('serviceType').notEmpty().withMessage('Service type is required'),
+  body('dateFrom').isISO8601().withMessage('Valid start date is required'),
+  body('dateTo').isISO8601().withMessage('Valid end date is required'),
+  body('reasonForVisit').optional().isLength({ max: 500 }).withMessage('Reason for visit too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { patientId, doctorId, serviceType, dateFrom, dateTo, reasonForVisit } = req.body;
+
+    const patient = await Patient.findOne({ patientId, isActive: true });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const doctor = await findDoctor({ doctorId });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    if (doctor.specialty !== patient.patientType || !SERVICE_TYPES[doctor.specialty].includes(serviceType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service type does not match the doctor and patient type'
+      });
+    }
+
+    const patientName = patient.patientType === 'ob-gyne'
+      ? patient.obGyneRecord?.patientName
+      : patient.pediatricRecord?.nameOfChildren;
+    const contactNumber = patient.patientType === 'ob-gyne'
+      ? patient.obGyneRecord?.contactNumber
+      : patient.pediatricRecord?.contactNumber;
+
+    // Link the portal account when there is one so the patient can accept offers online
+    const email = patient.contactInfo?.email;
+    const patientUser = await PatientUser.findOne({ patientRecord: patient._id });
+
+    const entry = new WaitlistEntry({
+      patient: patient._id,
+      patientUser: patientUser?._id,
+      patientName: patientName || 'Unknown',
+      contactNumber: contactNumber || 'N/A',
+      email,
+      doctor: doctor._id,
+      serviceType,
+      dateFrom: getDayBounds(toDateKey(dateFrom)).start,
+      dateTo: getDayBounds(toDateKey(dateTo)).start,
+      reasonForVisit,
+      createdBy: req.user._id
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Patient added to the waitlist',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding to waitlist'
+    });
+  }
+});
+
+// Accept an open offer on the patient's behalf (e.g. over the phone)
+router.post('/:id/accept', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const entry = await loadEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const appointment = await acceptOffer(entry, { user: req.user, io: req.io });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer accepted and appointment booked',
+      data: { entry, appointment }
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    handleWaitlistError(res, error, 'Server error accepting waitlist offer');
+  }
+});
+
+// Remove an entry from the waitlist
+router.delete('/:id', [authenticateToken, requireStaff], async (req, res) => {
+  try {
+    const entry = await loadEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    await withdrawEntry(entry, { io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry removed',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Remove waitlist entry error:', error);
+    handleWaitlistError(res, error, 'Server error removing waitlist entry');
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+// Script to link existing appointments to the Doctor roster
+// Matches appointments without a `doctor` reference by their stored doctorName
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Appointment from '../models/Appointment.js';
+import Doctor from '../models/Doctor.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('MONGODB_URI missing in .env');
+    process.exit(1);
+  }
+
+  console.log('🔌 Connecting to:', uri);
+  await mongoose.connect(uri);
+  console.log('✅ Connected to MongoDB\n');
+
+  // Make sure the roster exists (seeded from the legacy clinic settings)
+  await Doctor.ensureRoster();
+  const doctors = await Doctor.find();
+  console.log(`👩‍⚕️ Found ${doctors.length} doctors in the roster\n`);
+
+  let updated = 0;
+  let unmatched = 0;
+
+  for (const doctor of doctors) {
+    const result = await Appointment.updateMany(
+      { doctor: { $exists: false }, doctorName: doctor.name },
+      { $set: { doctor: doctor._id } }
+    );
+    updated += result.modifiedCount;
+    console.log(`✅ ${doctor.name}: linked ${result.modifiedCount} appointments`);
+  }
+
+  const remaining = await Appointment.find({ doctor: { $exists: false } }).select('appointmentId doctorName');
+  unmatched = remaining.length;
+  remaining.forEach(apt => {
+    console.log(`⚠️  No doctor named "${apt.doctorName}" for ${apt.appointmentId}`);
+  });
+
+  console.log(`\n📊 Summary:`);
+  console.log(`   ✅ Linked: ${updated}`);
+  console.log(`   ⚠️  Unmatched: ${unmatched}`);
+  console.log(`\n✅ Done!`);
+
+  await mongoose.disconnect();
+  console.log('\n🔌 Disconnected from MongoDB');
+};
+
+run().catch(err => {
+  console.error('❌ Script error:', err);
+  mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Script to handle portal accounts registered before email verification existed
+// Those accounts never got a verification link, so the booking gate would lock them out.
+// By default they are marked verified; with --send-links each is emailed a link instead.
+//
+// Usage: node scripts/backfillEmailVerification.js [--send-links]
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PatientUser from '../models/PatientUser.js';
+import { sendVerificationEmail } from '../services/emailVerification.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const sendLinks = process.argv.includes('--send-links');
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('MONGODB_URI missing in .env');
+    process.exit(1);
+  }
+
+  console.log('🔌 Connecting to:', uri);
+  await mongoose.connect(uri);
+  console.log('✅ Connected to MongoDB\n');
+
+  // Accounts registered since the feature always have emailVerificationSentAt
+  const filter = {
+    isVerified: { $ne: true },
+    emailVerificationSentAt: { $exists: false }
+  };
+
+  if (!sendLinks) {
+    const result = await PatientUser.updateMany(filter, { $set: { isVerified: true } });
+    console.log(`✅ Marked ${result.modifiedCount} existing accounts as verified`);
+  } else {
+    const patientUsers = await PatientUser.find(filter);
+    console.log(`📋 Found ${patientUsers.length} unverified accounts without a verification link\n`);
+
+    let sent = 0;
+    let errors = 0;
+
+    for (const patientUser of patientUsers) {
+      try {
+        if (!(await sendVerificationEmail(patientUser))) {
+          throw new Error('email could not be sent');
+        }
+        sent++;
+        console.log(`📧 Sent verification link to ${patientUser.email}`);
+      } catch (error) {
+        errors++;
+        console.error(`❌ Error sending link to ${patientUser.email}:`, error.message);
+      }
+    }
+
+    console.log(`\n📊 Summary:`);
+    console.log(`   📧 Sent: ${sent}`);
+    console.log(`   ❌ Errors: ${errors}`);
+  }
+  console.log(`\n✅ Done!`);
+
+  await mongoose.disconnect();
+  console.log('\n🔌 Disconnected from MongoDB');
+};
+
+run().catch(err => {
+  console.error('❌ Script error:', err);
+  mongoose.disconnect();
+  process.exit(1);
+});
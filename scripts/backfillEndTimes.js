@@ -1,9 +1,12 @@
 // Script to backfill endTime for existing appointments
-// Calculates endTime as 30 minutes after appointmentTime for appointments that don't have it
+// New appointments get endTime automatically; this fills it in for older records
+// using the configured duration of each appointment's service type
 
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Appointment from '../models/Appointment.js';
+import Settings from '../models/Settings.js';
+import { addMinutesToTime } from '../services/time.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -12,33 +15,6 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
-// Helper function to add 30 minutes to a time string
-function add30Minutes(timeString) {
-  // Parse time string like "01:00 PM" or "09:30 AM"
-  const [time, period] = timeString.split(' ');
-  const [hours, minutes] = time.split(':').map(Number);
-  
-  let totalMinutes = hours * 60 + minutes;
-  if (period === 'PM' && hours !== 12) totalMinutes += 12 * 60;
-  if (period === 'AM' && hours === 12) totalMinutes -= 12 * 60;
-  
-  // Add 30 minutes
-  totalMinutes += 30;
-  
-  // Convert back to 12-hour format
-  let newHours = Math.floor(totalMinutes / 60);
-  const newMinutes = totalMinutes % 60;
-  
-  let newPeriod = 'AM';
-  if (newHours >= 12) {
-    newPeriod = 'PM';
-    if (newHours > 12) newHours -= 12;
-  }
-  if (newHours === 0) newHours = 12;
-  
-  return `${newHours}:${String(newMinutes).padStart(2, '0')} ${newPeriod}`;
-}
-
 const run = async () => {
   const uri = process.env.MONGODB_URI;
   if (!uri) {
@@ -68,12 +44,16 @@ const run = async () => {
     return;
   }
 
+  const durations = await Settings.getServiceDurations();
+  const { slotDuration } = await Settings.getSettings();
+
   let updated = 0;
   let errors = 0;
 
   for (const appointment of appointments) {
     try {
-      const calculatedEndTime = add30Minutes(appointment.appointmentTime);
+      const duration = durations[appointment.serviceType] || slotDuration;
+      const calculatedEndTime = addMinutesToTime(appointment.appointmentTime, duration);
       appointment.endTime = calculatedEndTime;
       await appointment.save();
       updated++;
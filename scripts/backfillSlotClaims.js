@@ -0,0 +1,77 @@
+// Script to create slot claims for appointments booked before slot reservation existed
+// Upcoming active appointments get their claims; overlapping legacy bookings are reported
+// so staff can reschedule them by hand
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Appointment from '../models/Appointment.js';
+import SlotClaim from '../models/SlotClaim.js';
+import { CLAIMING_STATUSES, SlotConflictError, syncAppointmentClaims } from '../services/slotReservation.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('MONGODB_URI missing in .env');
+    process.exit(1);
+  }
+
+  console.log('🔌 Connecting to:', uri);
+  await mongoose.connect(uri);
+  console.log('✅ Connected to MongoDB\n');
+
+  // The unique index must exist before any claims are written
+  await SlotClaim.init();
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  // Confirmed bookings first so they win over pending ones for the same time
+  const appointments = await Appointment.find({
+    status: { $in: CLAIMING_STATUSES },
+    appointmentDate: { $gte: today },
+    doctor: { $exists: true }
+  }).sort({ status: 1, createdAt: 1 });
+
+  console.log(`📋 Found ${appointments.length} upcoming active appointments\n`);
+
+  let claimed = 0;
+  let conflicts = 0;
+  let errors = 0;
+
+  for (const appointment of appointments) {
+    try {
+      await syncAppointmentClaims(appointment);
+      claimed++;
+    } catch (error) {
+      if (error instanceof SlotConflictError) {
+        conflicts++;
+        console.warn(`⚠️ ${appointment.appointmentId} (${appointment.status}) overlaps another booking at ${appointment.appointmentTime}`);
+      } else {
+        errors++;
+        console.error(`❌ Error claiming ${appointment.appointmentId}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`\n📊 Summary:`);
+  console.log(`   ✅ Claimed: ${claimed}`);
+  console.log(`   ⚠️ Conflicts: ${conflicts}`);
+  console.log(`   ❌ Errors: ${errors}`);
+  console.log(`\n✅ Done!`);
+
+  await mongoose.disconnect();
+  console.log('\n🔌 Disconnected from MongoDB');
+};
+
+run().catch(err => {
+  console.error('❌ Script error:', err);
+  mongoose.disconnect();
+  process.exit(1);
+});
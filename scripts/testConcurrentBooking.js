@@ -0,0 +1,122 @@
+// Concurrency test for slot reservation
+// Fires parallel bookings for the same doctor and time and checks that exactly
+// one of them is saved while every other one fails with a SlotConflictError.
+// Runs against TEST_MONGODB_URI (defaults to the local test database) and
+// removes everything it creates.
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Appointment from '../models/Appointment.js';
+import Doctor from '../models/Doctor.js';
+import SlotClaim from '../models/SlotClaim.js';
+import { SlotConflictError } from '../services/slotReservation.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const PARALLEL_BOOKINGS = 20;
+
+let failures = 0;
+const check = (condition, message) => {
+  console.log(`  ${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures++;
+};
+
+const buildAppointment = (doctor, index, { appointmentTime, serviceType }) => new Appointment({
+  appointmentId: `TESTCONC${Date.now()}${String(index).padStart(3, '0')}`,
+  doctorType: doctor.specialty,
+  doctor: doctor._id,
+  doctorName: doctor.name,
+  appointmentDate: new Date('2099-01-05'),
+  appointmentTime,
+  serviceType,
+  contactInfo: { primaryPhone: '09170000000' },
+  patientName: `Concurrency Test ${index}`,
+  contactNumber: '09170000000',
+  bookingSource: 'patient_portal'
+});
+
+// Save all bookings at once and split the outcomes
+const bookInParallel = async (bookings) => {
+  const results = await Promise.allSettled(bookings.map(appointment => appointment.save()));
+  return {
+    saved: results.filter(result => result.status === 'fulfilled'),
+    conflicts: results.filter(result => result.status === 'rejected' && result.reason instanceof SlotConflictError),
+    otherErrors: results.filter(result => result.status === 'rejected' && !(result.reason instanceof SlotConflictError))
+  };
+};
+
+const run = async () => {
+  const uri = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/test';
+  console.log('Connecting to TEST database:', uri);
+  await mongoose.connect(uri);
+  console.log('Connected\n');
+
+  await SlotClaim.init();
+
+  const doctor = await Doctor.create({
+    name: `Dr. Concurrency Test ${Date.now()}`,
+    specialty: 'ob-gyne',
+    hours: { monday: { start: '08:00', end: '12:00', enabled: true } }
+  });
+
+  try {
+    console.log(`Same slot: ${PARALLEL_BOOKINGS} parallel bookings for 9:00 AM`);
+    const sameSlot = await bookInParallel(
+      Array.from({ length: PARALLEL_BOOKINGS }, (_, index) =>
+        buildAppointment(doctor, index, { appointmentTime: '9:00 AM', serviceType: 'PRENATAL_CHECKUP' })
+      )
+    );
+    sameSlot.otherErrors.forEach(result => console.error('   ', result.reason));
+    check(sameSlot.saved.length === 1, `exactly one booking saved (got ${sameSlot.saved.length})`);
+    check(sameSlot.conflicts.length === PARALLEL_BOOKINGS - 1, `${PARALLEL_BOOKINGS - 1} bookings rejected with a conflict (got ${sameSlot.conflicts.length})`);
+    check(sameSlot.otherErrors.length === 0, 'no unexpected errors');
+
+    const claims = await SlotClaim.countDocuments({ doctor: doctor._id });
+    check(claims === 6, `only the winner's 30 minutes are claimed (got ${claims} units)`);
+
+    console.log('\nOverlapping ranges: a 90 minute D&C at 10:00 AM against 30 minute visits inside it');
+    const overlapping = await bookInParallel([
+      buildAppointment(doctor, 100, { appointmentTime: '10:00 AM', serviceType: 'DILATATION_CURETTAGE' }),
+      buildAppointment(doctor, 101, { appointmentTime: '10:30 AM', serviceType: 'PRENATAL_CHECKUP' }),
+      buildAppointment(doctor, 102, { appointmentTime: '11:00 AM', serviceType: 'PRENATAL_CHECKUP' })
+    ]);
+    const overlapWinners = overlapping.saved.length;
+    const winnerTimes = overlapping.saved.map(result => result.value.appointmentTime).join(', ');
+    check(
+      overlapWinners === 1 || (overlapWinners === 2 && !winnerTimes.includes('10:00 AM')),
+      `no two saved bookings overlap (saved: ${winnerTimes || 'none'})`
+    );
+    check(overlapping.otherErrors.length === 0, 'no unexpected errors');
+
+    console.log('\nCancelling releases the slot');
+    const winner = sameSlot.saved[0]?.value;
+    if (winner) {
+      winner.status = 'cancelled';
+      await winner.save();
+      const rebooked = await buildAppointment(doctor, 200, { appointmentTime: '9:00 AM', serviceType: 'PRENATAL_CHECKUP' })
+        .save()
+        .then(() => true, () => false);
+      check(rebooked, 'the cancelled 9:00 AM slot can be booked again');
+    }
+  } finally {
+    const appointments = await Appointment.find({ doctor: doctor._id }).select('_id');
+    await SlotClaim.deleteMany({ doctor: doctor._id });
+    await Appointment.deleteMany({ _id: { $in: appointments.map(apt => apt._id) } });
+    await Doctor.deleteOne({ _id: doctor._id });
+    await mongoose.disconnect();
+  }
+
+  console.log(failures === 0 ? '\n✅ All concurrency checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+run().catch(async err => {
+  console.error('❌ Test error:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
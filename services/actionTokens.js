@@ -0,0 +1,144 @@
+import jwt from 'jsonwebtoken';
+import ActionToken from '../models/ActionToken.js';
+import Appointment from '../models/Appointment.js';
+import { confirmAttendance, requestCancellation } from './appointments.js';
+import { appointmentStartsAt } from './time.js';
+
+// One-click links in reminder messages that let a patient confirm attendance or
+// ask to cancel one appointment without logging in. Each link is a JWT signed
+// with the API secret that names an ActionToken record; the record makes it
+// single-use. Links expire when the appointment starts.
+//
+// Queued outbox messages keep {{confirmUrl}}/{{cancelUrl}} placeholders and the
+// record ids; the links are signed only when the message is sent, so a stored
+// message never holds a usable link.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const TOKEN_TYPE = 'appointment_action';
+
+export const ACTIONS = ['confirm', 'cancel'];
+
+const LINK_BASE_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const DEFAULT_CANCEL_REASON = 'Requested from reminder link';
+
+export class ActionTokenError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ActionTokenError';
+    this.status = status;
+  }
+}
+
+export const actionLink = (token) => `${LINK_BASE_URL}/appointment-action?token=${encodeURIComponent(token)}`;
+
+// Placeholder values for payload.links, filled in by fillActionLinks at delivery
+export const ACTION_LINK_PLACEHOLDERS = Object.fromEntries(
+  ACTIONS.map(action => [`${action}Url`, `{{${action}Url}}`])
+);
+
+const LINK_PLACEHOLDER_PATTERN = /\{\{\s*(confirmUrl|cancelUrl)\s*\}\}/g;
+
+// Create the record behind each action link of an appointment. Returns their ids.
+export async function createActionTokens(appointment, { reminder } = {}) {
+  const expiresAt = appointmentStartsAt(appointment.appointmentDate, appointment.appointmentTime);
+  const ids = [];
+
+  for (const action of ACTIONS) {
+    const record = await ActionToken.create({
+      appointment: appointment._id,
+      action,
+      patientUser: appointment.patientUserId,
+      reminder: reminder?._id,
+      expiresAt
+    });
+    ids.push(record._id);
+  }
+
+  return ids;
+}
+
+function signActionToken(record) {
+  return jwt.sign(
+    { type: TOKEN_TYPE, action: record.action, appointment: String(record.appointment) },
+    JWT_SECRET,
+    { jwtid: String(record._id), expiresIn: Math.max(1, Math.floor((record.expiresAt - Date.now()) / 1000)) }
+  );
+}
+
+// Replace the action link placeholders in an outgoing message with signed links
+export async function fillActionLinks(text, tokenIds) {
+  if (!text || !tokenIds?.length) return text;
+
+  const records = await ActionToken.find({ _id: { $in: tokenIds } });
+  const links = Object.fromEntries(records.map(record => [`${record.action}Url`, actionLink(signActionToken(record))]));
+  return text.replace(LINK_PLACEHOLDER_PATTERN, (match, name) => links[name] || '');
+}
+
+// Check a link without using it. Returns the token record and its appointment.
+export async function verifyActionToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token || '', JWT_SECRET);
+  } catch (error) {
+    throw new ActionTokenError(
+      error.name === 'TokenExpiredError' ? 'This link has expired' : 'Invalid link',
+      error.name === 'TokenExpiredError' ? 410 : 401
+    );
+  }
+  if (decoded.type !== TOKEN_TYPE || !decoded.jti) {
+    throw new ActionTokenError('Invalid link', 401);
+  }
+
+  const record = await ActionToken.findById(decoded.jti);
+  if (!record || String(record.appointment) !== decoded.appointment || record.action !== decoded.action) {
+    throw new ActionTokenError('Invalid link', 401);
+  }
+  if (record.usedAt) {
+    throw new ActionTokenError('This link has already been used', 410);
+  }
+  if (record.expiresAt <= new Date()) {
+    throw new ActionTokenError('This link has expired', 410);
+  }
+
+  const appointment = await Appointment.findById(record.appointment);
+  if (!appointment) {
+    throw new ActionTokenError('Appointment not found', 404);
+  }
+
+  return { record, appointment };
+}
+
+// Use a link: run the same transition as the portal, marking the token used first
+// so two clicks can't both go through. The token is released if the transition fails.
+export async function useActionToken(token, { reason, io } = {}) {
+  const { record, appointment } = await verifyActionToken(token);
+
+  const claimed = await ActionToken.findOneAndUpdate(
+    { _id: record._id, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ActionTokenError('This link has already been used', 410);
+  }
+
+  const actor = {
+    patientUserId: appointment.patientUserId || null,
+    source: 'action_link',
+    io
+  };
+
+  try {
+    if (record.action === 'confirm') {
+      await confirmAttendance(appointment, actor);
+    } else {
+      await requestCancellation(appointment, { ...actor, reason: reason?.trim() || DEFAULT_CANCEL_REASON });
+    }
+  } catch (error) {
+    await ActionToken.updateOne({ _id: record._id }, { $unset: { usedAt: 1 } });
+    throw error;
+  }
+
+  return { action: record.action, appointment };
+}
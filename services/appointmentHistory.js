@@ -0,0 +1,138 @@
+import AppointmentHistory from '../models/AppointmentHistory.js';
+
+// Appointment history entries. Every save of an appointment that changes one of
+// the tracked fields is recorded by the Appointment model's save hooks; callers
+// say who made the change (and why) with setHistoryContext before saving.
+//
+// The actor is { user } for staff, { patientUserId } for a portal patient (or a
+// patient using an emailed link, where the id may be null), or omitted for the
+// system. Recording never throws: a lost history entry must not fail the change
+// that was already saved.
+
+export const TRACKED_FIELDS = [
+  'status',
+  'doctor',
+  'doctorName',
+  'appointmentDate',
+  'appointmentTime',
+  'endTime',
+  'serviceType',
+  'appointmentType',
+  'priority',
+  'reasonForVisit',
+  'patientInstructions',
+  'staffNotes',
+  'diagnosis',
+  'cancellationReason',
+  'cancellationRequest.status',
+  'rescheduleRequest.status',
+  'attendanceConfirmedAt',
+  'queueNumber',
+  'queueStatus'
+];
+
+const comparable = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  return String(value);
+};
+
+function actorFields(actor = {}) {
+  if (actor.user) {
+    return { actorType: 'user', user: actor.user._id || actor.user };
+  }
+  if (actor.patientUserId !== undefined) {
+    return { actorType: 'patient', patientUser: actor.patientUserId || undefined };
+  }
+  return { actorType: 'system' };
+}
+
+function defaultSource(actor) {
+  if (actor?.user) return 'staff';
+  if (actor?.patientUserId !== undefined) return 'patient_portal';
+  return 'system';
+}
+
+// Who is changing the appointment, for the entry written on its next save.
+// action defaults to created / status_changed / rescheduled / updated.
+export function setHistoryContext(appointment, { actor, source, action, reason } = {}) {
+  appointment.$locals.history = { actor, source, action, reason };
+  return appointment;
+}
+
+// Values as loaded from the database, to diff against on save
+export function rememberHistoryState(appointment) {
+  appointment.$locals.historyState = Object.fromEntries(
+    TRACKED_FIELDS.map(field => [field, appointment.get(field)])
+  );
+}
+
+// Called from the pre-save hook: work out what this save changes
+export function collectHistoryChanges(appointment) {
+  const before = appointment.$locals.historyState || {};
+  const changes = appointment.isNew
+    ? []
+    : TRACKED_FIELDS
+      .filter(field => appointment.isModified(field))
+      .map(field => ({ field, from: before[field] ?? null, to: appointment.get(field) ?? null }))
+      .filter(change => comparable(change.from) !== comparable(change.to));
+
+  appointment.$locals.pendingHistory = {
+    isNew: appointment.isNew,
+    fromStatus: appointment.isNew ? undefined : before.status,
+    changes
+  };
+}
+
+function defaultAction({ isNew, changes }) {
+  if (isNew) return 'created';
+  const changed = (field) => changes.some(change => change.field === field);
+  if (changed('status')) return 'status_changed';
+  if (changed('appointmentDate') || changed('appointmentTime')) return 'rescheduled';
+  return 'updated';
+}
+
+export async function recordHistory(appointment, { action, fromStatus, actor, source, reason, changes } = {}) {
+  try {
+    return await AppointmentHistory.create({
+      appointment: appointment._id,
+      action,
+      fromStatus,
+      toStatus: appointment.status,
+      ...actorFields(actor),
+      source: source || defaultSource(actor),
+      reason,
+      changes
+    });
+  } catch (error) {
+    console.error(`Error recording ${action} history for appointment ${appointment._id}:`, error);
+    return null;
+  }
+}
+
+// Called from the post-save hook: write the entry for the save that just happened
+export async function recordSavedChanges(appointment) {
+  const pending = appointment.$locals.pendingHistory;
+  const context = appointment.$locals.history || {};
+  delete appointment.$locals.pendingHistory;
+  delete appointment.$locals.history;
+  rememberHistoryState(appointment);
+
+  if (!pending || (!pending.isNew && pending.changes.length === 0)) return null;
+
+  return recordHistory(appointment, {
+    action: context.action || defaultAction(pending),
+    fromStatus: pending.fromStatus,
+    actor: context.actor,
+    source: context.source,
+    reason: context.reason,
+    changes: pending.changes
+  });
+}
+
+export function getAppointmentHistory(appointmentId) {
+  return AppointmentHistory.find({ appointment: appointmentId })
+    .populate('user', 'firstName lastName role')
+    .populate('patientUser', 'firstName lastName email')
+    .sort({ createdAt: 1, _id: 1 });
+}
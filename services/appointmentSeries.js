@@ -0,0 +1,379 @@
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import PatientUser from '../models/PatientUser.js';
+import {
+  addDays,
+  checkSlot,
+  findDoctor,
+  findNextAvailableSlot,
+  getDayBounds,
+  parseAppointmentTime,
+  getServiceDuration
+} from './availability.js';
+import {
+  applyStaffCancellation,
+  applyStaffReschedule,
+  emitCancelled,
+  emitRescheduled
+} from './appointments.js';
+import { setHistoryContext } from './appointmentHistory.js';
+import { CLAIMING_STATUSES, SlotConflictError } from './slotReservation.js';
+import { toDateKey } from './time.js';
+import { offerFreedSlot } from './waitlist.js';
+
+// Recurring appointment series. Occurrence dates come from the series rule; each
+// occurrence is checked against availability on its own and booked as a normal
+// Appointment linked to the one before it (previousAppointment / isFollowUp).
+
+export class SeriesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SeriesError';
+    this.status = status;
+  }
+}
+
+export const MAX_OCCURRENCES = 52;
+
+// How far a conflicting occurrence may be moved when shifting is requested
+const SHIFT_WINDOW_DAYS = 3;
+
+// Well-baby visits by age, following the routine immunization calendar
+export const IMMUNIZATION_VISITS = [
+  { label: 'Newborn (BCG, Hepatitis B)', weeks: 0 },
+  { label: '6 weeks', weeks: 6 },
+  { label: '10 weeks', weeks: 10 },
+  { label: '14 weeks', weeks: 14 },
+  { label: '6 months', months: 6 },
+  { label: '9 months', months: 9 },
+  { label: '12 months', months: 12 },
+  { label: '15 months', months: 15 },
+  { label: '18 months', months: 18 }
+];
+
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
+
+function addMonths(dateKey, months) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks of gestation on a given day, counted back from the EDD (40 weeks)
+const gestationalWeeks = (dateKey, eddKey) => Math.floor((280 - daysBetween(dateKey, eddKey)) / 7);
+
+// EDD or birth date the rule is keyed to, from the request or the patient record
+export function resolveSeriesAnchor(patient, ruleType, anchorDate) {
+  if (ruleType === 'prenatal') {
+    if (patient.patientType !== 'ob-gyne') {
+      throw new SeriesError('Prenatal series are only available for OB-GYNE patients');
+    }
+    const history = patient.obGyneRecord?.gynecologicHistory;
+    const edd = anchorDate || history?.eddByEutz || history?.eddByLmp;
+    if (!edd) {
+      throw new SeriesError('An expected delivery date is required for a prenatal series');
+    }
+    return toDateKey(edd);
+  }
+
+  if (ruleType === 'immunization') {
+    if (patient.patientType !== 'pediatric') {
+      throw new SeriesError('Immunization series are only available for pediatric patients');
+    }
+    const birthDate = anchorDate || patient.pediatricRecord?.birthDate;
+    if (!birthDate) {
+      throw new SeriesError('The child\'s birth date is required for an immunization series');
+    }
+    return toDateKey(birthDate);
+  }
+
+  return anchorDate ? toDateKey(anchorDate) : undefined;
+}
+
+// Occurrence dates for a rule as [{ dateKey, label }], starting on startKey
+export function generateSeriesDates(rule, { startKey, anchorKey }) {
+  const dates = [];
+
+  if (rule.type === 'interval') {
+    const untilKey = rule.until ? toDateKey(rule.until) : null;
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    for (let dateKey = startKey; dates.length < limit; dateKey = addDays(dateKey, rule.intervalWeeks * 7)) {
+      if (untilKey && dateKey > untilKey) break;
+      dates.push({ dateKey, label: `Visit ${dates.length + 1}` });
+    }
+  } else if (rule.type === 'prenatal') {
+    let dateKey = startKey;
+    while (dateKey <= anchorKey && dates.length < MAX_OCCURRENCES) {
+      const weeks = gestationalWeeks(dateKey, anchorKey);
+      dates.push({ dateKey, label: `${weeks} weeks AOG` });
+      dateKey = addDays(dateKey, weeks < 28 ? 28 : weeks < 36 ? 14 : 7);
+    }
+  } else if (rule.type === 'immunization') {
+    for (const visit of IMMUNIZATION_VISITS) {
+      const dateKey = visit.months
+        ? addMonths(anchorKey, visit.months)
+        : addDays(anchorKey, visit.weeks * 7);
+      if (dateKey >= startKey) {
+        dates.push({ dateKey, label: visit.label });
+      }
+    }
+  }
+
+  if (rule.count) {
+    return dates.slice(0, rule.count);
+  }
+  return dates;
+}
+
+// Check every occurrence against the doctor's availability. With shiftConflicts,
+// an occurrence whose time is unavailable moves to the nearest open slot within
+// a few days; otherwise it is reported and left out.
+export async function planOccurrences(doctor, { dates, appointmentTime, serviceType, shiftConflicts = false }) {
+  const duration = await getServiceDuration(serviceType);
+  const todayKey = toDateKey(new Date());
+  const taken = [];
+  const occurrences = [];
+
+  for (const { dateKey, label } of dates) {
+    const occurrence = { label, requestedDate: dateKey, requestedTime: appointmentTime };
+
+    if (dateKey < todayKey) {
+      occurrences.push({ ...occurrence, available: false, reason: 'Date is in the past' });
+      continue;
+    }
+
+    const slotCheck = await checkSlot(doctor, dateKey, appointmentTime, { serviceType });
+    if (slotCheck.available) {
+      const start = parseAppointmentTime(appointmentTime);
+      taken.push({ dateKey, start, end: start + duration });
+      occurrences.push({ ...occurrence, dateKey, time: appointmentTime, available: true });
+      continue;
+    }
+
+    const next = shiftConflicts
+      ? await findNextAvailableSlot(doctor, {
+          fromDate: dateKey,
+          preferredTime: appointmentTime,
+          serviceType,
+          days: SHIFT_WINDOW_DAYS,
+          exclude: taken
+        })
+      : null;
+
+    if (next) {
+      taken.push(next);
+      occurrences.push({
+        ...occurrence,
+        dateKey: next.dateKey,
+        time: next.time,
+        available: true,
+        shifted: true,
+        reason: slotCheck.reason
+      });
+    } else {
+      occurrences.push({ ...occurrence, available: false, reason: slotCheck.reason });
+    }
+  }
+
+  return occurrences;
+}
+
+// Work out the occurrences of a new series without booking anything
+export async function previewSeries({ patient, doctor, serviceType, appointmentTime, rule, startDate, anchorDate, shiftConflicts }) {
+  const anchorKey = resolveSeriesAnchor(patient, rule.type, anchorDate);
+  const startKey = startDate ? toDateKey(startDate) : addDays(toDateKey(new Date()), 1);
+  const dates = generateSeriesDates(rule, { startKey, anchorKey });
+  if (dates.length === 0) {
+    throw new SeriesError('The series rule does not produce any upcoming visits');
+  }
+
+  const occurrences = await planOccurrences(doctor, { dates, appointmentTime, serviceType, shiftConflicts });
+  return { anchorKey, startKey, occurrences };
+}
+
+// Create the series and book every available occurrence. Occurrences that can't
+// be booked are returned as skipped so staff can place them by hand.
+export async function createSeries(options) {
+  const { patient, doctor, serviceType, appointmentTime, rule, reasonForVisit, user } = options;
+  const { anchorKey, startKey, occurrences } = await previewSeries(options);
+  if (!occurrences.some(occurrence => occurrence.available)) {
+    throw new SeriesError('None of the series visits can be booked at the requested time', 409);
+  }
+
+  const series = new AppointmentSeries({
+    patient: patient._id,
+    doctor: doctor._id,
+    doctorName: doctor.name,
+    serviceType,
+    appointmentTime,
+    rule,
+    anchorDate: anchorKey ? getDayBounds(anchorKey).start : undefined,
+    startDate: getDayBounds(startKey).start,
+    reasonForVisit,
+    createdBy: user?._id
+  });
+  await series.save();
+
+  const patientName = patient.patientType === 'ob-gyne'
+    ? patient.obGyneRecord?.patientName || ''
+    : patient.pediatricRecord?.nameOfChildren || '';
+  const contactNumber = patient.patientType === 'ob-gyne'
+    ? patient.obGyneRecord?.contactNumber || ''
+    : patient.pediatricRecord?.contactNumber || '';
+
+  // Link the portal account so the patient is notified about each visit
+  const patientUser = await PatientUser.findOne({ patientRecord: patient._id });
+
+  const appointments = [];
+  const skipped = [];
+  let previous = null;
+
+  for (const [index, occurrence] of occurrences.entries()) {
+    if (!occurrence.available) {
+      skipped.push(occurrence);
+      continue;
+    }
+
+    const appointment = new Appointment({
+      patient: patient._id,
+      patientUserId: patientUser?._id,
+      doctorType: doctor.specialty,
+      doctor: doctor._id,
+      doctorName: doctor.name,
+      appointmentDate: getDayBounds(occurrence.dateKey).start,
+      appointmentTime: occurrence.time,
+      serviceType,
+      contactInfo: { primaryPhone: contactNumber, email: patient.contactInfo?.email },
+      reasonForVisit: reasonForVisit || occurrence.label,
+      appointmentType: previous ? 'follow-up' : 'regular',
+      isFollowUp: Boolean(previous),
+      previousAppointment: previous?._id,
+      series: series._id,
+      seriesIndex: index,
+      bookedBy: user?._id,
+      patientName,
+      contactNumber,
+      bookingSource: 'staff'
+    });
+    setHistoryContext(appointment, { actor: { user }, reason: `Appointment series ${series._id}` });
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      // Another booking took the time between planning and saving
+      if (error instanceof SlotConflictError) {
+        skipped.push({ ...occurrence, available: false, reason: error.message });
+        continue;
+      }
+      throw error;
+    }
+
+    if (previous) {
+      previous.nextFollowUp = appointment.appointmentDate;
+      await previous.save();
+    }
+
+    appointments.push(appointment);
+    previous = appointment;
+  }
+
+  return { series, appointments, skipped };
+}
+
+export function getSeriesAppointments(seriesId, filter = {}) {
+  return Appointment.find({ series: seriesId, ...filter }).sort({ appointmentDate: 1, seriesIndex: 1 });
+}
+
+// Upcoming occurrences that a whole-series change applies to
+const upcomingOccurrences = (series, fromDate, statuses) => getSeriesAppointments(series._id, {
+  status: { $in: statuses },
+  appointmentDate: { $gte: getDayBounds(toDateKey(fromDate || new Date())).start }
+});
+
+// Move every upcoming occurrence to a new time. Occurrences whose new time is
+// taken keep their current time and are reported as conflicts.
+export async function rescheduleSeries(series, { appointmentTime, fromDate, reason, user, io }) {
+  if (series.status !== 'active') {
+    throw new SeriesError('This series has been cancelled');
+  }
+
+  const doctor = await findDoctor({ doctorId: series.doctor, includeInactive: true });
+  if (!doctor) {
+    throw new SeriesError('Doctor not found', 404);
+  }
+
+  const appointments = await upcomingOccurrences(series, fromDate, ['scheduled', 'confirmed']);
+  const updated = [];
+  const conflicts = [];
+
+  for (const appointment of appointments) {
+    if (appointment.appointmentTime === appointmentTime) continue;
+
+    const dateKey = toDateKey(appointment.appointmentDate);
+    const slotCheck = await checkSlot(doctor, dateKey, appointmentTime, {
+      serviceType: appointment.serviceType,
+      excludeId: appointment._id
+    });
+    if (!slotCheck.available) {
+      conflicts.push({ appointmentId: appointment.appointmentId, date: dateKey, reason: slotCheck.reason });
+      continue;
+    }
+
+    applyStaffReschedule(appointment, {
+      date: appointment.appointmentDate,
+      time: appointmentTime,
+      reason: reason || 'Series time changed',
+      user
+    });
+    setHistoryContext(appointment, { actor: { user }, reason: reason || 'Series time changed' });
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      if (error instanceof SlotConflictError) {
+        conflicts.push({ appointmentId: appointment.appointmentId, date: dateKey, reason: error.message });
+        continue;
+      }
+      throw error;
+    }
+
+    await emitRescheduled(io, appointment);
+    updated.push(appointment);
+  }
+
+  // Future occurrences follow the new time only if the whole series moved
+  if (!fromDate) {
+    series.appointmentTime = appointmentTime;
+    await series.save();
+  }
+
+  return { updated, conflicts };
+}
+
+// Cancel every upcoming occurrence, or only those from a given date on
+// ("this and following"). Cancelling from the start closes the series.
+export async function cancelSeries(series, { reason, fromDate, user, io }) {
+  if (series.status !== 'active') {
+    throw new SeriesError('This series has already been cancelled');
+  }
+
+  const appointments = await upcomingOccurrences(series, fromDate, CLAIMING_STATUSES);
+
+  for (const appointment of appointments) {
+    applyStaffCancellation(appointment, { reason: reason || 'Appointment series cancelled', user });
+    setHistoryContext(appointment, { actor: { user }, reason: reason || 'Appointment series cancelled' });
+    await appointment.save();
+    await emitCancelled(io, appointment);
+    await offerFreedSlot(appointment, io);
+  }
+
+  if (!fromDate) {
+    series.status = 'cancelled';
+    series.cancellationReason = reason;
+    series.cancelledAt = new Date();
+    series.cancelledBy = user?._id;
+    await series.save();
+  }
+
+  return { cancelled: appointments };
+}
@@ -0,0 +1,94 @@
+// Allowed appointment status changes, in one place. Routes and services check a
+// move here before applying it, so an invalid one is refused (409, with the
+// statuses that are allowed) before anything else is touched; the Appointment
+// model checks again on save so nothing can slip past.
+//
+// completed, cancelled and rescheduled (moved outside the system) are final; a
+// no-show can only be corrected to completed, when the patient did come.
+// Pending requests go back to an active status when they are turned down.
+
+export const APPOINTMENT_TRANSITIONS = {
+  scheduled: ['confirmed', 'completed', 'cancelled', 'no-show', 'rescheduled', 'cancellation_pending', 'reschedule_pending'],
+  confirmed: ['completed', 'cancelled', 'no-show', 'rescheduled', 'cancellation_pending', 'reschedule_pending'],
+  // Approved (or accepted by the patient) -> confirmed; turned down by the patient -> scheduled
+  reschedule_pending: ['confirmed', 'scheduled', 'cancelled', 'cancellation_pending'],
+  // Approved -> cancelled; rejected -> the status the appointment had before the request
+  cancellation_pending: ['cancelled', 'scheduled', 'confirmed', 'reschedule_pending'],
+  completed: [],
+  cancelled: [],
+  'no-show': ['completed'],
+  rescheduled: []
+};
+
+export const APPOINTMENT_STATUSES = Object.keys(APPOINTMENT_TRANSITIONS);
+
+export class InvalidTransitionError extends Error {
+  constructor(from, to, { action } = {}) {
+    const allowed = allowedTransitions(from);
+    let message;
+    if (action) {
+      message = `Cannot ${action} an appointment that is ${from}`;
+    } else if (from === to) {
+      message = `Appointment is already ${from}`;
+    } else {
+      message = `Cannot change appointment status from ${from} to ${to}`;
+    }
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+export function allowedTransitions(from) {
+  return [...(APPOINTMENT_TRANSITIONS[from] || [])];
+}
+
+export function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+// Throw unless the appointment may move to `to`. `action` words the error for
+// the operation being attempted ("approve the cancellation of", "reschedule").
+export function assertTransition(appointment, to, { action } = {}) {
+  if (!canTransition(appointment.status, to)) {
+    throw new InvalidTransitionError(appointment.status, to, { action });
+  }
+  return appointment;
+}
+
+export function transitionTo(appointment, to, options) {
+  assertTransition(appointment, to, options);
+  appointment.status = to;
+  return appointment;
+}
+
+// For operations that only make sense in certain statuses (approving a pending
+// request, accepting a proposed time)
+export function requireStatus(appointment, statuses, { action }) {
+  if (!statuses.includes(appointment.status)) {
+    throw new InvalidTransitionError(appointment.status, undefined, { action });
+  }
+  return appointment;
+}
+
+// Throw when the appointment is in a final status
+export function assertNotFinal(appointment, { action }) {
+  if (allowedTransitions(appointment.status).length === 0) {
+    throw new InvalidTransitionError(appointment.status, undefined, { action });
+  }
+  return appointment;
+}
+
+// Response body for an InvalidTransitionError
+export const transitionErrorBody = (error) => ({
+  success: false,
+  message: error.message,
+  data: {
+    currentStatus: error.from,
+    requestedStatus: error.to,
+    allowedStatuses: error.allowed
+  }
+});
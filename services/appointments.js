@@ -0,0 +1,221 @@
+import { setHistoryContext } from './appointmentHistory.js';
+import { assertTransition, transitionTo } from './appointmentStateMachine.js';
+import { notifyPatient, notifyStaff } from './notifications.js';
+import { appointmentStartsAt } from './time.js';
+
+// Appointment state changes shared by the staff routes and bulk operations
+// (e.g. resolving appointments affected by a clinic closure), and the patient
+// actions shared by the portal and the links in reminder messages.
+
+export class AppointmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AppointmentError';
+    this.status = status;
+  }
+}
+
+// Patients may cancel up to this long before the appointment
+const CANCELLATION_NOTICE_HOURS = 2;
+
+const staffEventData = (appointment) => ({
+  id: appointment._id,
+  appointmentId: appointment.appointmentId,
+  patientName: appointment.patientName,
+  doctorName: appointment.doctorName,
+  date: appointment.appointmentDate,
+  time: appointment.appointmentTime
+});
+
+// Patient asks to cancel; staff approve or reject the request.
+// patientUserId is null when the request comes from a link without a portal account.
+export async function requestCancellation(appointment, { reason, patientUserId, source, io }) {
+  if (appointment.status === 'cancellation_pending') {
+    throw new AppointmentError('Cancellation request is already pending', 409);
+  }
+  assertTransition(appointment, 'cancellation_pending', { action: 'request cancellation of' });
+
+  const hoursLeft = (appointmentStartsAt(appointment.appointmentDate, appointment.appointmentTime) - new Date()) / (1000 * 60 * 60);
+  if (hoursLeft < CANCELLATION_NOTICE_HOURS) {
+    throw new AppointmentError(`Appointments can only be cancelled at least ${CANCELLATION_NOTICE_HOURS} hours in advance`);
+  }
+
+  const previousStatus = appointment.status;
+  transitionTo(appointment, 'cancellation_pending');
+  appointment.cancellationRequest = {
+    status: 'pending',
+    reason,
+    requestedAt: new Date(),
+    requestedBy: patientUserId || undefined,
+    source,
+    previousStatus
+  };
+  setHistoryContext(appointment, {
+    actor: { patientUserId },
+    source,
+    action: 'cancellation_requested',
+    reason
+  });
+  await appointment.save();
+
+  await notifyStaff(io, appointment.doctor, 'appointment:cancellation_requested', {
+    type: 'cancellation_requested',
+    message: `Cancellation request submitted for appointment with ${appointment.patientName}`,
+    data: staffEventData(appointment)
+  });
+
+  return appointment;
+}
+
+// Patient confirms they will come. Doesn't change the status: "confirmed" is
+// the clinic accepting the booking.
+export async function confirmAttendance(appointment, { patientUserId, source, io }) {
+  if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+    throw new AppointmentError(`Cannot confirm attendance for an appointment that is ${appointment.status}`);
+  }
+  if (appointmentStartsAt(appointment.appointmentDate, appointment.appointmentTime) <= new Date()) {
+    throw new AppointmentError('This appointment has already started');
+  }
+  if (appointment.attendanceConfirmedAt) {
+    throw new AppointmentError('Attendance is already confirmed', 409);
+  }
+
+  appointment.attendanceConfirmedAt = new Date();
+  setHistoryContext(appointment, { actor: { patientUserId }, source, action: 'attendance_confirmed' });
+  await appointment.save();
+
+  await notifyStaff(io, appointment.doctor, 'appointment:attendance_confirmed', {
+    type: 'attendance_confirmed',
+    message: `${appointment.patientName} confirmed they will attend the appointment with ${appointment.doctorName}`,
+    data: staffEventData(appointment)
+  });
+
+  return appointment;
+}
+
+// Cancel an appointment on behalf of the clinic. No patient approval is needed;
+// the patient is notified but doesn't need to confirm.
+export function applyStaffCancellation(appointment, { reason, user }) {
+  transitionTo(appointment, 'cancelled', { action: 'cancel' });
+  if (reason) {
+    appointment.cancellationReason = reason;
+  }
+
+  // Record that this was cancelled by admin/staff
+  if (appointment.bookingSource === 'patient_portal' && appointment.patientUserId) {
+    appointment.cancellationRequest = {
+      status: 'approved', // Already approved by admin
+      reason: reason || 'Cancelled by staff',
+      requestedAt: new Date(),
+      reviewedAt: new Date(),
+      reviewedBy: user?._id,
+      adminNotes: 'Cancelled by clinic staff'
+    };
+  }
+
+  return appointment;
+}
+
+// Move an appointment to a new date/time on behalf of the clinic.
+// Patient portal bookings need the patient to accept the new time, unless the
+// patient asked for the reschedule in the first place.
+export function applyStaffReschedule(appointment, { date, time, reason, user }) {
+  const needsPatientApproval = appointment.bookingSource === 'patient_portal' && appointment.patientUserId;
+  const nextStatus = needsPatientApproval && appointment.status !== 'reschedule_pending'
+    ? 'reschedule_pending'
+    : 'confirmed';
+  // A confirmed staff booking stays confirmed at its new time
+  if (appointment.status !== nextStatus) {
+    assertTransition(appointment, nextStatus, { action: 'reschedule' });
+  }
+
+  // Store original appointment details
+  appointment.rescheduledFrom = {
+    originalDate: appointment.appointmentDate,
+    originalTime: appointment.appointmentTime,
+    reason: reason || 'Rescheduled by staff'
+  };
+
+  if (needsPatientApproval) {
+    // If it's already pending reschedule (patient requested it), this is an admin approval
+    if (appointment.status === 'reschedule_pending') {
+      appointment.appointmentDate = date;
+      appointment.appointmentTime = time;
+      appointment.status = 'confirmed';
+      if (appointment.rescheduleRequest) {
+        appointment.rescheduleRequest.status = 'approved';
+        appointment.rescheduleRequest.reviewedAt = new Date();
+        appointment.rescheduleRequest.reviewedBy = user?._id;
+      }
+    } else {
+      // Otherwise, it's a staff-initiated reschedule requiring patient approval
+      appointment.rescheduleRequest = {
+        status: 'pending',
+        reason: reason || 'Rescheduled by staff',
+        requestedAt: new Date(),
+        preferredDate: date,
+        preferredTime: time
+      };
+      appointment.appointmentDate = date;
+      appointment.appointmentTime = time;
+      appointment.status = 'reschedule_pending';
+    }
+  } else {
+    // For staff bookings, reschedule directly
+    appointment.appointmentDate = date;
+    appointment.appointmentTime = time;
+    appointment.status = 'confirmed';
+  }
+
+  return appointment;
+}
+
+export async function emitCancelled(io, appointment, { reason } = {}) {
+  if (!appointment.patientUserId) return;
+
+  await notifyPatient(io, appointment.patientUserId, 'appointment:cancelled', {
+    type: 'appointment_cancelled',
+    data: {
+      id: appointment._id,
+      patientName: appointment.patientName,
+      doctorName: appointment.doctorName,
+      date: appointment.appointmentDate,
+      time: appointment.appointmentTime,
+      reason: reason || appointment.cancellationReason
+    }
+  });
+}
+
+export async function emitRescheduled(io, appointment) {
+  if (!appointment.patientUserId) return;
+
+  // If it's a request (pending), notify about the request
+  if (appointment.status === 'reschedule_pending') {
+    await notifyPatient(io, appointment.patientUserId, 'appointment:reschedule_pending', {
+      type: 'appointment_reschedule_pending',
+      data: {
+        id: appointment._id,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName,
+        date: appointment.appointmentDate,
+        time: appointment.appointmentTime,
+        preferredDate: appointment.rescheduleRequest?.preferredDate,
+        preferredTime: appointment.rescheduleRequest?.preferredTime
+      }
+    });
+  } else {
+    // Direct reschedule
+    await notifyPatient(io, appointment.patientUserId, 'appointment:rescheduled', {
+      type: 'appointment_rescheduled',
+      data: {
+        id: appointment._id,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName,
+        date: appointment.appointmentDate,
+        time: appointment.appointmentTime,
+        originalDate: appointment.rescheduledFrom?.originalDate,
+        originalTime: appointment.rescheduledFrom?.originalTime
+      }
+    });
+  }
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+
+// Tamper-evident audit trail of who viewed or changed patient records,
+// consultations and immunizations.
+//
+// Entries are numbered (seq) and chained: hash = sha256(prevHash + content).
+// Appending takes the next seq after the current last entry. Appends from this
+// process run one at a time, so they never race each other; the unique index on
+// seq makes a writer in another process retry instead of forking the chain.
+
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_RETRIES = 5;
+
+// Tail of the in-process append queue
+let appendQueue = Promise.resolve();
+
+// Fields covered by the hash, in a fixed order
+const HASHED_FIELDS = [
+  'seq', 'user', 'userName', 'userRole', 'action', 'resource', 'patient',
+  'resourceId', 'details', 'ipAddress', 'userAgent', 'createdAt', 'prevHash'
+];
+
+// JSON with sorted keys, so the same content always hashes the same
+function canonicalJson(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function computeAuditHash(entry) {
+  const content = canonicalJson(Object.fromEntries(HASHED_FIELDS.map(field => [field, entry[field]])));
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+async function appendEntry(fields) {
+  for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash');
+    const entry = new AuditLog({
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+      createdAt: new Date()
+    });
+    entry.hash = computeAuditHash(entry);
+    try {
+      return await entry.save();
+    } catch (error) {
+      // Another process took this seq; chain onto it instead
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('too many concurrent writers');
+}
+
+// Append an entry for the current request. Never throws: a failed audit write is
+// logged and must not fail the request, which has already been served.
+export async function recordAudit(req, { action, resource, patient, resourceId, details }) {
+  const fields = {
+    user: req.user?._id,
+    userName: req.user ? `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.email : undefined,
+    userRole: req.user?.role,
+    action,
+    resource,
+    patient: patient?._id || patient,
+    resourceId: resourceId ? String(resourceId) : undefined,
+    details,
+    ipAddress: clientIp(req),
+    userAgent: req.get('User-Agent')
+  };
+
+  const append = appendQueue.then(() => appendEntry(fields));
+  appendQueue = append.catch(() => {});
+
+  try {
+    return await append;
+  } catch (error) {
+    console.error(`Error recording ${action} ${resource} audit entry:`, error);
+    return null;
+  }
+}
+
+// Walk the chain in order and report the first entry whose hash or link doesn't
+// match. Returns { valid, checked, brokenAt, reason }.
+export async function verifyAuditChain({ batchSize = 500 } = {}) {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  for (;;) {
+    const entries = await AuditLog.find({ seq: { $gte: expectedSeq } })
+      .sort({ seq: 1 })
+      .limit(batchSize)
+      .lean();
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      if (entry.seq !== expectedSeq) {
+        return { valid: false, checked, brokenAt: expectedSeq, reason: 'Entry missing' };
+      }
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, checked, brokenAt: entry.seq, reason: 'Link to previous entry does not match' };
+      }
+      if (computeAuditHash(entry) !== entry.hash) {
+        return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry content was changed' };
+      }
+      prevHash = entry.hash;
+      expectedSeq++;
+      checked++;
+    }
+  }
+
+  return { valid: true, checked };
+}
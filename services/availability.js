@@ -0,0 +1,396 @@
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import Doctor from '../models/Doctor.js';
+import ScheduleException from '../models/ScheduleException.js';
+import Settings from '../models/Settings.js';
+import SlotClaim from '../models/SlotClaim.js';
+import { parseClockTime, parseAppointmentTime, formatAppointmentTime, toDateKey } from './time.js';
+import { CLAIMING_STATUSES, getClaimMinutes } from './slotReservation.js';
+
+export { parseClockTime, parseAppointmentTime, formatAppointmentTime, toDateKey };
+
+// Single source of truth for doctor availability. Both the staff availability
+// routes and the patient booking routes compute slots through this module so
+// that an edit to the clinic settings or the doctor roster changes what everyone sees.
+
+export const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_SLOT_DURATION = 30;
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Generate "h:mm AM/PM" slot labels between two "HH:MM" clock times
+export function generateTimeSlots(startTime, endTime, slotDuration = DEFAULT_SLOT_DURATION) {
+  const slots = [];
+  const startMinutes = parseClockTime(startTime);
+  const endMinutes = parseClockTime(endTime);
+
+  for (let minutes = startMinutes; minutes < endMinutes; minutes += slotDuration) {
+    slots.push(formatAppointmentTime(minutes));
+  }
+
+  return slots;
+}
+
+export function getDayBounds(dateKey) {
+  const start = new Date(`${dateKey}T00:00:00.000Z`);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+}
+
+export function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+}
+
+export function getDayName(dateKey) {
+  return DAY_NAMES[new Date(`${dateKey}T12:00:00.000Z`).getUTCDay()];
+}
+
+// Active doctor roster, seeded from the legacy clinic settings on first use
+export async function getDoctors({ includeInactive = false } = {}) {
+  await Doctor.ensureRoster();
+  const filter = includeInactive ? {} : { isActive: true };
+  return Doctor.find(filter).sort({ name: 1 });
+}
+
+// Look a doctor up by ID, falling back to display name for legacy callers
+export async function findDoctor({ doctorId, doctorName, includeInactive = false }) {
+  await Doctor.ensureRoster();
+  const filter = includeInactive ? {} : { isActive: true };
+
+  if (doctorId) {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) return null;
+    return Doctor.findOne({ ...filter, _id: doctorId });
+  }
+  if (doctorName) {
+    return Doctor.findOne({ ...filter, name: doctorName });
+  }
+  return null;
+}
+
+export async function getSlotDuration() {
+  const settings = await Settings.getSettings();
+  return settings.slotDuration || DEFAULT_SLOT_DURATION;
+}
+
+// Visit length in minutes for a service type; falls back to the slot length
+export async function getServiceDuration(serviceType) {
+  const durations = await Settings.getServiceDurations();
+  return durations[serviceType] || await getSlotDuration();
+}
+
+// Start/end minutes of an appointment. Legacy appointments without endTime
+// are assumed to take their service's duration.
+export function getAppointmentRange(appointment, durations = {}) {
+  const start = parseAppointmentTime(appointment.appointmentTime);
+  let end = appointment.endTime ? parseAppointmentTime(appointment.endTime) : null;
+  if (end === null || end <= start) {
+    end = start + (durations[appointment.serviceType] || DEFAULT_SLOT_DURATION);
+  }
+  return { start, end };
+}
+
+export const rangesOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+// Appointments of a doctor on one day whose time range overlaps [start, end)
+export async function findOverlappingAppointments(doctor, date, range, {
+  statuses = CLAIMING_STATUSES,
+  excludeId
+} = {}) {
+  const { start, end } = getDayBounds(toDateKey(date));
+  const filter = {
+    doctor: doctor._id || doctor,
+    appointmentDate: { $gte: start, $lt: end },
+    status: { $in: statuses }
+  };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  const [appointments, durations] = await Promise.all([
+    Appointment.find(filter),
+    Settings.getServiceDurations()
+  ]);
+
+  return appointments.filter(apt => rangesOverlap(getAppointmentRange(apt, durations), range));
+}
+
+// Working hours for a doctor on a given day, or null when the doctor is off
+export function getDaySchedule(doctor, dateKey) {
+  const hours = doctor.hours && doctor.hours[getDayName(dateKey)];
+  if (!hours || !hours.enabled || !hours.start || !hours.end) {
+    return null;
+  }
+  return { start: hours.start, end: hours.end };
+}
+
+// Weekly schedule keyed by capitalized day name, only for working days
+export function getWeeklySchedule(doctor) {
+  const schedule = {};
+  DAY_NAMES.forEach(day => {
+    const hours = doctor.hours && doctor.hours[day];
+    if (hours && hours.enabled && hours.start && hours.end) {
+      schedule[capitalize(day)] = { start: hours.start, end: hours.end };
+    }
+  });
+  return schedule;
+}
+
+// Whether an exception covers a day; recurring exceptions match on month/day only
+export function exceptionCoversDate(exception, dateKey) {
+  const startKey = toDateKey(exception.startDate);
+  const endKey = toDateKey(exception.endDate || exception.startDate);
+
+  if (!exception.recurring) {
+    return startKey <= dateKey && dateKey <= endKey;
+  }
+
+  const day = dateKey.slice(5);
+  const start = startKey.slice(5);
+  const end = endKey.slice(5);
+  // A recurring range may wrap around the new year (e.g. 12-31 to 01-01)
+  return start <= end ? (start <= day && day <= end) : (day >= start || day <= end);
+}
+
+// Clinic-wide and doctor-specific exceptions that may touch a date range
+export async function getScheduleExceptions(doctor, fromKey, toKey = fromKey) {
+  return ScheduleException.find({
+    $and: [
+      { $or: [{ doctor: null }, { doctor: doctor._id }] },
+      {
+        $or: [
+          { recurring: true },
+          {
+            startDate: { $lt: getDayBounds(toKey).end },
+            endDate: { $gte: getDayBounds(fromKey).start }
+          }
+        ]
+      }
+    ]
+  });
+}
+
+// Resolve exceptions for one day into a full-day closure and/or partial blocks
+export function resolveDayExceptions(doctor, dateKey, exceptions) {
+  const applicable = exceptions.filter(exception => exceptionCoversDate(exception, dateKey));
+  const closure = applicable.find(exception => exception.type !== 'block') || null;
+  const blocks = applicable
+    .filter(exception => exception.type === 'block')
+    .map(exception => ({
+      name: exception.name,
+      start: parseClockTime(exception.startTime),
+      end: parseClockTime(exception.endTime)
+    }));
+
+  let reason = null;
+  if (closure) {
+    reason = closure.type === 'leave' || closure.doctor
+      ? `${doctor.name} is unavailable: ${closure.name}`
+      : `Clinic closed: ${closure.name}`;
+  }
+
+  return { closure, reason, blocks };
+}
+
+const overlapsBlock = (range, blocks) => blocks.find(block => rangesOverlap(range, block));
+
+// Working slots for a day with exceptions applied, without looking at bookings.
+// Slots start every `slotDuration` minutes; a slot is only offered when the whole
+// visit (`duration` minutes) fits inside working hours and outside blocks.
+function getOpenSlots(doctor, dateKey, slotDuration, exceptions, duration = slotDuration) {
+  const daySchedule = getDaySchedule(doctor, dateKey);
+
+  if (!daySchedule) {
+    return {
+      open: false,
+      reason: `${doctor.name} is not available on ${capitalize(getDayName(dateKey))}s`
+    };
+  }
+
+  const { closure, reason, blocks } = resolveDayExceptions(doctor, dateKey, exceptions);
+  if (closure) {
+    return { open: false, reason, closure };
+  }
+
+  const slots = [];
+  const blockedSlots = [];
+  const dayEnd = parseClockTime(daySchedule.end);
+  generateTimeSlots(daySchedule.start, daySchedule.end, slotDuration).forEach(slot => {
+    const start = parseAppointmentTime(slot);
+    if (start + duration > dayEnd) return;
+
+    const block = overlapsBlock({ start, end: start + duration }, blocks);
+    if (block) {
+      blockedSlots.push({ time: slot, reason: block.name });
+    } else {
+      slots.push(slot);
+    }
+  });
+
+  return { open: true, daySchedule, slots, blockedSlots };
+}
+
+// Minutes of a doctor's day covered by active checkout holds, optionally
+// ignoring the caller's own hold
+async function getHeldMinutes(doctor, dateKey, excludeHoldToken) {
+  const claims = await SlotClaim.find({
+    doctor: doctor._id,
+    dateKey,
+    holdToken: excludeHoldToken ? { $exists: true, $ne: excludeHoldToken } : { $exists: true },
+    expiresAt: { $gt: new Date() }
+  }).select('minute').lean();
+
+  return new Set(claims.map(claim => claim.minute));
+}
+
+// Compute the slots for one doctor on one day, honoring closures, leave and blocks.
+// When a service type (or explicit duration) is given, only start times with enough
+// contiguous free time for that visit are available.
+// Every appointment that holds a slot claim (pending or confirmed) blocks its time range,
+// and slots under another patient's checkout hold are reported as held.
+export async function getDayAvailability(doctor, date, { exceptions, serviceType, duration, excludeId, holdToken } = {}) {
+  const dateKey = toDateKey(date);
+  const [slotDuration, durations] = await Promise.all([
+    getSlotDuration(),
+    Settings.getServiceDurations()
+  ]);
+  const visitDuration = duration || durations[serviceType] || slotDuration;
+  const dayExceptions = exceptions || await getScheduleExceptions(doctor, dateKey);
+  const openSlots = getOpenSlots(doctor, dateKey, slotDuration, dayExceptions, visitDuration);
+
+  if (!openSlots.open) {
+    return {
+      dateKey,
+      workingDay: false,
+      reason: openSlots.reason,
+      closure: openSlots.closure || null,
+      slots: [],
+      availableSlots: [],
+      bookedSlots: [],
+      heldSlots: [],
+      blockedSlots: []
+    };
+  }
+
+  const { slots, blockedSlots, daySchedule } = openSlots;
+  const { start, end } = getDayBounds(dateKey);
+
+  const filter = {
+    doctor: doctor._id,
+    appointmentDate: { $gte: start, $lt: end },
+    status: { $in: CLAIMING_STATUSES },
+    appointmentType: { $ne: 'walk-in' }
+  };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  const [appointments, heldMinutes] = await Promise.all([
+    Appointment.find(filter).select('appointmentTime endTime serviceType'),
+    getHeldMinutes(doctor, dateKey, holdToken)
+  ]);
+  const bookedRanges = appointments.map(apt => getAppointmentRange(apt, durations));
+
+  const availableSlots = [];
+  const bookedSlots = [];
+  const heldSlots = [];
+
+  slots.forEach(slot => {
+    const slotStart = parseAppointmentTime(slot);
+    const range = { start: slotStart, end: slotStart + visitDuration };
+
+    if (bookedRanges.some(booked => rangesOverlap(booked, range))) {
+      bookedSlots.push(slot);
+    } else if (getClaimMinutes(range.start, range.end).some(minute => heldMinutes.has(minute))) {
+      heldSlots.push(slot);
+    } else {
+      availableSlots.push(slot);
+    }
+  });
+
+  return {
+    dateKey,
+    workingDay: true,
+    workingHours: daySchedule,
+    slotDuration,
+    duration: visitDuration,
+    slots,
+    availableSlots,
+    bookedSlots,
+    heldSlots,
+    blockedSlots
+  };
+}
+
+// Check whether a single slot can still be booked for a visit of the given service
+export async function checkSlot(doctor, date, time, options = {}) {
+  const availability = await getDayAvailability(doctor, date, options);
+
+  if (!availability.workingDay) {
+    return { available: false, reason: availability.reason };
+  }
+  const blocked = availability.blockedSlots.find(slot => slot.time === time);
+  if (blocked) {
+    return { available: false, reason: `Time slot is blocked: ${blocked.reason}` };
+  }
+  if (!availability.slots.includes(time)) {
+    return { available: false, reason: 'Time is outside the doctor\'s working hours for this service' };
+  }
+  if (availability.bookedSlots.includes(time)) {
+    return { available: false, conflict: true, reason: 'Time slot already booked' };
+  }
+  if (availability.heldSlots.includes(time)) {
+    return { available: false, conflict: true, reason: 'Time slot is on hold for another patient' };
+  }
+  return { available: true, reason: 'Available', duration: availability.duration };
+}
+
+// Open dates for a doctor, starting the day after `from`.
+// Days closed by an exception, or fully covered by blocks, are skipped.
+export async function getAvailableDates(doctor, { from = new Date(), days = 90, serviceType } = {}) {
+  const dates = [];
+  const today = toDateKey(from);
+  const slotDuration = await getSlotDuration();
+  const duration = serviceType ? await getServiceDuration(serviceType) : slotDuration;
+  const exceptions = await getScheduleExceptions(doctor, addDays(today, 1), addDays(today, days));
+
+  for (let offset = 1; offset <= days; offset++) {
+    const dateKey = addDays(today, offset);
+    const openSlots = getOpenSlots(doctor, dateKey, slotDuration, exceptions, duration);
+    if (openSlots.open && openSlots.slots.length > 0) {
+      dates.push(dateKey);
+    }
+  }
+
+  return dates;
+}
+
+// Find the first open slot for a doctor on or after a date, preferring a given time of day.
+// `exclude` holds { dateKey, start, end } ranges already handed out in the same batch.
+export async function findNextAvailableSlot(doctor, { fromDate, preferredTime, serviceType, days = 60, exclude = [] }) {
+  const firstKey = toDateKey(fromDate);
+  const exceptions = await getScheduleExceptions(doctor, firstKey, addDays(firstKey, days));
+
+  for (let offset = 0; offset < days; offset++) {
+    const dateKey = addDays(firstKey, offset);
+    const availability = await getDayAvailability(doctor, dateKey, { exceptions, serviceType });
+    if (!availability.workingDay) continue;
+
+    const taken = exclude.filter(range => range.dateKey === dateKey);
+    const candidates = availability.availableSlots.filter(slot => {
+      const start = parseAppointmentTime(slot);
+      const range = { start, end: start + availability.duration };
+      return !taken.some(other => rangesOverlap(other, range));
+    });
+    if (candidates.length === 0) continue;
+
+    const time = candidates.includes(preferredTime) ? preferredTime : candidates[0];
+    const start = parseAppointmentTime(time);
+    return { dateKey, time, start, end: start + availability.duration };
+  }
+
+  return null;
+}
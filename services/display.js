@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import Appointment from '../models/Appointment.js';
+import DisplayToken from '../models/DisplayToken.js';
+import { findDoctor, getDayBounds, getDoctors } from './availability.js';
+import { ACTIVE_STATUSES } from './scheduleExceptions.js';
+import { toClinicTime } from './time.js';
+
+// Waiting-room display feed. Displays are unauthenticated, so everything here
+// works from a minimal projection: queue numbers and initials only, never names,
+// contact details or visit reasons.
+
+export const DISPLAY_NAMESPACE = '/display';
+
+// Waiting numbers shown under "Next" per doctor
+const NEXT_UP_COUNT = 5;
+
+export const hashDisplayToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export function generateDisplayToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashDisplayToken(token) };
+}
+
+export async function findActiveDisplayToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const displayToken = await DisplayToken.findOne({
+    tokenHash: hashDisplayToken(token),
+    revokedAt: { $exists: false }
+  });
+  if (displayToken) {
+    await DisplayToken.updateOne({ _id: displayToken._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return displayToken;
+}
+
+// "Maria Santos Cruz" -> "M.C."
+export function toInitials(name) {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return '';
+  const letters = parts.length > 1 ? [parts[0], parts[parts.length - 1]] : parts;
+  return letters.map(part => `${part.charAt(0).toUpperCase()}.`).join('');
+}
+
+async function getDisplayDoctors(displayToken) {
+  const doctors = await getDoctors();
+  if (!displayToken.doctors || displayToken.doctors.length === 0) return doctors;
+
+  const allowed = displayToken.doctors.map(String);
+  return doctors.filter(doctor => allowed.includes(String(doctor._id)));
+}
+
+export async function getDoctorBoard(doctor, dateKey = toClinicTime().dateKey) {
+  const { start, end } = getDayBounds(dateKey);
+  const appointments = await Appointment.find({
+    doctor: doctor._id,
+    appointmentDate: { $gte: start, $lt: end },
+    status: { $in: ACTIVE_STATUSES },
+    queueStatus: { $in: ['waiting', 'called', 'in_consultation'] }
+  })
+    .select('queueNumber queueStatus patientName')
+    .sort({ queueNumber: 1 })
+    .lean();
+
+  const toTicket = (appointment) => ({
+    queueNumber: appointment.queueNumber,
+    initials: toInitials(appointment.patientName)
+  });
+
+  return {
+    doctorId: doctor._id,
+    doctorName: doctor.name,
+    nowServing: appointments
+      .filter(appointment => appointment.queueStatus !== 'waiting')
+      .map(toTicket),
+    next: appointments
+      .filter(appointment => appointment.queueStatus === 'waiting')
+      .slice(0, NEXT_UP_COUNT)
+      .map(toTicket)
+  };
+}
+
+export async function getDisplayBoard(displayToken) {
+  const dateKey = toClinicTime().dateKey;
+  const doctors = await getDisplayDoctors(displayToken);
+  const boards = [];
+  for (const doctor of doctors) {
+    boards.push(await getDoctorBoard(doctor, dateKey));
+  }
+  return { date: dateKey, doctors: boards };
+}
+
+// Push a doctor's board to every display showing that doctor
+export async function broadcastDisplayBoard(io, doctorId, dateKey = toClinicTime().dateKey) {
+  if (!io || dateKey !== toClinicTime().dateKey) return;
+
+  const doctor = await findDoctor({ doctorId, includeInactive: true });
+  if (!doctor) return;
+
+  const board = await getDoctorBoard(doctor, dateKey);
+  io.of(DISPLAY_NAMESPACE).to(`doctor:${doctor._id}`).emit('display:updated', {
+    type: 'display_updated',
+    data: { date: dateKey, doctor: board }
+  });
+}
+
+// Drop the live connections of a revoked token
+export function disconnectDisplay(io, displayTokenId) {
+  if (!io) return;
+  io.of(DISPLAY_NAMESPACE).in(`token:${displayTokenId}`).disconnectSockets(true);
+}
+
+export function registerDisplayNamespace(io) {
+  const namespace = io.of(DISPLAY_NAMESPACE);
+
+  namespace.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+      const displayToken = await findActiveDisplayToken(token);
+      if (!displayToken) {
+        return next(new Error('Invalid or revoked display token'));
+      }
+      socket.data.displayToken = displayToken;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  namespace.on('connection', async (socket) => {
+    try {
+      const { displayToken } = socket.data;
+      const doctors = await getDisplayDoctors(displayToken);
+
+      socket.join(`token:${displayToken._id}`);
+      doctors.forEach(doctor => socket.join(`doctor:${doctor._id}`));
+
+      socket.emit('display:board', {
+        type: 'display_board',
+        data: await getDisplayBoard(displayToken)
+      });
+    } catch (error) {
+      console.error('Display connection error:', error);
+      socket.disconnect(true);
+    }
+  });
+
+  return namespace;
+}
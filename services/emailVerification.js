@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import PatientUser from '../models/PatientUser.js';
+import Settings from '../models/Settings.js';
+import { renderNotification } from './templates.js';
+import { getTransport, isTransportConfigured } from './transports/index.js';
+
+// Email verification for portal patients. Registration emails a link with a
+// random token; only its sha256 is stored (emailVerificationToken) with its
+// expiry. Until the address is verified the patient can't book, unless the
+// clinic turns on Settings.allowUnverifiedBooking. Like password reset links,
+// the email bypasses the outbox so the link is never stored in the database.
+
+export class EmailVerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EmailVerificationError';
+    this.status = status;
+  }
+}
+
+export const UNVERIFIED_BOOKING_MESSAGE = 'Please verify your email address before booking. Check your inbox or request a new verification email.';
+
+// Matches the wording of the email_verification template
+const VERIFICATION_HOURS = 24;
+
+// Minimum wait between verification emails to one account
+const RESEND_COOLDOWN_SECONDS = 120;
+
+const LINK_BASE_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const EMAIL_UNAVAILABLE_MESSAGE = 'Verification email could not be sent. Please try again later.';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new link (replacing any earlier one) and email it. Delivery errors
+// are logged, not thrown, so registration still succeeds; resolves to whether
+// the email went out.
+export async function sendVerificationEmail(patientUser) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  patientUser.emailVerificationToken = hashToken(token);
+  patientUser.emailVerificationExpires = new Date(now.getTime() + VERIFICATION_HOURS * 60 * 60 * 1000);
+  patientUser.emailVerificationSentAt = now;
+  await patientUser.save();
+
+  try {
+    const { subject, body } = await renderNotification(
+      {
+        type: 'email_verification',
+        message: 'Use the link below to verify your email address.',
+        links: { verifyUrl: `${LINK_BASE_URL}/patient/verify-email?token=${token}` }
+      },
+      'email',
+      patientUser.preferredLanguage
+    );
+    await getTransport('email').send({ channel: 'email', to: patientUser.email, subject, body });
+    return true;
+  } catch (error) {
+    console.error(`Error sending verification email to ${patientUser._id}:`, error);
+    return false;
+  }
+}
+
+export async function resendVerificationEmail(patientUser) {
+  if (patientUser.isVerified) {
+    throw new EmailVerificationError('Email address is already verified');
+  }
+  if (!isTransportConfigured('email')) {
+    throw new EmailVerificationError(EMAIL_UNAVAILABLE_MESSAGE, 503);
+  }
+
+  const sentAt = patientUser.emailVerificationSentAt;
+  const waitSeconds = sentAt
+    ? Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - sentAt.getTime()) / 1000)
+    : 0;
+  if (waitSeconds > 0) {
+    throw new EmailVerificationError(
+      `A verification email was sent recently. Try again in ${waitSeconds} seconds.`,
+      429
+    );
+  }
+
+  if (!(await sendVerificationEmail(patientUser))) {
+    throw new EmailVerificationError(EMAIL_UNAVAILABLE_MESSAGE, 503);
+  }
+}
+
+// Mark the account behind a verification link as verified; each link works once
+export async function verifyEmail(token) {
+  const patientUser = await PatientUser.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { isVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+  if (!patientUser) {
+    throw new EmailVerificationError('Verification link is invalid or has expired');
+  }
+  return patientUser;
+}
+
+export async function canBookUnverified() {
+  const settings = await Settings.getSettings();
+  return settings.allowUnverifiedBooking === true;
+}
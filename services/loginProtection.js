@@ -0,0 +1,184 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import PatientUser from '../models/PatientUser.js';
+import User from '../models/User.js';
+import { notifyPatient } from './notifications.js';
+import { queueContactMessages } from './outbox.js';
+
+// Brute-force protection for staff and patient logins, on top of the per-IP
+// rate limit. Each account counts failed logins in a row. After FREE_ATTEMPTS
+// every failure blocks the next attempt for a growing delay, and reaching
+// MAX_FAILED_ATTEMPTS locks the account for LOCKOUT_MINUTES and tells its
+// owner. Blocked attempts are refused before the password is checked and don't
+// add to the count. A successful login, an admin unlock or a quiet period of
+// LOCKOUT_MINUTES starts the count again. Every attempt goes to LoginAttempt.
+
+export const MAX_FAILED_ATTEMPTS = 10;
+// Matches the wording of the account_locked template
+export const LOCKOUT_MINUTES = 15;
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+export class LoginBlockedError extends Error {
+  constructor(message, status, blockedUntil) {
+    super(message);
+    this.name = 'LoginBlockedError';
+    this.status = status;
+    this.blockedUntil = blockedUntil;
+    this.retryAfterSeconds = retryAfterSeconds(blockedUntil);
+  }
+}
+
+const retryAfterSeconds = (until) => Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+
+const ACCOUNTS = {
+  user: { field: 'user', model: User },
+  patient: { field: 'patientUser', model: PatientUser }
+};
+
+// Delay after a failure that didn't lock the account: 2s, 4s, 8s ... up to a minute
+export const failureDelaySeconds = (failures) =>
+  failures <= FREE_ATTEMPTS ? 0 : Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+
+export const isLockedOut = (account, now = new Date()) =>
+  Boolean(account.loginBlockedUntil && account.loginBlockedUntil > now && account.failedLoginAttempts >= MAX_FAILED_ATTEMPTS);
+
+// Log an attempt. account is null when nothing matched the identifier. Never throws.
+export async function recordLoginAttempt(accountType, { account, identifier, success, reason, req }) {
+  try {
+    await LoginAttempt.create({
+      accountType,
+      [ACCOUNTS[accountType].field]: account?._id,
+      identifier,
+      success,
+      reason,
+      ipAddress: req.ip || req.socket?.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Error recording login attempt:', error);
+  }
+}
+
+// Refuse the attempt while the account is delayed or locked
+export async function assertLoginAllowed(accountType, account, { identifier, req }) {
+  const now = new Date();
+  if (!account.loginBlockedUntil || account.loginBlockedUntil <= now) return;
+
+  const locked = isLockedOut(account, now);
+  await recordLoginAttempt(accountType, {
+    account,
+    identifier,
+    success: false,
+    reason: locked ? 'locked' : 'throttled',
+    req
+  });
+
+  if (locked) {
+    throw new LoginBlockedError(
+      'Account is temporarily locked after too many failed login attempts. Try again later or contact the clinic.',
+      423,
+      account.loginBlockedUntil
+    );
+  }
+  const seconds = retryAfterSeconds(account.loginBlockedUntil);
+  throw new LoginBlockedError(
+    `Too many failed login attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`,
+    429,
+    account.loginBlockedUntil
+  );
+}
+
+async function notifyOwner(accountType, account, event, payload, io) {
+  try {
+    if (accountType === 'patient') {
+      await notifyPatient(io, account._id, event, payload);
+    } else {
+      // Staff have no personal inbox; email them
+      await queueContactMessages({ email: account.email }, event, payload);
+    }
+  } catch (error) {
+    console.error(`Error sending ${event} to account ${account._id}:`, error);
+  }
+}
+
+// A wrong password, or a wrong two-factor code (reason "invalid_two_factor_code")
+export async function recordLoginFailure(accountType, account, { identifier, req, io, reason = 'invalid_password' }) {
+  const { model } = ACCOUNTS[accountType];
+  const now = new Date();
+
+  // Failures from before a quiet period no longer count
+  const stale = !account.lastFailedLoginAt ||
+    now.getTime() - account.lastFailedLoginAt.getTime() > LOCKOUT_MINUTES * 60 * 1000;
+  const counted = await model.findOneAndUpdate(
+    { _id: account._id },
+    stale
+      ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } }
+      : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  const failures = counted?.failedLoginAttempts || 1;
+
+  let blockedUntil = null;
+  if (failures >= MAX_FAILED_ATTEMPTS) {
+    blockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  } else if (failureDelaySeconds(failures) > 0) {
+    blockedUntil = new Date(now.getTime() + failureDelaySeconds(failures) * 1000);
+  }
+  if (blockedUntil) {
+    await model.updateOne({ _id: account._id }, { $set: { loginBlockedUntil: blockedUntil } });
+  }
+
+  await recordLoginAttempt(accountType, { account, identifier, success: false, reason, req });
+
+  // The increment is atomic, so only one request sees the count reach the limit
+  if (failures === MAX_FAILED_ATTEMPTS) {
+    console.warn(`Locked ${accountType} account ${account._id} after ${failures} failed logins`);
+    await notifyOwner(accountType, account, 'account:locked', {
+      type: 'account_locked',
+      message: `Your account was locked for ${LOCKOUT_MINUTES} minutes after too many failed login attempts.`,
+      data: { lockedUntil: blockedUntil }
+    }, io);
+  }
+
+  return { failures, blockedUntil };
+}
+
+export async function recordLoginSuccess(accountType, account, { identifier, req }) {
+  if (account.failedLoginAttempts || account.loginBlockedUntil) {
+    await ACCOUNTS[accountType].model.updateOne(
+      { _id: account._id },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, loginBlockedUntil: 1 } }
+    );
+  }
+  await recordLoginAttempt(accountType, { account, identifier, success: true, req });
+}
+
+// Accounts locked out right now
+export async function findLockedAccounts(accountType) {
+  return ACCOUNTS[accountType].model.find({
+    failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS },
+    loginBlockedUntil: { $gt: new Date() }
+  })
+    .select('-password')
+    .sort({ loginBlockedUntil: -1 });
+}
+
+// Admin unlock: clear the count and any delay or lockout, and tell the owner
+export async function unlockAccount(accountType, account, { io } = {}) {
+  const wasLocked = isLockedOut(account);
+
+  account.failedLoginAttempts = 0;
+  account.lastFailedLoginAt = undefined;
+  account.loginBlockedUntil = undefined;
+  await account.save();
+
+  if (wasLocked) {
+    await notifyOwner(accountType, account, 'account:unlocked', {
+      type: 'account_unlocked',
+      message: 'Your account was unlocked by the clinic. You can log in again.',
+      data: {}
+    }, io);
+  }
+  return account;
+}
@@ -0,0 +1,189 @@
+import Appointment from '../models/Appointment.js';
+import NoShowAppeal from '../models/NoShowAppeal.js';
+import Patient from '../models/Patient.js';
+import PatientUser from '../models/PatientUser.js';
+import Settings from '../models/Settings.js';
+import { notifyPatient, notifyStaff } from './notifications.js';
+
+// No-show booking locks under the clinic's policy (Settings.noShowPolicy).
+//
+// Patient.noShowCount is recounted from the patient's no-show appointments
+// rather than incremented, so no-shows older than the window drop out and a
+// no-show corrected to completed stops counting. Booking locks when the count
+// reaches the threshold and unlocks when it falls below it again, when
+// autoUnlockDays have passed, or when staff unlock it (by hand or by approving
+// an appeal). Unlocking sets noShowCountResetAt so earlier no-shows don't lock
+// the patient again.
+
+export class NoShowAppealError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NoShowAppealError';
+    this.status = status;
+  }
+}
+
+export const BOOKING_LOCKED_MESSAGE = 'Booking is locked due to multiple no-shows. You can appeal from your account or contact the clinic to unlock.';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export async function getNoShowPolicy() {
+  const settings = await Settings.getSettings();
+  const policy = settings.noShowPolicy || {};
+  return {
+    threshold: policy.threshold ?? 3,
+    windowDays: policy.windowDays ?? 180,
+    autoUnlockDays: policy.autoUnlockDays ?? 30
+  };
+}
+
+// When a locked patient's booking unlocks by itself, or null if only staff can unlock it
+export function unlocksAt(patient, policy) {
+  if (!patient.appointmentLocked || !patient.appointmentLockedAt || !policy.autoUnlockDays) return null;
+  return new Date(patient.appointmentLockedAt.getTime() + policy.autoUnlockDays * DAY_MS);
+}
+
+async function countNoShows(patient, policy, now) {
+  const starts = [patient.noShowCountResetAt];
+  if (policy.windowDays) {
+    starts.push(new Date(now.getTime() - policy.windowDays * DAY_MS));
+  }
+  const since = starts.filter(Boolean).sort((a, b) => b - a)[0];
+
+  return Appointment.countDocuments({
+    patient: patient._id,
+    status: 'no-show',
+    ...(since && { appointmentDate: { $gte: since } })
+  });
+}
+
+// Clear the lock and start counting afresh
+export function unlockBooking(patient, { now = new Date() } = {}) {
+  patient.appointmentLocked = false;
+  patient.appointmentLockedAt = undefined;
+  patient.noShowCount = 0;
+  patient.noShowCountResetAt = now;
+  return patient;
+}
+
+async function notifyUnlocked(patient, io) {
+  const patientUser = await PatientUser.findOne({ patientRecord: patient._id }).select('_id');
+  if (!patientUser) return;
+
+  await notifyPatient(io, patientUser._id, 'booking:unlocked', {
+    type: 'booking_unlocked',
+    data: { patientId: patient._id }
+  });
+}
+
+// Recount a patient's no-shows and lock or unlock booking to match. Takes a
+// Patient document or id; saves and returns the patient (null if not found).
+export async function refreshNoShowStatus(patientOrId, { policy, now = new Date(), io } = {}) {
+  const patient = patientOrId instanceof Patient ? patientOrId : await Patient.findById(patientOrId);
+  if (!patient) return null;
+
+  policy = policy || await getNoShowPolicy();
+  const wasLocked = patient.appointmentLocked;
+  const autoUnlockAt = unlocksAt(patient, policy);
+
+  if (autoUnlockAt && autoUnlockAt <= now) {
+    unlockBooking(patient, { now });
+  } else {
+    patient.noShowCount = await countNoShows(patient, policy, now);
+    if (patient.noShowCount >= policy.threshold) {
+      patient.appointmentLocked = true;
+      // Locks from before the policy existed start their auto-unlock clock now
+      patient.appointmentLockedAt = patient.appointmentLockedAt || now;
+    } else if (wasLocked) {
+      patient.appointmentLocked = false;
+      patient.appointmentLockedAt = undefined;
+    }
+  }
+
+  if (patient.isModified()) {
+    await patient.save();
+  }
+  if (wasLocked && !patient.appointmentLocked) {
+    await notifyUnlocked(patient, io);
+  }
+  return patient;
+}
+
+// Booking check for portal and waitlist bookings; applies expiry first so a
+// lock that has run out doesn't block the patient until the next job run
+export async function isBookingLocked(patient) {
+  if (!patient?.appointmentLocked) return false;
+  const refreshed = await refreshNoShowStatus(patient);
+  return refreshed.appointmentLocked;
+}
+
+// Background job: expire locks and no-shows that have aged out of the window
+export async function expireNoShowLocks({ io } = {}) {
+  const policy = await getNoShowPolicy();
+  const now = new Date();
+  const patients = await Patient.find({
+    $or: [{ appointmentLocked: true }, { noShowCount: { $gt: 0 } }]
+  });
+
+  for (const patient of patients) {
+    try {
+      await refreshNoShowStatus(patient, { policy, now, io });
+    } catch (error) {
+      console.error(`Error refreshing no-show status for patient ${patient.patientId}:`, error);
+    }
+  }
+}
+
+export async function submitAppeal({ patient, patientUserId, reason, io }) {
+  if (!(await isBookingLocked(patient))) {
+    throw new NoShowAppealError('Booking is not locked');
+  }
+
+  const pending = await NoShowAppeal.findOne({ patient: patient._id, status: 'pending' });
+  if (pending) {
+    throw new NoShowAppealError('An appeal is already waiting for review', 409);
+  }
+
+  const appeal = await NoShowAppeal.create({
+    patient: patient._id,
+    patientUser: patientUserId,
+    reason,
+    noShowCount: patient.noShowCount
+  });
+
+  await notifyStaff(io, null, 'no_show_appeal:submitted', {
+    type: 'no_show_appeal_submitted',
+    message: `No-show appeal submitted for patient ${patient.patientId}`,
+    data: { appealId: appeal._id, patientId: patient._id, noShowCount: patient.noShowCount }
+  });
+
+  return appeal;
+}
+
+// Approve (unlocking booking) or reject a pending appeal
+export async function reviewAppeal(appeal, { approve, notes, user, io }) {
+  if (appeal.status !== 'pending') {
+    throw new NoShowAppealError(`Appeal has already been ${appeal.status}`, 409);
+  }
+
+  if (approve) {
+    const patient = await Patient.findById(appeal.patient);
+    if (patient) {
+      unlockBooking(patient);
+      await patient.save();
+    }
+  }
+
+  appeal.status = approve ? 'approved' : 'rejected';
+  appeal.reviewedBy = user._id;
+  appeal.reviewedAt = new Date();
+  appeal.reviewNotes = notes;
+  await appeal.save();
+
+  await notifyPatient(io, appeal.patientUser, `no_show_appeal:${appeal.status}`, {
+    type: `no_show_appeal_${appeal.status}`,
+    data: { appealId: appeal._id, reason: notes }
+  });
+
+  return appeal;
+}
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import Doctor from '../models/Doctor.js';
+import Notification from '../models/Notification.js';
+import PatientUser from '../models/PatientUser.js';
+import { queuePatientMessages } from './outbox.js';
+import { FRONT_DESK_ROLES, emitToPatient, emitToStaff } from './realtime.js';
+import { renderNotification } from './templates.js';
+
+// Appointment events are stored as notifications before they are pushed, and the
+// push carries the stored notificationId so clients can mark it read. Patients
+// also get an email/SMS copy through the outbox, all worded from the templates in
+// their preferred language.
+// Neither notify function throws: a failed notification must not fail the request.
+
+const appointmentIdOf = (payload) =>
+  mongoose.Types.ObjectId.isValid(payload.data?.id) ? payload.data.id : undefined;
+
+async function saveNotification(fields, event, payload) {
+  try {
+    return await Notification.create({
+      ...fields,
+      event,
+      type: payload.type,
+      message: payload.message,
+      data: payload.data,
+      appointment: appointmentIdOf(payload)
+    });
+  } catch (error) {
+    console.error(`Error saving ${event} notification:`, error);
+    return null;
+  }
+}
+
+export async function notifyPatient(io, patientUserId, event, payload) {
+  if (!patientUserId) return null;
+
+  let patientUser = null;
+  let message = payload.message;
+  try {
+    patientUser = await PatientUser.findById(patientUserId).select('email phoneNumber preferredLanguage');
+    ({ body: message } = await renderNotification(payload, 'in_app', patientUser?.preferredLanguage));
+  } catch (error) {
+    console.error(`Error rendering ${event} notification:`, error);
+  }
+
+  // The template key and action links stay out of the app; clients switch on type
+  const { template, links, actionTokens, ...rendered } = { ...payload, message };
+
+  const notification = await saveNotification(
+    { recipientType: 'patient', patientUser: patientUserId },
+    event,
+    rendered
+  );
+  emitToPatient(io, patientUserId, event, { ...rendered, notificationId: notification?._id });
+  if (patientUser) {
+    await queuePatientMessages(patientUser, event, payload, notification);
+  }
+  return notification;
+}
+
+// Front desk plus the doctor the event is about
+export async function notifyStaff(io, doctorId, event, payload) {
+  const notification = await saveNotification(
+    { recipientType: 'staff', roles: FRONT_DESK_ROLES, doctor: doctorId || undefined },
+    event,
+    payload
+  );
+  emitToStaff(io, doctorId, event, { ...payload, notificationId: notification?._id });
+  return notification;
+}
+
+// recipient is { patientUserId } for portal patients or { user } for staff
+async function inboxFilter(recipient) {
+  if (recipient.patientUserId) {
+    return { recipientType: 'patient', patientUser: recipient.patientUserId };
+  }
+
+  const audience = [{ roles: recipient.user.role }];
+  if (recipient.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ user: recipient.user._id }).select('_id');
+    if (doctor) {
+      audience.push({ doctor: doctor._id });
+    }
+  }
+  return { recipientType: 'staff', $or: audience };
+}
+
+function unreadFilter(recipient) {
+  return recipient.patientUserId
+    ? { readAt: { $exists: false } }
+    : { readBy: { $ne: recipient.user._id } };
+}
+
+function toInboxItem(notification, recipient) {
+  const item = notification.toObject();
+  item.read = recipient.patientUserId
+    ? Boolean(notification.readAt)
+    : notification.readBy.some(id => id.equals(recipient.user._id));
+  delete item.readBy;
+  return item;
+}
+
+export async function listNotifications(recipient, { page = 1, limit = 20, unreadOnly = false } = {}) {
+  const filter = await inboxFilter(recipient);
+  if (unreadOnly) {
+    Object.assign(filter, unreadFilter(recipient));
+  }
+
+  const notifications = await Notification.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  const total = await Notification.countDocuments(filter);
+
+  return {
+    notifications: notifications.map(notification => toInboxItem(notification, recipient)),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+}
+
+export async function countUnread(recipient) {
+  const filter = await inboxFilter(recipient);
+  return Notification.countDocuments({ ...filter, ...unreadFilter(recipient) });
+}
+
+const readUpdate = (recipient) => recipient.patientUserId
+  ? { $set: { readAt: new Date() } }
+  : { $addToSet: { readBy: recipient.user._id } };
+
+// Returns null when the notification doesn't exist or isn't addressed to the recipient
+export async function markRead(recipient, notificationId) {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) return null;
+
+  const filter = await inboxFilter(recipient);
+  const notification = await Notification.findOneAndUpdate(
+    { ...filter, _id: notificationId },
+    readUpdate(recipient),
+    { new: true }
+  );
+  return notification ? toInboxItem(notification, recipient) : null;
+}
+
+export async function markAllRead(recipient) {
+  const filter = await inboxFilter(recipient);
+  const result = await Notification.updateMany(
+    { ...filter, ...unreadFilter(recipient) },
+    readUpdate(recipient)
+  );
+  return result.modifiedCount;
+}
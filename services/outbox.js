@@ -0,0 +1,139 @@
+import OutboxMessage from '../models/OutboxMessage.js';
+import { fillActionLinks } from './actionTokens.js';
+import { renderNotification } from './templates.js';
+import { getTransport, TransportNotConfiguredError } from './transports/index.js';
+
+// Email/SMS outbox. Messages are queued next to the in-app notification and
+// delivered by the outbox-delivery job; failed attempts are retried with
+// exponential backoff until maxAttempts, then marked failed.
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// A message stuck in "sending" this long was abandoned by a crashed worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+export const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Queue email and SMS copies of a message for whichever contact details are
+// known, worded from the templates in the recipient's language
+export async function queueContactMessages({ email, phone, language }, event, payload, fields = {}) {
+  const messages = [];
+
+  if (email) {
+    const { subject, body } = await renderNotification(payload, 'email', language);
+    messages.push({
+      ...fields,
+      actionTokens: payload.actionTokens,
+      event,
+      channel: 'email',
+      to: email,
+      subject,
+      body
+    });
+  }
+  if (phone) {
+    const { body } = await renderNotification(payload, 'sms', language);
+    messages.push({
+      ...fields,
+      actionTokens: payload.actionTokens,
+      event,
+      channel: 'sms',
+      to: phone,
+      body
+    });
+  }
+
+  return messages.length > 0 ? OutboxMessage.insertMany(messages) : [];
+}
+
+// Queue email and SMS copies of a patient notification, using the contact
+// details and language of the portal account. Never throws.
+export async function queuePatientMessages(patientUser, event, payload, notification) {
+  try {
+    return await queueContactMessages(
+      {
+        email: patientUser.email,
+        phone: patientUser.phoneNumber,
+        language: patientUser.preferredLanguage
+      },
+      event,
+      payload,
+      {
+        notification: notification?._id,
+        appointment: notification?.appointment,
+        patientUser: patientUser._id
+      }
+    );
+  } catch (error) {
+    console.error(`Error queueing ${event} messages:`, error);
+    return [];
+  }
+}
+
+async function deliverMessage(message) {
+  try {
+    const transport = getTransport(message.channel);
+    const result = await transport.send({
+      channel: message.channel,
+      to: message.to,
+      subject: message.subject,
+      body: await fillActionLinks(message.body, message.actionTokens)
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.transport = transport.name;
+    message.providerMessageId = result?.id;
+    message.lastError = undefined;
+  } catch (error) {
+    message.lastError = error.message;
+    // Retrying can't help until a transport is set up, and the failure should show
+    if (error instanceof TransportNotConfiguredError) {
+      console.error(`Outbox message ${message._id} failed: ${error.message}`);
+      message.status = 'failed';
+    } else if (message.attempts >= message.maxAttempts) {
+      message.status = 'failed';
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+    }
+  }
+
+  message.lockedAt = undefined;
+  await message.save();
+  return message;
+}
+
+// Background job: deliver due messages one at a time. Each message is claimed
+// atomically so a second worker never sends the same message twice.
+export async function deliverOutbox({ batchSize = 20 } = {}) {
+  await OutboxMessage.updateMany(
+    { status: 'sending', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+  );
+
+  let delivered = 0;
+  for (let i = 0; i < batchSize; i++) {
+    const message = await OutboxMessage.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!message) break;
+
+    await deliverMessage(message);
+    if (message.status === 'sent') delivered++;
+  }
+
+  return delivered;
+}
+
+// Put a failed message back in the queue for one more attempt
+export async function retryMessage(message) {
+  message.status = 'pending';
+  message.nextAttemptAt = new Date();
+  message.maxAttempts = Math.max(message.maxAttempts, message.attempts + 1);
+  await message.save();
+  return message;
+}
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import PatientUser from '../models/PatientUser.js';
+import User from '../models/User.js';
+import { revokeAllSessions } from './sessions.js';
+import { renderNotification } from './templates.js';
+import { getTransport, isTransportConfigured } from './transports/index.js';
+
+// Forgot-password flow for staff users and portal patients.
+//
+// A reset link carries a random token; only its sha256 is stored on the account
+// (passwordResetToken) together with its expiry (passwordResetExpires). Using
+// the link clears both, so it works once, and ends every session of the account.
+// The email goes straight to the email transport instead of the outbox so the
+// link is never stored in the database. Without a real email transport in
+// production, requests are refused with 503 rather than writing the link to
+// logs/outbox.jsonl.
+
+export class PasswordResetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.status = status;
+  }
+}
+
+// Matches the wording of the password_reset template
+const RESET_TOKEN_MINUTES = 60;
+
+const LINK_BASE_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const ACCOUNTS = {
+  user: { model: User, path: '/reset-password' },
+  patient: { model: PatientUser, path: '/patient/reset-password' }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Email a reset link if an active account uses this address. Resolves the same
+// way whether or not one does, so the response can't reveal who has an account;
+// for the same reason only a missing transport is reported, not a failed send.
+export async function requestPasswordReset(accountType, email) {
+  if (!isTransportConfigured('email')) {
+    throw new PasswordResetError('Password reset by email is not available. Please contact the clinic.', 503);
+  }
+
+  const { model, path } = ACCOUNTS[accountType];
+  const account = await model.findOne({ email: email.toLowerCase(), isActive: true });
+  if (!account) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  account.passwordResetToken = hashToken(token);
+  account.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+  await account.save();
+
+  try {
+    const { subject, body } = await renderNotification(
+      {
+        type: 'password_reset',
+        message: 'Use the link below to choose a new password.',
+        links: { resetUrl: `${LINK_BASE_URL}${path}?token=${token}` }
+      },
+      'email',
+      account.preferredLanguage
+    );
+    await getTransport('email').send({ channel: 'email', to: account.email, subject, body });
+  } catch (error) {
+    console.error(`Error sending password reset email to ${account._id}:`, error);
+  }
+}
+
+// Set a new password from a reset link and end every session of the account
+export async function resetPassword(accountType, token, newPassword, { io } = {}) {
+  const { model } = ACCOUNTS[accountType];
+
+  // Claim the token atomically so two requests can't both use it
+  const account = await model.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+  if (!account) {
+    throw new PasswordResetError('Reset link is invalid or has expired');
+  }
+
+  account.password = newPassword;
+  await account.save();
+  await revokeAllSessions(accountType, account._id, 'password_reset', { io });
+
+  return account;
+}
@@ -0,0 +1,288 @@
+import Appointment from '../models/Appointment.js';
+import QueueCounter from '../models/QueueCounter.js';
+import Settings from '../models/Settings.js';
+import { getDayBounds } from './availability.js';
+import { setHistoryContext } from './appointmentHistory.js';
+import { assertTransition } from './appointmentStateMachine.js';
+import { broadcastDisplayBoard } from './display.js';
+import { notifyPatient } from './notifications.js';
+import { emitToStaff } from './realtime.js';
+import { formatAppointmentTime, toClinicTime, toDateKey } from './time.js';
+
+// Daily walk-in / arrival queue per doctor. Patients get a queue number when they
+// check in, then move waiting -> called -> in_consultation -> done. Waiting times
+// are estimated from how long today's finished consultations actually took.
+
+export class QueueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueueError';
+    this.status = status;
+  }
+}
+
+// Number of recent consultations averaged for the wait estimate
+const DURATION_SAMPLE_SIZE = 10;
+
+const minutesBetween = (from, to) => Math.max(0, Math.round((to - from) / 60000));
+
+// Statuses that take a checked-in appointment out of the queue
+const LEFT_QUEUE_STATUSES = ['cancelled', 'no-show', 'rescheduled'];
+
+const todayKey = () => toClinicTime().dateKey;
+
+function queueFilter(doctorId, dateKey) {
+  const { start, end } = getDayBounds(dateKey);
+  return {
+    doctor: doctorId,
+    appointmentDate: { $gte: start, $lt: end },
+    queueNumber: { $exists: true },
+    status: { $nin: LEFT_QUEUE_STATUSES }
+  };
+}
+
+// Checked-in appointments of the day in queue order
+export function getQueueAppointments(doctorId, dateKey = todayKey()) {
+  return Appointment.find(queueFilter(doctorId, dateKey)).sort({ queueNumber: 1 });
+}
+
+export function toQueueEntry(appointment) {
+  return {
+    id: appointment._id,
+    appointmentId: appointment.appointmentId,
+    queueNumber: appointment.queueNumber,
+    queueStatus: appointment.queueStatus,
+    patientName: appointment.patientName,
+    appointmentType: appointment.appointmentType,
+    appointmentTime: appointment.appointmentTime,
+    serviceType: appointment.serviceType,
+    checkedInAt: appointment.checkedInAt,
+    calledAt: appointment.calledAt,
+    consultationStartedAt: appointment.consultationStartedAt,
+    consultationEndedAt: appointment.consultationEndedAt,
+    estimatedWaitTime: appointment.estimatedWaitTime
+  };
+}
+
+export async function getQueue(doctorId, dateKey = todayKey()) {
+  const appointments = await getQueueAppointments(doctorId, dateKey);
+  const count = (status) => appointments.filter(appointment => appointment.queueStatus === status).length;
+
+  return {
+    doctorId,
+    date: dateKey,
+    entries: appointments.map(toQueueEntry),
+    summary: {
+      total: appointments.length,
+      waiting: count('waiting'),
+      called: count('called'),
+      inConsultation: count('in_consultation'),
+      done: count('done')
+    }
+  };
+}
+
+// Expected consultation length: the average of today's finished consultations,
+// or the configured service duration until the first one is done
+async function getExpectedDurations(appointments) {
+  const finished = appointments
+    .filter(appointment => appointment.consultationStartedAt && appointment.consultationEndedAt)
+    .sort((a, b) => b.consultationEndedAt - a.consultationEndedAt)
+    .slice(0, DURATION_SAMPLE_SIZE);
+
+  if (finished.length > 0) {
+    const total = finished.reduce(
+      (sum, appointment) => sum + minutesBetween(appointment.consultationStartedAt, appointment.consultationEndedAt),
+      0
+    );
+    const average = Math.round(total / finished.length);
+    return () => average;
+  }
+
+  const durations = await Settings.getServiceDurations();
+  const { slotDuration } = await Settings.getSettings();
+  return (appointment) => durations[appointment.serviceType] || slotDuration;
+}
+
+// Recompute estimatedWaitTime for everyone still waiting
+export async function recomputeWaitTimes(doctorId, dateKey = todayKey()) {
+  const appointments = await getQueueAppointments(doctorId, dateKey);
+  const expectedDuration = await getExpectedDurations(appointments);
+  const now = new Date();
+
+  // Time left for whoever is with the doctor, then everyone called before the waiting patients
+  let wait = 0;
+  for (const appointment of appointments.filter(a => a.queueStatus === 'in_consultation')) {
+    wait += Math.max(0, expectedDuration(appointment) - minutesBetween(appointment.consultationStartedAt, now));
+  }
+  for (const appointment of appointments.filter(a => a.queueStatus === 'called')) {
+    wait += expectedDuration(appointment);
+  }
+
+  const updates = [];
+  for (const appointment of appointments.filter(a => a.queueStatus === 'waiting')) {
+    appointment.estimatedWaitTime = wait;
+    updates.push({
+      updateOne: {
+        filter: { _id: appointment._id },
+        update: { $set: { estimatedWaitTime: wait } }
+      }
+    });
+    wait += expectedDuration(appointment);
+  }
+
+  if (updates.length > 0) {
+    await Appointment.bulkWrite(updates);
+  }
+}
+
+export async function broadcastQueue(io, doctorId, dateKey = todayKey(), { action, appointment } = {}) {
+  if (!io) return;
+
+  const queue = await getQueue(doctorId, dateKey);
+  emitToStaff(io, doctorId, 'queue:updated', {
+    type: 'queue_updated',
+    message: appointment && action === 'called'
+      ? `Now calling queue number ${appointment.queueNumber}`
+      : 'Queue updated',
+    data: {
+      action,
+      appointment: appointment ? toQueueEntry(appointment) : undefined,
+      ...queue
+    }
+  });
+}
+
+async function afterQueueChange(appointment, action, io) {
+  const dateKey = toDateKey(appointment.appointmentDate);
+  await recomputeWaitTimes(appointment.doctor, dateKey);
+  await broadcastQueue(io, appointment.doctor, dateKey, { action, appointment });
+  await broadcastDisplayBoard(io, appointment.doctor, dateKey);
+}
+
+// Give an appointment of today its queue number when the patient arrives
+export async function checkIn(appointment, { user, io } = {}) {
+  if (!appointment.doctor) {
+    throw new QueueError('Appointment has no doctor assigned');
+  }
+  if (toDateKey(appointment.appointmentDate) !== todayKey()) {
+    throw new QueueError('Only today\'s appointments can be checked in');
+  }
+  if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+    throw new QueueError(`Cannot check in an appointment that is ${appointment.status}`);
+  }
+  if (appointment.queueNumber) {
+    throw new QueueError(`Patient is already checked in as number ${appointment.queueNumber}`, 409);
+  }
+
+  appointment.queueNumber = await QueueCounter.nextNumber(appointment.doctor, todayKey());
+  appointment.queueStatus = 'waiting';
+  appointment.checkedInAt = new Date();
+  setHistoryContext(appointment, { actor: { user }, action: 'checked_in' });
+  await appointment.save();
+
+  await afterQueueChange(appointment, 'checked_in', io);
+  return appointment;
+}
+
+// Register a patient without an appointment and put them in today's queue.
+// Walk-ins don't reserve slots, so they never block bookable times.
+export async function checkInWalkIn({ patient, doctor, serviceType, reasonForVisit, priority, user, io }) {
+  const arrival = toClinicTime();
+  const patientName = patient.patientType === 'ob-gyne'
+    ? patient.obGyneRecord?.patientName || ''
+    : patient.pediatricRecord?.nameOfChildren || '';
+  const contactNumber = patient.patientType === 'ob-gyne'
+    ? patient.obGyneRecord?.contactNumber || ''
+    : patient.pediatricRecord?.contactNumber || '';
+
+  const appointment = new Appointment({
+    patient: patient._id,
+    doctorType: doctor.specialty,
+    doctor: doctor._id,
+    doctorName: doctor.name,
+    appointmentDate: getDayBounds(arrival.dateKey).start,
+    appointmentTime: formatAppointmentTime(arrival.minutes),
+    serviceType,
+    status: 'confirmed',
+    appointmentType: 'walk-in',
+    priority: priority || 'normal',
+    contactInfo: { primaryPhone: contactNumber, email: patient.contactInfo?.email },
+    reasonForVisit,
+    bookedBy: user?._id,
+    confirmedBy: user?._id,
+    patientName,
+    contactNumber,
+    bookingSource: 'staff'
+  });
+
+  return checkIn(appointment, { user, io });
+}
+
+// Call the lowest waiting number to the doctor
+export async function callNext(doctorId, { user, io } = {}) {
+  const appointment = await Appointment.findOne({
+    ...queueFilter(doctorId, todayKey()),
+    queueStatus: 'waiting'
+  }).sort({ queueNumber: 1 });
+
+  if (!appointment) {
+    throw new QueueError('No patients are waiting', 404);
+  }
+
+  appointment.queueStatus = 'called';
+  appointment.calledAt = new Date();
+  appointment.estimatedWaitTime = 0;
+  setHistoryContext(appointment, { actor: { user }, action: 'called' });
+  await appointment.save();
+
+  await afterQueueChange(appointment, 'called', io);
+  return appointment;
+}
+
+export async function startConsultation(appointment, { user, io } = {}) {
+  if (!['waiting', 'called'].includes(appointment.queueStatus)) {
+    throw new QueueError('Patient is not waiting in the queue');
+  }
+  // The consultation ends by completing the appointment, so it must be able to
+  assertTransition(appointment, 'completed', { action: 'start a consultation for' });
+
+  appointment.queueStatus = 'in_consultation';
+  appointment.calledAt = appointment.calledAt || new Date();
+  appointment.consultationStartedAt = new Date();
+  appointment.estimatedWaitTime = 0;
+  setHistoryContext(appointment, { actor: { user }, action: 'consultation_started' });
+  await appointment.save();
+
+  await afterQueueChange(appointment, 'in_consultation', io);
+  return appointment;
+}
+
+export async function finishConsultation(appointment, { user, io } = {}) {
+  if (appointment.queueStatus !== 'in_consultation') {
+    throw new QueueError('Consultation has not started');
+  }
+  assertTransition(appointment, 'completed', { action: 'complete' });
+
+  appointment.queueStatus = 'done';
+  appointment.consultationEndedAt = new Date();
+  appointment.status = 'completed';
+  setHistoryContext(appointment, { actor: { user }, action: 'consultation_finished' });
+  await appointment.save();
+
+  if (appointment.patientUserId) {
+    await notifyPatient(io, appointment.patientUserId, 'appointment:completed', {
+      type: 'appointment_completed',
+      data: {
+        id: appointment._id,
+        patientName: appointment.patientName,
+        doctorName: appointment.doctorName,
+        date: appointment.appointmentDate,
+        time: appointment.appointmentTime
+      }
+    });
+  }
+
+  await afterQueueChange(appointment, 'done', io);
+  return appointment;
+}
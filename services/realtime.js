@@ -0,0 +1,126 @@
+import jwt from 'jsonwebtoken';
+import Doctor from '../models/Doctor.js';
+import PatientUser from '../models/PatientUser.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+// Socket.IO connections authenticate with the same JWTs as the REST API and are
+// put in private rooms, so events only reach the people they concern:
+// - patient:<PatientUser id>  the portal account the appointment belongs to
+// - role:<admin|staff|doctor> clinic staff by role
+// - doctor:<Doctor id>        the user account linked to a doctor on the roster
+// - session:<Session id>      every socket of one login, closed when it is revoked
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Front-desk roles that see every staff event; doctors only see their own
+export const FRONT_DESK_ROLES = ['admin', 'staff'];
+
+export const patientRoom = (patientUserId) => `patient:${patientUserId}`;
+export const roleRoom = (role) => `role:${role}`;
+export const doctorRoom = (doctorId) => `doctor:${doctorId}`;
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+function getHandshakeToken(socket) {
+  if (socket.handshake.auth?.token) return socket.handshake.auth.token;
+  const authHeader = socket.handshake.headers?.authorization;
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Resolve the staff user or portal patient behind a socket
+export async function authenticateSocket(socket, next) {
+  try {
+    const token = getHandshakeToken(socket);
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const session = await Session.findForAccessToken(decoded);
+    if (!session) {
+      return next(new Error('Session has ended'));
+    }
+    socket.data.sessionId = session._id.toString();
+
+    if (decoded.type === 'patient') {
+      const patient = await PatientUser.findById(decoded.id).select('-password');
+      if (!patient || !patient.isActive) {
+        return next(new Error('Invalid token or patient account not active'));
+      }
+      socket.data.patientUserId = patient._id.toString();
+      return next();
+    }
+
+    // Refresh tokens carry a type; access tokens for staff don't
+    if (decoded.type) {
+      return next(new Error('Invalid token type'));
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.isActive) {
+      return next(new Error('Invalid token or user not active'));
+    }
+    socket.data.user = { id: user._id.toString(), role: user.role };
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+}
+
+async function joinRooms(socket) {
+  socket.join(sessionRoom(socket.data.sessionId));
+  if (socket.data.patientUserId) {
+    socket.join(patientRoom(socket.data.patientUserId));
+    return;
+  }
+
+  const { id, role } = socket.data.user;
+  socket.join(roleRoom(role));
+  if (role === 'doctor') {
+    const doctor = await Doctor.findOne({ user: id }).select('_id');
+    if (doctor) {
+      socket.join(doctorRoom(doctor._id));
+    }
+  }
+}
+
+export function registerRealtime(io) {
+  io.use(authenticateSocket);
+
+  io.on('connection', async (socket) => {
+    console.log('User connected:', socket.id);
+
+    try {
+      await joinRooms(socket);
+    } catch (error) {
+      console.error('Socket room join error:', error);
+      socket.disconnect(true);
+    }
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+}
+
+// Close the sockets of a revoked session
+export function disconnectSession(io, sessionId) {
+  if (!io || !sessionId) return;
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+}
+
+// Send an event to one portal patient
+export function emitToPatient(io, patientUserId, event, payload) {
+  if (!io || !patientUserId) return;
+  io.to(patientRoom(patientUserId)).emit(event, payload);
+}
+
+// Send an event to the front desk and to the doctor the appointment is with
+export function emitToStaff(io, doctorId, event, payload) {
+  if (!io) return;
+  const rooms = FRONT_DESK_ROLES.map(roleRoom);
+  if (doctorId) {
+    rooms.push(doctorRoom(doctorId));
+  }
+  io.to(rooms).emit(event, payload);
+}
@@ -0,0 +1,152 @@
+import Appointment from '../models/Appointment.js';
+import AppointmentReminder from '../models/AppointmentReminder.js';
+import Settings from '../models/Settings.js';
+import { addDays, getDayBounds } from './availability.js';
+import { ACTION_LINK_PLACEHOLDERS, createActionTokens } from './actionTokens.js';
+import { notifyPatient } from './notifications.js';
+import { queueContactMessages } from './outbox.js';
+import { appointmentStartsAt, toDateKey } from './time.js';
+
+// Appointment reminders at the offsets configured in Settings.reminderOffsets.
+// Only appointments that are still scheduled/confirmed are considered, and the
+// start time is read fresh on every scan, so cancelled or moved appointments
+// never get a reminder for their old time.
+
+const REMINDER_STATUSES = ['scheduled', 'confirmed'];
+
+// Record the reminder before sending it. Returns null if it was already sent.
+// The record is removed again if sending fails, so the next scan retries it.
+async function claimReminder(appointment, offsetMinutes, appointmentStart) {
+  try {
+    return await AppointmentReminder.create({
+      appointment: appointment._id,
+      offsetMinutes,
+      appointmentStart
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+async function sendReminder(appointment, reminder, io) {
+  const payload = {
+    type: 'appointment_reminder',
+    links: ACTION_LINK_PLACEHOLDERS,
+    actionTokens: await createActionTokens(appointment, { reminder }),
+    data: {
+      id: appointment._id,
+      patientName: appointment.patientName,
+      doctorName: appointment.doctorName,
+      date: appointment.appointmentDate,
+      time: appointment.appointmentTime
+    }
+  };
+
+  if (appointment.patientUserId) {
+    const notification = await notifyPatient(io, appointment.patientUserId, 'appointment:reminder', payload);
+    reminder.notification = notification?._id;
+    reminder.channels = ['in_app', 'email', 'sms'];
+  } else {
+    // Staff bookings without a portal account are reminded through their contact details
+    const email = appointment.contactInfo?.email;
+    const phone = appointment.contactInfo?.primaryPhone || appointment.contactNumber;
+    await queueContactMessages({ email, phone }, 'appointment:reminder', payload, { appointment: appointment._id });
+    reminder.channels = [email && 'email', phone && 'sms'].filter(Boolean);
+  }
+
+  await reminder.save();
+}
+
+// Background job: send every reminder that is due. When several offsets are due
+// at once (e.g. an appointment booked 3 hours ahead) only the closest one is sent.
+export async function sendDueReminders({ io } = {}) {
+  const { reminderOffsets } = await Settings.getSettings();
+  if (!reminderOffsets || reminderOffsets.length === 0) return 0;
+
+  const now = new Date();
+  const todayKey = toDateKey(now);
+  const lookaheadDays = Math.ceil(Math.max(...reminderOffsets) / 1440) + 1;
+
+  const appointments = await Appointment.find({
+    status: { $in: REMINDER_STATUSES },
+    appointmentType: { $ne: 'walk-in' },
+    appointmentDate: {
+      $gte: getDayBounds(addDays(todayKey, -1)).start,
+      $lt: getDayBounds(addDays(todayKey, lookaheadDays)).end
+    }
+  });
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    try {
+      const start = appointmentStartsAt(appointment.appointmentDate, appointment.appointmentTime);
+      if (start <= now) continue;
+
+      const dueOffsets = reminderOffsets.filter(offset => start.getTime() - offset * 60000 <= now.getTime());
+      if (dueOffsets.length === 0) continue;
+
+      const reminder = await claimReminder(appointment, Math.min(...dueOffsets), start);
+      if (!reminder) continue;
+
+      try {
+        await sendReminder(appointment, reminder, io);
+      } catch (error) {
+        await AppointmentReminder.deleteOne({ _id: reminder._id });
+        throw error;
+      }
+      sent++;
+    } catch (error) {
+      console.error(`Error sending reminder for appointment ${appointment.appointmentId}:`, error);
+    }
+  }
+
+  return sent;
+}
+
+const outcomeStats = (appointments) => {
+  const completed = appointments.filter(appointment => appointment.status === 'completed').length;
+  const noShow = appointments.filter(appointment => appointment.status === 'no-show').length;
+  return {
+    total: appointments.length,
+    completed,
+    noShow,
+    noShowRate: appointments.length > 0 ? ((noShow / appointments.length) * 100).toFixed(1) + '%' : 'N/A'
+  };
+};
+
+// Compare no-shows of reminded and non-reminded appointments over a date range.
+// Only appointments with an outcome (completed or no-show) are counted.
+export async function getReminderReport({ startDate, endDate, doctorId }) {
+  const filter = {
+    status: { $in: ['completed', 'no-show'] },
+    appointmentType: { $ne: 'walk-in' },
+    appointmentDate: {
+      $gte: getDayBounds(toDateKey(startDate)).start,
+      $lt: getDayBounds(toDateKey(endDate)).end
+    }
+  };
+  if (doctorId) filter.doctor = doctorId;
+
+  const appointments = await Appointment.find(filter).select('status');
+  const reminders = await AppointmentReminder.find({
+    appointment: { $in: appointments.map(appointment => appointment._id) }
+  }).select('appointment offsetMinutes');
+
+  const remindedIds = new Set(reminders.map(reminder => String(reminder.appointment)));
+  const reminded = appointments.filter(appointment => remindedIds.has(String(appointment._id)));
+  const notReminded = appointments.filter(appointment => !remindedIds.has(String(appointment._id)));
+
+  const byOffset = {};
+  reminders.forEach(reminder => {
+    byOffset[reminder.offsetMinutes] = (byOffset[reminder.offsetMinutes] || 0) + 1;
+  });
+
+  return {
+    startDate: toDateKey(startDate),
+    endDate: toDateKey(endDate),
+    reminded: outcomeStats(reminded),
+    notReminded: outcomeStats(notReminded),
+    remindersSentByOffset: byOffset
+  };
+}
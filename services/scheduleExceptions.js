@@ -0,0 +1,153 @@
+import Appointment from '../models/Appointment.js';
+import Settings from '../models/Settings.js';
+import {
+  addDays,
+  findDoctor,
+  findNextAvailableSlot,
+  getAppointmentRange,
+  getDayBounds,
+  parseClockTime,
+  rangesOverlap,
+  toDateKey
+} from './availability.js';
+import {
+  applyStaffCancellation,
+  applyStaffReschedule,
+  emitCancelled,
+  emitRescheduled
+} from './appointments.js';
+import { setHistoryContext } from './appointmentHistory.js';
+
+// Appointments in these states still expect the patient to show up
+export const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'reschedule_pending', 'cancellation_pending'];
+
+// Concrete date ranges covered by an exception. Recurring exceptions are expanded
+// for the current and the next year, plus last year's when it runs into this one.
+export function getExceptionDateRanges(exception, { from = new Date() } = {}) {
+  const startKey = toDateKey(exception.startDate);
+  const endKey = toDateKey(exception.endDate || exception.startDate);
+
+  if (!exception.recurring) {
+    return [{ start: startKey, end: endKey }];
+  }
+
+  const year = new Date(from).getUTCFullYear();
+  const startDay = startKey.slice(5);
+  const endDay = endKey.slice(5);
+  const wraps = startDay > endDay;
+  const years = wraps ? [year - 1, year, year + 1] : [year, year + 1];
+
+  return years.map(y => ({
+    start: `${y}-${startDay}`,
+    end: wraps ? `${y + 1}-${endDay}` : `${y}-${endDay}`
+  }));
+}
+
+// Upcoming appointments that fall inside a closure, leave or block
+export async function findAffectedAppointments(exception) {
+  const todayStart = getDayBounds(toDateKey(new Date())).start;
+  const ranges = getExceptionDateRanges(exception);
+
+  const filter = {
+    status: { $in: ACTIVE_STATUSES },
+    $and: [
+      { appointmentDate: { $gte: todayStart } },
+      {
+        $or: ranges.map(range => ({
+          appointmentDate: {
+            $gte: getDayBounds(range.start).start,
+            $lt: getDayBounds(range.end).end
+          }
+        }))
+      }
+    ]
+  };
+
+  if (exception.doctor) {
+    filter.doctor = exception.doctor;
+  }
+
+  const appointments = await Appointment.find(filter)
+    .sort({ appointmentDate: 1, appointmentTime: 1 });
+
+  if (exception.type !== 'block') {
+    return appointments;
+  }
+
+  // Partial-day blocks only affect appointments overlapping the blocked hours
+  const durations = await Settings.getServiceDurations();
+  const block = {
+    start: parseClockTime(exception.startTime),
+    end: parseClockTime(exception.endTime)
+  };
+
+  return appointments.filter(apt => rangesOverlap(getAppointmentRange(apt, durations), block));
+}
+
+// Bulk cancel or reschedule the appointments affected by an exception
+export async function resolveAffectedAppointments(exception, { action, appointmentIds, reason, user, io }) {
+  let appointments = await findAffectedAppointments(exception);
+  if (appointmentIds && appointmentIds.length > 0) {
+    appointments = appointments.filter(apt => appointmentIds.includes(apt._id.toString()));
+  }
+
+  const results = { cancelled: [], rescheduled: [], failed: [] };
+  const changeReason = reason || `Clinic schedule change: ${exception.name}`;
+  const taken = [];
+  const tomorrow = addDays(toDateKey(new Date()), 1);
+
+  for (const appointment of appointments) {
+    try {
+      if (action === 'cancel') {
+        applyStaffCancellation(appointment, { reason: changeReason, user });
+        setHistoryContext(appointment, { actor: { user }, reason: changeReason });
+        await appointment.save();
+        await emitCancelled(io, appointment);
+        results.cancelled.push(appointment);
+        continue;
+      }
+
+      // Moving it would silently approve the patient's own request
+      if (appointment.status === 'reschedule_pending') {
+        results.failed.push({ appointment, reason: 'Patient has a pending reschedule request; approve or reject it first' });
+        continue;
+      }
+
+      const doctor = await findDoctor({ doctorId: appointment.doctor, includeInactive: true });
+      if (!doctor) {
+        results.failed.push({ appointment, reason: 'Appointment is not linked to a doctor' });
+        continue;
+      }
+
+      const appointmentKey = toDateKey(appointment.appointmentDate);
+      const slot = await findNextAvailableSlot(doctor, {
+        fromDate: appointmentKey > tomorrow ? appointmentKey : tomorrow,
+        preferredTime: appointment.appointmentTime,
+        serviceType: appointment.serviceType,
+        exclude: taken
+      });
+
+      if (!slot) {
+        results.failed.push({ appointment, reason: 'No open slot found in the next 60 days' });
+        continue;
+      }
+
+      taken.push(slot);
+      applyStaffReschedule(appointment, {
+        date: getDayBounds(slot.dateKey).start,
+        time: slot.time,
+        reason: changeReason,
+        user
+      });
+      setHistoryContext(appointment, { actor: { user }, reason: changeReason });
+      await appointment.save();
+      await emitRescheduled(io, appointment);
+      results.rescheduled.push(appointment);
+    } catch (error) {
+      console.error(`Error resolving appointment ${appointment.appointmentId}:`, error);
+      results.failed.push({ appointment, reason: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import PatientUser from '../models/PatientUser.js';
+import Session, { SESSION_DAYS, activeSessionFilter } from '../models/Session.js';
+import User from '../models/User.js';
+import { generateRefreshToken, generateToken, verifyRefreshToken } from '../middleware/auth.js';
+import {
+  generatePatientRefreshToken,
+  generatePatientToken,
+  verifyPatientRefreshToken
+} from '../middleware/patientAuth.js';
+import { disconnectSession } from './realtime.js';
+
+// Per-device sessions for staff users and portal patients.
+//
+// Logging in starts a session and returns an access token and a refresh token
+// for it. Each refresh swaps the refresh token for a new one (rotation) and
+// stores only the new token's hash. If a token that was already swapped comes
+// back, two parties hold copies of it, so the whole session (the token family)
+// is revoked and both have to log in again. Revoking a session also ends its
+// access token on the next request, since the auth middleware checks it.
+
+export class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+const ACCOUNTS = {
+  user: {
+    field: 'user',
+    model: User,
+    signAccess: generateToken,
+    signRefresh: generateRefreshToken,
+    verifyRefresh: verifyRefreshToken
+  },
+  patient: {
+    field: 'patientUser',
+    model: PatientUser,
+    signAccess: generatePatientToken,
+    signRefresh: generatePatientRefreshToken,
+    verifyRefresh: verifyPatientRefreshToken
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const sessionExpiry = (now) => new Date(now.getTime() + SESSION_DAYS * DAY_MS);
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+// Start a session after a successful login or registration
+export async function startSession(accountType, account, req) {
+  const { field, signAccess, signRefresh } = ACCOUNTS[accountType];
+  const now = new Date();
+
+  const session = new Session({
+    accountType,
+    [field]: account._id,
+    deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+    userAgent: req.get('User-Agent'),
+    ipAddress: clientIp(req),
+    lastUsedAt: now,
+    expiresAt: sessionExpiry(now)
+  });
+  const refreshToken = signRefresh(account, session);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, token: signAccess(account, session), refreshToken };
+}
+
+export async function revokeSession(session, reason, { io } = {}) {
+  if (session.revokedAt) return session;
+
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+  disconnectSession(io, session._id);
+  return session;
+}
+
+// Revoke every live session of an account, optionally keeping one
+export async function revokeAllSessions(accountType, accountId, reason, { exceptSessionId, io } = {}) {
+  const filter = {
+    accountType,
+    [ACCOUNTS[accountType].field]: accountId,
+    ...activeSessionFilter()
+  };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  sessions.forEach(session => disconnectSession(io, session._id));
+  return sessions.length;
+}
+
+// Swap a refresh token for a new access/refresh token pair
+export async function refreshSession(accountType, refreshToken, req, { io } = {}) {
+  const { field, model, signAccess, signRefresh, verifyRefresh } = ACCOUNTS[accountType];
+
+  let decoded;
+  try {
+    decoded = verifyRefresh(refreshToken);
+  } catch (error) {
+    throw new SessionError('Invalid refresh token');
+  }
+  // Tokens issued before sessions existed have no sid
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findOne({ _id: decoded.sid, accountType, [field]: decoded.id });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new SessionError('Session has ended. Please log in again.');
+  }
+
+  const account = await model.findById(decoded.id).select('-password');
+  if (!account || !account.isActive) {
+    await revokeSession(session, 'account_deactivated', { io });
+    throw new SessionError('Invalid refresh token');
+  }
+
+  // Only the current token may be swapped; the filter makes concurrent swaps of
+  // the same token fail too
+  const now = new Date();
+  const newRefreshToken = signRefresh(account, session);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hashToken(refreshToken), ...activeSessionFilter(now) },
+    {
+      $set: {
+        tokenHash: hashToken(newRefreshToken),
+        lastUsedAt: now,
+        expiresAt: sessionExpiry(now),
+        userAgent: req.get('User-Agent'),
+        ipAddress: clientIp(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session, 'token_reuse', { io });
+    throw new SessionError('This refresh token was already used. Please log in again.');
+  }
+
+  return { session: rotated, account, token: signAccess(account, rotated), refreshToken: newRefreshToken };
+}
+
+export async function listSessions(accountType, accountId, { currentSessionId } = {}) {
+  const sessions = await Session.find({
+    accountType,
+    [ACCOUNTS[accountType].field]: accountId,
+    ...activeSessionFilter()
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => ({
+    id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session._id.toString() === currentSessionId
+  }));
+}
+
+// A live session of the account, for logging out of one device
+export async function findOwnSession(accountType, accountId, sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return Session.findOne({
+    _id: sessionId,
+    accountType,
+    [ACCOUNTS[accountType].field]: accountId,
+    ...activeSessionFilter()
+  });
+}
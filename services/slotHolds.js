@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import SlotClaim from '../models/SlotClaim.js';
+import Settings from '../models/Settings.js';
+import { checkSlot } from './availability.js';
+import {
+  CLAIM_UNIT_MINUTES,
+  SlotConflictError,
+  getClaimMinutes,
+  purgeExpiredHolds
+} from './slotReservation.js';
+import { parseAppointmentTime, toDateKey } from './time.js';
+
+// Temporary holds taken while a patient completes a portal booking. A hold is a
+// set of SlotClaims with a hold token and an expiry, so it competes for the slot
+// exactly like a real booking and disappears on its own when it runs out.
+
+export class HoldError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HoldError';
+    this.status = status;
+  }
+}
+
+// Active hold claims for a token, ordered by minute
+export async function findActiveHold(holdToken) {
+  if (!holdToken) return [];
+  return SlotClaim.find({ holdToken, expiresAt: { $gt: new Date() } }).sort({ minute: 1 });
+}
+
+// Reserve a slot for one patient. Any earlier hold by the same patient is released,
+// so a patient never blocks more than the slot they are currently checking out.
+// `minutes` overrides the configured hold length (used for waitlist offers).
+export async function createHold({ doctor, date, time, serviceType, patientUserId, minutes, replaceExisting = true }) {
+  const slotCheck = await checkSlot(doctor, date, time, { serviceType });
+  if (!slotCheck.available) {
+    throw new HoldError(slotCheck.reason, slotCheck.conflict ? 409 : 400);
+  }
+
+  const holdMinutes = minutes || (await Settings.getSettings()).slotHoldMinutes;
+  const dateKey = toDateKey(date);
+  const start = parseAppointmentTime(time);
+  const holdToken = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+
+  if (patientUserId && replaceExisting) {
+    await SlotClaim.deleteMany({ heldBy: patientUserId, holdToken: { $exists: true } });
+  }
+  await purgeExpiredHolds(doctor._id, dateKey);
+
+  const claims = getClaimMinutes(start, start + slotCheck.duration).map(minute => ({
+    doctor: doctor._id,
+    dateKey,
+    minute,
+    holdToken,
+    heldBy: patientUserId,
+    expiresAt
+  }));
+
+  try {
+    await SlotClaim.insertMany(claims, { ordered: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await SlotClaim.deleteMany({ holdToken });
+    throw new SlotConflictError('This time slot is being booked by someone else. Please choose another time.');
+  }
+
+  return {
+    holdToken,
+    expiresAt,
+    doctorId: doctor._id,
+    date: dateKey,
+    time,
+    duration: slotCheck.duration
+  };
+}
+
+// Make sure a hold is still valid for the booking a patient is submitting
+export async function verifyHold(holdToken, { doctor, date, time, patientUserId }) {
+  const claims = await findActiveHold(holdToken);
+  if (claims.length === 0) {
+    throw new HoldError('Your hold on this time slot has expired. Please select the time again.', 409);
+  }
+
+  const [first] = claims;
+  const matches =
+    String(first.heldBy) === String(patientUserId) &&
+    String(first.doctor) === String(doctor._id) &&
+    first.dateKey === toDateKey(date) &&
+    claims.some(claim => claim.minute === getClaimMinutes(parseAppointmentTime(time), parseAppointmentTime(time) + 1)[0]);
+
+  if (!matches) {
+    throw new HoldError('The hold does not match the selected doctor, date and time', 400);
+  }
+
+  return claims;
+}
+
+export async function releaseHold(holdToken, patientUserId) {
+  const filter = { holdToken };
+  if (patientUserId) {
+    filter.heldBy = patientUserId;
+  }
+  const result = await SlotClaim.deleteMany(filter);
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,145 @@
+import SlotClaim from '../models/SlotClaim.js';
+import { parseAppointmentTime, toDateKey } from './time.js';
+
+// Database-level slot reservation. Every active appointment owns one SlotClaim
+// per CLAIM_UNIT_MINUTES of its visit; the unique index on the claims makes a
+// concurrent double booking fail with a duplicate key error instead of racing.
+
+export const CLAIM_UNIT_MINUTES = 5;
+
+// Appointments in these states keep their time reserved
+export const CLAIMING_STATUSES = ['scheduled', 'confirmed', 'reschedule_pending', 'cancellation_pending'];
+
+export class SlotConflictError extends Error {
+  constructor(message = 'This time slot has just been booked by someone else. Please choose another time.') {
+    super(message);
+    this.name = 'SlotConflictError';
+    this.status = 409;
+  }
+}
+
+// Claim units covering [start, end) minutes
+export function getClaimMinutes(start, end) {
+  const minutes = [];
+  const first = Math.floor(start / CLAIM_UNIT_MINUTES) * CLAIM_UNIT_MINUTES;
+  for (let minute = first; minute < end; minute += CLAIM_UNIT_MINUTES) {
+    minutes.push(minute);
+  }
+  return minutes;
+}
+
+// Whether an appointment should hold slot claims. Walk-ins are queued rather
+// than slotted, and legacy appointments without a doctor reference can't be keyed.
+export function claimsSlot(appointment) {
+  return Boolean(
+    appointment.doctor &&
+    appointment.appointmentDate &&
+    appointment.appointmentTime &&
+    appointment.appointmentType !== 'walk-in' &&
+    CLAIMING_STATUSES.includes(appointment.status)
+  );
+}
+
+function getDesiredClaims(appointment) {
+  if (!claimsSlot(appointment)) return [];
+
+  const start = parseAppointmentTime(appointment.appointmentTime);
+  const end = appointment.endTime ? parseAppointmentTime(appointment.endTime) : start + CLAIM_UNIT_MINUTES;
+  const dateKey = toDateKey(appointment.appointmentDate);
+
+  return getClaimMinutes(start, Math.max(end, start + CLAIM_UNIT_MINUTES)).map(minute => ({
+    doctor: appointment.doctor,
+    dateKey,
+    minute,
+    appointment: appointment._id
+  }));
+}
+
+const claimKey = (claim) => `${claim.doctor}|${claim.dateKey}|${claim.minute}`;
+
+// Expired holds are removed by the TTL index, but the TTL monitor only runs about
+// once a minute; clear them right away so they never block a real booking.
+export async function purgeExpiredHolds(doctor, dateKey) {
+  await SlotClaim.deleteMany({ doctor, dateKey, expiresAt: { $lte: new Date() } });
+}
+
+// Give converted hold units back to the hold they came from
+async function restoreHold(appointmentId, { holdToken, heldBy, expiresAt, claimIds }) {
+  await SlotClaim.updateMany(
+    { _id: { $in: claimIds }, appointment: appointmentId },
+    {
+      $set: { holdToken, heldBy, expiresAt },
+      $unset: { appointment: 1 }
+    }
+  );
+}
+
+// Bring an appointment's claims in line with its current doctor, date, time and status.
+// A valid `holdToken` hands the held units over to the appointment; the converted
+// hold is returned (null if none) so a failed save can give it back.
+// Throws SlotConflictError when another appointment or hold already owns part of the range.
+export async function syncAppointmentClaims(appointment, { holdToken } = {}) {
+  const desired = getDesiredClaims(appointment);
+  let convertedHold = null;
+
+  if (holdToken && desired.length > 0) {
+    const held = await SlotClaim.find({ holdToken, expiresAt: { $gt: new Date() } }).lean();
+    if (held.length > 0) {
+      convertedHold = {
+        holdToken,
+        heldBy: held[0].heldBy,
+        expiresAt: held[0].expiresAt,
+        claimIds: held.map(claim => claim._id)
+      };
+      await SlotClaim.updateMany(
+        { _id: { $in: convertedHold.claimIds } },
+        {
+          $set: { appointment: appointment._id },
+          $unset: { holdToken: 1, heldBy: 1, expiresAt: 1 }
+        }
+      );
+    }
+  }
+
+  const existing = await SlotClaim.find({ appointment: appointment._id }).lean();
+
+  const desiredKeys = new Set(desired.map(claimKey));
+  const existingKeys = new Set(existing.map(claimKey));
+
+  const toInsert = desired.filter(claim => !existingKeys.has(claimKey(claim)));
+  const toRemove = existing.filter(claim => !desiredKeys.has(claimKey(claim)));
+
+  if (toInsert.length > 0) {
+    await purgeExpiredHolds(appointment.doctor, toInsert[0].dateKey);
+
+    try {
+      await SlotClaim.insertMany(toInsert, { ordered: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Roll back the units this attempt managed to claim before the conflict
+      await SlotClaim.deleteMany({
+        appointment: appointment._id,
+        $or: toInsert.map(({ doctor, dateKey, minute }) => ({ doctor, dateKey, minute }))
+      });
+      if (convertedHold) {
+        await restoreHold(appointment._id, convertedHold);
+      }
+      throw new SlotConflictError();
+    }
+  }
+
+  if (toRemove.length > 0) {
+    await SlotClaim.deleteMany({ _id: { $in: toRemove.map(claim => claim._id) } });
+  }
+
+  return convertedHold;
+}
+
+// Drop an appointment's claims. Units converted from `hold` go back to the hold.
+export async function releaseAppointmentClaims(appointmentId, { hold } = {}) {
+  if (hold) {
+    await restoreHold(appointmentId, hold);
+  }
+  await SlotClaim.deleteMany({ appointment: appointmentId });
+}
@@ -0,0 +1,334 @@
+import NotificationTemplate from '../models/NotificationTemplate.js';
+
+// Patient-facing wording of every appointment notification, in English and
+// Filipino. Built-in defaults below can be overridden per type, channel and
+// language by admins (NotificationTemplate); the patient's preferredLanguage
+// picks the language, falling back to English.
+
+export const LANGUAGES = ['en', 'fil'];
+export const CHANNELS = ['in_app', 'email', 'sms'];
+export const DEFAULT_LANGUAGE = 'en';
+
+export const CLINIC_NAME = 'VM Mother and Child Clinic';
+
+export const PLACEHOLDERS = {
+  patientName: 'Patient name on the appointment',
+  doctorName: 'Doctor name',
+  date: 'Appointment date, written in the template language',
+  time: 'Appointment time, e.g. 9:30 AM',
+  reason: 'Cancellation reason or staff note, when there is one',
+  confirmUrl: 'Reminders only: one-click link to confirm attendance',
+  cancelUrl: 'Reminders only: one-click link to request cancellation',
+  resetUrl: 'Password reset only: link to choose a new password',
+  verifyUrl: 'Email verification only: link to verify the email address',
+  clinicName: 'Clinic name'
+};
+
+const DATE_LOCALES = {
+  en: 'en-US',
+  fil: 'fil-PH'
+};
+
+// Message per notification type: email subject plus the message itself, which
+// is used as is in the app and wrapped with the clinic name for email and SMS.
+// Actions are links added to email and SMS only.
+export const DEFAULT_TEMPLATES = {
+  appointment_confirmed: {
+    en: {
+      subject: 'Your appointment is confirmed',
+      body: 'Your appointment with {{doctorName}} on {{date}} at {{time}} has been confirmed.'
+    },
+    fil: {
+      subject: 'Kumpirmado na ang iyong appointment',
+      body: 'Kumpirmado na ang iyong appointment kay {{doctorName}} sa {{date}}, {{time}}.'
+    }
+  },
+  appointment_cancelled: {
+    en: {
+      subject: 'Your appointment was cancelled',
+      body: 'Your appointment with {{doctorName}} on {{date}} at {{time}} has been cancelled.'
+    },
+    fil: {
+      subject: 'Kinansela ang iyong appointment',
+      body: 'Kinansela ang iyong appointment kay {{doctorName}} sa {{date}}, {{time}}.'
+    }
+  },
+  appointment_cancellation_approved: {
+    en: {
+      subject: 'Your cancellation request was approved',
+      body: 'Your cancellation request for your appointment with {{doctorName}} on {{date}} at {{time}} has been approved.'
+    },
+    fil: {
+      subject: 'Inaprubahan ang iyong kahilingang magkansela',
+      body: 'Inaprubahan na ang iyong kahilingang kanselahin ang appointment kay {{doctorName}} sa {{date}}, {{time}}.'
+    }
+  },
+  appointment_slot_conflicted: {
+    en: {
+      subject: 'Your appointment was cancelled',
+      body: 'Your appointment with {{doctorName}} on {{date}} at {{time}} was canceled because the time slot was confirmed for another patient. Please book a different appointment.'
+    },
+    fil: {
+      subject: 'Kinansela ang iyong appointment',
+      body: 'Kinansela ang iyong appointment kay {{doctorName}} sa {{date}}, {{time}} dahil nakumpirma na ang oras na ito para sa ibang pasyente. Mangyaring mag-book ng ibang appointment.'
+    }
+  },
+  appointment_rescheduled: {
+    en: {
+      subject: 'Your appointment was rescheduled',
+      body: 'Your appointment with {{doctorName}} has been rescheduled to {{date}} at {{time}}.'
+    },
+    fil: {
+      subject: 'Inilipat ang iyong appointment',
+      body: 'Inilipat ang iyong appointment kay {{doctorName}} sa {{date}}, {{time}}.'
+    }
+  },
+  appointment_reschedule_pending: {
+    en: {
+      subject: 'Please review your new appointment time',
+      body: 'Your reschedule request for your appointment with {{doctorName}} is pending approval.'
+    },
+    fil: {
+      subject: 'Pakisuri ang bagong oras ng iyong appointment',
+      body: 'Hinihintay pa ang pag-apruba sa iyong kahilingang ilipat ang appointment kay {{doctorName}}.'
+    }
+  },
+  appointment_completed: {
+    en: {
+      subject: 'Thank you for your visit',
+      body: 'Your appointment with {{doctorName}} has been marked as completed.'
+    },
+    fil: {
+      subject: 'Salamat sa iyong pagbisita',
+      body: 'Tapos na ang iyong appointment kay {{doctorName}}. Salamat sa iyong pagbisita.'
+    }
+  },
+  appointment_no_show: {
+    en: {
+      subject: 'You missed your appointment',
+      body: 'You have been marked as a no-show for your appointment with {{doctorName}} on {{date}} at {{time}}.'
+    },
+    fil: {
+      subject: 'Hindi ka nakarating sa iyong appointment',
+      body: 'Naitala kang hindi sumipot sa iyong appointment kay {{doctorName}} noong {{date}}, {{time}}.'
+    }
+  },
+  appointment_reminder: {
+    en: {
+      subject: 'Appointment reminder',
+      body: 'Reminder: you have an appointment with {{doctorName}} on {{date}} at {{time}}.',
+      actions: 'Confirm you are coming: {{confirmUrl}}\nNeed to cancel? {{cancelUrl}}'
+    },
+    fil: {
+      subject: 'Paalala sa iyong appointment',
+      body: 'Paalala: may appointment ka kay {{doctorName}} sa {{date}}, {{time}}.',
+      actions: 'Kumpirmahin ang pagdalo: {{confirmUrl}}\nKailangang magkansela? {{cancelUrl}}'
+    }
+  },
+  waitlist_offer: {
+    en: {
+      subject: 'An appointment slot is available',
+      body: 'A slot with {{doctorName}} opened up on {{date}} at {{time}}. Accept it before it expires.'
+    },
+    fil: {
+      subject: 'May bakanteng oras para sa iyo',
+      body: 'May bakanteng oras kay {{doctorName}} sa {{date}}, {{time}}. Tanggapin ito bago mag-expire ang alok.'
+    }
+  },
+  // Waitlist offer to a patient without a portal account, who accepts through the clinic
+  waitlist_offer_call: {
+    en: {
+      subject: 'An appointment slot is available',
+      body: 'A slot with {{doctorName}} opened up on {{date}} at {{time}}. Call the clinic to take it before the offer expires.'
+    },
+    fil: {
+      subject: 'May bakanteng oras para sa iyo',
+      body: 'May bakanteng oras kay {{doctorName}} sa {{date}}, {{time}}. Tumawag sa klinika para kunin ito bago mag-expire ang alok.'
+    }
+  },
+  booking_unlocked: {
+    en: {
+      subject: 'You can book appointments again',
+      body: 'Your online booking is unlocked. You can book appointments again.'
+    },
+    fil: {
+      subject: 'Maaari ka nang mag-book muli',
+      body: 'Bukas na muli ang iyong online booking. Maaari ka nang mag-book ng appointment.'
+    }
+  },
+  no_show_appeal_approved: {
+    en: {
+      subject: 'Your appeal was approved',
+      body: 'Your appeal was approved and your online booking is unlocked. {{reason}}'
+    },
+    fil: {
+      subject: 'Inaprubahan ang iyong apela',
+      body: 'Inaprubahan ang iyong apela at bukas na muli ang iyong online booking. {{reason}}'
+    }
+  },
+  no_show_appeal_rejected: {
+    en: {
+      subject: 'Your appeal was not approved',
+      body: 'Your appeal to unlock online booking was not approved. {{reason}}'
+    },
+    fil: {
+      subject: 'Hindi inaprubahan ang iyong apela',
+      body: 'Hindi inaprubahan ang iyong apela na buksan muli ang online booking. {{reason}}'
+    }
+  },
+  password_reset: {
+    en: {
+      subject: 'Reset your password',
+      body: 'We received a request to reset your password. The link works once and expires in one hour. If you did not ask for this, you can ignore this message.',
+      actions: 'Choose a new password: {{resetUrl}}'
+    },
+    fil: {
+      subject: 'I-reset ang iyong password',
+      body: 'May humiling na i-reset ang iyong password. Isang beses lang magagamit ang link at mag-e-expire ito sa loob ng isang oras. Kung hindi ikaw ang humiling nito, huwag pansinin ang mensaheng ito.',
+      actions: 'Pumili ng bagong password: {{resetUrl}}'
+    }
+  },
+  email_verification: {
+    en: {
+      subject: 'Verify your email address',
+      body: 'Welcome to the patient portal. Verify your email address to start booking appointments. The link expires in 24 hours.',
+      actions: 'Verify your email: {{verifyUrl}}'
+    },
+    fil: {
+      subject: 'I-verify ang iyong email address',
+      body: 'Maligayang pagdating sa patient portal. I-verify ang iyong email address para makapag-book ng appointment. Mag-e-expire ang link sa loob ng 24 na oras.',
+      actions: 'I-verify ang iyong email: {{verifyUrl}}'
+    }
+  },
+  account_locked: {
+    en: {
+      subject: 'Your account was locked',
+      body: 'Your account was locked for 15 minutes after too many failed login attempts. If this was not you, reset your password or contact the clinic.'
+    },
+    fil: {
+      subject: 'Na-lock ang iyong account',
+      body: 'Na-lock ang iyong account nang 15 minuto dahil sa sobrang daming maling pag-login. Kung hindi ikaw ito, i-reset ang iyong password o makipag-ugnayan sa klinika.'
+    }
+  },
+  account_unlocked: {
+    en: {
+      subject: 'Your account was unlocked',
+      body: 'Your account was unlocked by the clinic. You can log in again.'
+    },
+    fil: {
+      subject: 'Na-unlock ang iyong account',
+      body: 'Na-unlock ng klinika ang iyong account. Maaari ka nang mag-login muli.'
+    }
+  }
+};
+
+export const TEMPLATE_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+export const normalizeLanguage = (language) =>
+  LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+// Placeholders used in a template text that render() would not know
+export function findUnknownPlaceholders(text = '') {
+  const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !(name in PLACEHOLDERS));
+  return [...new Set(unknown)];
+}
+
+export function render(text, variables) {
+  return (text || '').replace(PLACEHOLDER_PATTERN, (match, name) => variables[name] ?? '');
+}
+
+function formatDate(date, language) {
+  if (!date) return '';
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return String(date);
+
+  // Appointment dates are stored as UTC midnight of the day
+  return value.toLocaleDateString(DATE_LOCALES[language], {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// Placeholder values from a notification payload ({ type, message, data, links })
+export function templateVariables(data = {}, language = DEFAULT_LANGUAGE, links = {}) {
+  return {
+    patientName: data.patientName || '',
+    doctorName: data.doctorName || '',
+    date: formatDate(data.date, language),
+    time: data.time || '',
+    reason: data.reason || '',
+    confirmUrl: links.confirmUrl || '',
+    cancelUrl: links.cancelUrl || '',
+    resetUrl: links.resetUrl || '',
+    verifyUrl: links.verifyUrl || '',
+    clinicName: CLINIC_NAME
+  };
+}
+
+// Channel wrapper around the default message
+function defaultTemplate(type, channel, language) {
+  const template = DEFAULT_TEMPLATES[type]?.[language];
+  if (!template) return null;
+
+  if (channel === 'email') {
+    const actions = template.actions ? `\n\n${template.actions}` : '';
+    return { subject: template.subject, body: `${template.body}${actions}\n\n{{clinicName}}` };
+  }
+  if (channel === 'sms') {
+    const actions = template.actions ? `\n${template.actions}` : '';
+    return { body: `{{clinicName}}: ${template.body}${actions}` };
+  }
+  return { body: template.body };
+}
+
+// The template in effect: the admin's version if there is an active one,
+// otherwise the built-in default, first in the requested language then in English
+export async function resolveTemplate(type, channel, language = DEFAULT_LANGUAGE) {
+  const languages = [...new Set([normalizeLanguage(language), DEFAULT_LANGUAGE])];
+
+  for (const candidate of languages) {
+    const custom = await NotificationTemplate.findOne({ type, channel, language: candidate, isActive: true });
+    if (custom) {
+      return { subject: custom.subject, body: custom.body, language: candidate, source: 'custom' };
+    }
+
+    const fallback = defaultTemplate(type, channel, candidate);
+    if (fallback) {
+      return { ...fallback, language: candidate, source: 'default' };
+    }
+  }
+
+  return null;
+}
+
+// Render a notification payload for one channel and language. The template key
+// is payload.template when set (several messages share a socket type), otherwise
+// payload.type; payload.message is used when no template exists. payload.links
+// holds the one-click action links, which only go out by email and SMS.
+export async function renderNotification(payload, channel, language = DEFAULT_LANGUAGE) {
+  const type = payload.template || payload.type;
+  const template = await resolveTemplate(type, channel, language);
+  const fallbackBody = channel === 'sms'
+    ? `${CLINIC_NAME}: ${payload.message}`
+    : channel === 'email'
+      ? `${payload.message}\n\n${CLINIC_NAME}`
+      : payload.message;
+
+  if (!template) {
+    return { subject: CLINIC_NAME, body: fallbackBody };
+  }
+
+  const variables = templateVariables(payload.data, template.language, payload.links);
+  return {
+    subject: render(template.subject, variables) || CLINIC_NAME,
+    // Optional placeholders such as {{reason}} can leave a trailing space
+    body: render(template.body, variables).trim()
+  };
+}
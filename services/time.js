@@ -0,0 +1,84 @@
+// Date and clock helpers shared by models and services. Working hours are stored
+// as "HH:MM" (24-hour) and appointment times as "h:mm AM/PM".
+
+export const APPOINTMENT_TIME = /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i;
+
+// "08:00" -> 480
+export function parseClockTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// "1:30 PM" -> 810
+export function parseAppointmentTime(time) {
+  const [clock, modifier] = time.trim().split(' ');
+  let [hours, minutes] = clock.split(':').map(Number);
+  if (hours === 12) hours = 0;
+  if (modifier.toUpperCase() === 'PM') hours += 12;
+  return hours * 60 + minutes;
+}
+
+// 810 -> "1:30 PM"
+export function formatAppointmentTime(totalMinutes) {
+  const hour = Math.floor(totalMinutes / 60);
+  const min = totalMinutes % 60;
+
+  let displayHour = hour;
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+
+  if (hour > 12) displayHour = hour - 12;
+  if (hour === 0) displayHour = 12;
+
+  return `${displayHour}:${min.toString().padStart(2, '0')} ${ampm}`;
+}
+
+// Appointment dates are stored as UTC dates, so days are keyed by their UTC "YYYY-MM-DD"
+export function toDateKey(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+// Time zone the clinic's wall clock runs on: appointment times, walk-in arrivals
+// and "today" for the queue are all read in it
+export const CLINIC_TIME_ZONE = process.env.CLINIC_TIME_ZONE || 'Asia/Manila';
+
+const clinicClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: CLINIC_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// A moment as the clinic's calendar day and minutes past midnight:
+// 2026-03-02T01:05Z -> { dateKey: "2026-03-02", minutes: 545 } in Manila
+export function toClinicTime(value = new Date()) {
+  const parts = Object.fromEntries(
+    clinicClock.formatToParts(new Date(value)).map(({ type, value: part }) => [type, part])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// ("1:30 PM", 45) -> "2:15 PM"
+export function addMinutesToTime(time, minutes) {
+  return formatAppointmentTime(parseAppointmentTime(time) + minutes);
+}
+
+// Moment an appointment starts. Appointment times are clinic wall-clock times,
+// so the start is found in the clinic's time zone.
+export function appointmentStartsAt(date, time) {
+  const [year, month, day] = toDateKey(date).split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, parseAppointmentTime(time));
+
+  // Shift by the clinic's UTC offset at that moment
+  const clinic = toClinicTime(wallClock);
+  const offset = Date.parse(`${clinic.dateKey}T00:00:00Z`) + clinic.minutes * 60000 - wallClock;
+  return new Date(wallClock - offset);
+}
@@ -0,0 +1,10 @@
+// Development transport: prints messages instead of sending them
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ channel, to, subject, body }) {
+      console.log(`[outbox:${channel}] to=${to}${subject ? ` subject="${subject}"` : ''}\n${body}`);
+      return {};
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import { randomUUID } from 'crypto';
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+
+// Development/test transport: appends each message as a JSON line to OUTBOX_FILE
+// (default logs/outbox.jsonl) so deliveries can be inspected without a provider
+export function createFileTransport() {
+  const file = path.resolve(process.env.OUTBOX_FILE || 'logs/outbox.jsonl');
+
+  return {
+    name: 'file',
+    async send({ channel, to, subject, body }) {
+      const id = randomUUID();
+      await mkdir(path.dirname(file), { recursive: true });
+      await appendFile(file, JSON.stringify({ id, channel, to, subject, body, sentAt: new Date() }) + '\n');
+      return { id };
+    }
+  };
+}
@@ -0,0 +1,42 @@
+// SMS through a generic HTTP gateway: POSTs { to, message, sender } as JSON to
+// SMS_GATEWAY_URL, with SMS_GATEWAY_API_KEY as a bearer token. Any non-2xx
+// response counts as a failed attempt.
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+export function createHttpSmsTransport() {
+  const url = process.env.SMS_GATEWAY_URL;
+  const apiKey = process.env.SMS_GATEWAY_API_KEY;
+  const sender = process.env.SMS_SENDER_ID;
+
+  return {
+    name: 'http',
+    async send({ to, body }) {
+      if (!url) {
+        throw new Error('SMS_GATEWAY_URL is not configured');
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ to, message: body, sender }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      const text = await response.text();
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      let result = {};
+      try {
+        result = JSON.parse(text);
+      } catch {
+        // Gateways that answer with plain text still count as delivered
+      }
+      return { id: result.id || result.messageId };
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import { createConsoleTransport } from './console.js';
+import { createFileTransport } from './file.js';
+import { createHttpSmsTransport } from './httpSms.js';
+import { createSmtpTransport } from './smtp.js';
+
+// Delivery transports for the outbox. Every transport exposes
+//   name: string
+//   send({ channel, to, subject, body }) -> Promise<{ id? }>
+// and throws when the message could not be handed over.
+//
+// EMAIL_TRANSPORT: smtp | file | console (default smtp when SMTP_HOST is set)
+// SMS_TRANSPORT:   http | file | console (default http when SMS_GATEWAY_URL is set)
+//
+// file and console write whole messages, links included, to disk or the log.
+// Outside production they are the fallback when no provider is set; in
+// production they have to be chosen explicitly, and a channel with no
+// transport throws TransportNotConfiguredError instead of pretending to send.
+
+export class TransportNotConfiguredError extends Error {
+  constructor(channel) {
+    super(`No ${channel} transport is configured`);
+    this.name = 'TransportNotConfiguredError';
+    this.channel = channel;
+  }
+}
+
+const FACTORIES = {
+  email: {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+  },
+  sms: {
+    http: createHttpSmsTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+  }
+};
+
+// Env variable naming the transport, and the provider used when its settings are present
+const SETTINGS = {
+  email: { variable: 'EMAIL_TRANSPORT', provider: 'smtp', providerVariable: 'SMTP_HOST' },
+  sms: { variable: 'SMS_TRANSPORT', provider: 'http', providerVariable: 'SMS_GATEWAY_URL' }
+};
+
+const transports = {};
+
+// null when nothing usable is configured
+function configuredTransport(channel) {
+  const { variable, provider, providerVariable } = SETTINGS[channel];
+  if (process.env[variable]) return process.env[variable];
+  if (process.env[providerVariable]) return provider;
+  return process.env.NODE_ENV === 'production' ? null : 'file';
+}
+
+export const isTransportConfigured = (channel) => Boolean(transports[channel] || configuredTransport(channel));
+
+export function getTransport(channel) {
+  if (!transports[channel]) {
+    const name = configuredTransport(channel);
+    if (!name) {
+      throw new TransportNotConfiguredError(channel);
+    }
+    const factory = FACTORIES[channel]?.[name];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport "${name}"`);
+    }
+    transports[channel] = factory();
+  }
+  return transports[channel];
+}
+
+// Swap a transport at runtime, e.g. from scripts or tests
+export function setTransport(channel, transport) {
+  transports[channel] = transport;
+}
@@ -0,0 +1,24 @@
+import nodemailer from 'nodemailer';
+
+// Email over SMTP. Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+// SMTP_PASS and MAIL_FROM.
+export function createSmtpTransport() {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  const from = process.env.MAIL_FROM || 'VM Mother and Child Clinic <no-reply@localhost>';
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, body }) {
+      const info = await mailer.sendMail({ from, to, subject, text: body });
+      return { id: info.messageId };
+    }
+  };
+}
@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Settings from '../models/Settings.js';
+import User from '../models/User.js';
+import { CLINIC_NAME } from './templates.js';
+
+// TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30-second
+// steps) for staff accounts.
+//
+// Enrolling stores a pending secret until the first code from the authenticator
+// app confirms it, then hands out one-time recovery codes (only their hashes
+// are kept). Secrets are encrypted at rest. Logging in with 2FA takes two
+// steps: the password returns a short-lived challenge token, and the code (or a
+// recovery code) exchanged with that token returns the session tokens. When the
+// clinic requires 2FA for a role (Settings.twoFactorRequiredRoles), members
+// without it get an enrollment challenge instead and finish logging in by
+// enabling it. Each code is accepted once.
+
+export class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const CHALLENGE_TYPE = 'two_factor';
+const CHALLENGE_MINUTES = 5;
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are still accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const SELECT_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+// Secrets are stored as AES-256-GCM ciphertext under TWO_FACTOR_KEY
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_KEY || JWT_SECRET)
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join(':');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// The code an authenticator app shows for a base32 secret during one step
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+// The step a code belongs to, or null if it matches none near now
+export function matchStep(secret, code, now = Date.now()) {
+  const candidate = Buffer.from(String(code || '').replace(/\s/g, ''));
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(totpCode(secret, step + drift));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+export function otpauthUri(user, secret) {
+  // Spaces as %20 rather than "+", which some authenticator apps show literally
+  const label = encodeURIComponent(`${CLINIC_NAME}:${user.username}`);
+  const issuer = encodeURIComponent(CLINIC_NAME);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+export async function isTwoFactorRequired(user) {
+  const settings = await Settings.getSettings();
+  return (settings.twoFactorRequiredRoles || []).includes(user.role);
+}
+
+// Challenge tokens bridge the password step and the code step of a login.
+// purpose is "login" (enter a code) or "enroll" (set up 2FA first).
+export function createLoginChallenge(user, purpose) {
+  return jwt.sign(
+    { id: user._id, type: CHALLENGE_TYPE, purpose },
+    JWT_SECRET,
+    { expiresIn: `${CHALLENGE_MINUTES}m` }
+  );
+}
+
+export async function verifyLoginChallenge(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token || '', JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || decoded.type !== CHALLENGE_TYPE || decoded.purpose !== purpose) {
+    throw new TwoFactorError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user || !user.isActive) {
+    throw new TwoFactorError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+  return user;
+}
+
+// Start enrollment: a new secret that becomes active once a code confirms it
+export async function beginEnrollment(user) {
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+  return { secret, otpauthUri: otpauthUri(user, secret) };
+}
+
+// Confirm enrollment with a first code. Returns the recovery codes, shown only now.
+export async function confirmEnrollment(user, code) {
+  const account = await User.findById(user._id).select(SELECT_SECRETS);
+  if (account.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+  if (!account.twoFactor?.pendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first');
+  }
+
+  const step = matchStep(decryptSecret(account.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new TwoFactorError('Invalid verification code');
+  }
+
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': account.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+  return recoveryCodes;
+}
+
+// Check a TOTP code or, failing that, a recovery code. Either is used up.
+// Returns which one matched and how many recovery codes are left.
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  const account = await User.findById(user._id).select(SELECT_SECRETS);
+  if (!account?.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+
+  if (code) {
+    const step = matchStep(decryptSecret(account.twoFactor.secret), code);
+    // Claiming the step atomically stops the same code from being used twice
+    const claimed = step !== null && (await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    )).modifiedCount === 1;
+    if (claimed) {
+      return { method: 'totp', recoveryCodesLeft: account.twoFactor.recoveryCodes.length };
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const used = (await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    )).modifiedCount === 1;
+    if (used) {
+      return { method: 'recovery_code', recoveryCodesLeft: account.twoFactor.recoveryCodes.length - 1 };
+    }
+  }
+
+  throw new TwoFactorError('Invalid two-factor code', 401);
+}
+
+export async function regenerateRecoveryCodes(user, code) {
+  await verifySecondFactor(user, { code });
+
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+}
+
+// Remove 2FA from an account: by its owner (after a code) or by an admin
+export async function clearTwoFactor(user) {
+  await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+}
+
+export async function disableTwoFactor(user, { password, code }) {
+  if (await isTwoFactorRequired(user)) {
+    throw new TwoFactorError('Two-factor authentication is required for your role', 403);
+  }
+
+  const account = await User.findById(user._id);
+  if (!(await account.comparePassword(password || ''))) {
+    throw new TwoFactorError('Password is incorrect');
+  }
+  await verifySecondFactor(user, { code });
+  await clearTwoFactor(user);
+}
+
+export async function getTwoFactorStatus(user) {
+  const account = await User.findById(user._id).select(SELECT_SECRETS);
+  return {
+    enabled: Boolean(account.twoFactor?.enabled),
+    enabledAt: account.twoFactor?.enabledAt,
+    required: await isTwoFactorRequired(user),
+    recoveryCodesLeft: account.twoFactor?.enabled ? account.twoFactor.recoveryCodes.length : 0
+  };
+}
@@ -0,0 +1,279 @@
+import Appointment from '../models/Appointment.js';
+import Patient from '../models/Patient.js';
+import Settings from '../models/Settings.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { setHistoryContext } from './appointmentHistory.js';
+import { checkSlot, findDoctor, getDayBounds } from './availability.js';
+import { createHold, findActiveHold, releaseHold } from './slotHolds.js';
+import { notifyPatient, notifyStaff } from './notifications.js';
+import { queueContactMessages } from './outbox.js';
+import { BOOKING_LOCKED_MESSAGE, isBookingLocked } from './noShowPolicy.js';
+import { toDateKey } from './time.js';
+
+// Waitlist offers. A freed slot is offered to the oldest waiting entry that fits
+// it; the offer holds the slot for Settings.waitlistOfferMinutes and passes to the
+// next entry when it expires or is declined.
+
+export class WaitlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.status = status;
+  }
+}
+
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const slotKey = (dateKey, time) => `${dateKey}|${time}`;
+
+// Portal patients accept the offer themselves. Staff-queued patients are
+// messaged to call the clinic, and the front desk is told so it can follow up
+// and accept on their behalf.
+export async function emitWaitlistOffer(io, entry, doctor) {
+  const data = {
+    id: entry._id,
+    patientName: entry.patientName,
+    doctorName: doctor.name,
+    date: entry.offer.dateKey,
+    time: entry.offer.appointmentTime,
+    expiresAt: entry.offer.expiresAt
+  };
+
+  if (entry.patientUser) {
+    await notifyPatient(io, entry.patientUser, 'waitlist:offer', { type: 'waitlist_offer', data });
+    return;
+  }
+
+  try {
+    await queueContactMessages(
+      { email: entry.email, phone: entry.contactNumber },
+      'waitlist:offer',
+      { type: 'waitlist_offer_call', data }
+    );
+  } catch (error) {
+    console.error(`Error queueing waitlist offer messages for entry ${entry._id}:`, error);
+  }
+  await notifyStaff(io, doctor._id, 'waitlist:offer', {
+    type: 'waitlist_offer',
+    message: `Waitlist slot on ${data.date} at ${data.time} offered to ${entry.patientName}. Call them at ${entry.contactNumber} and accept the offer for them before it expires.`,
+    data
+  });
+}
+
+// Offer a free slot to the first waiting entry that fits it. Returns the entry
+// that received the offer, or null when nobody matched or the slot is taken.
+export async function offerSlot({ doctorId, date, time, sourceAppointment, io }) {
+  const doctor = await findDoctor({ doctorId });
+  if (!doctor) return null;
+
+  const dateKey = toDateKey(date);
+  if (dateKey < toDateKey(new Date())) return null;
+
+  const dayStart = getDayBounds(dateKey).start;
+  const entries = await WaitlistEntry.find({
+    doctor: doctor._id,
+    status: 'waiting',
+    dateFrom: { $lte: dayStart },
+    dateTo: { $gte: dayStart },
+    declinedSlots: { $ne: slotKey(dateKey, time) }
+  }).sort({ createdAt: 1 });
+
+  const { waitlistOfferMinutes } = await Settings.getSettings();
+
+  for (const entry of entries) {
+    // Longer services may not fit into the freed time
+    const slotCheck = await checkSlot(doctor, dateKey, time, { serviceType: entry.serviceType });
+    if (!slotCheck.available) {
+      if (slotCheck.conflict) return null;
+      continue;
+    }
+
+    let hold;
+    try {
+      hold = await createHold({
+        doctor,
+        date: dateKey,
+        time,
+        serviceType: entry.serviceType,
+        patientUserId: entry.patientUser,
+        minutes: waitlistOfferMinutes,
+        replaceExisting: false
+      });
+    } catch (error) {
+      // Someone else claimed the slot in the meantime
+      if (error.status === 409) return null;
+      throw error;
+    }
+
+    entry.status = 'offered';
+    entry.offer = {
+      dateKey,
+      appointmentTime: time,
+      holdToken: hold.holdToken,
+      offeredAt: new Date(),
+      expiresAt: hold.expiresAt,
+      sourceAppointment
+    };
+    await entry.save();
+
+    await emitWaitlistOffer(io, entry, doctor);
+    return entry;
+  }
+
+  return null;
+}
+
+// Offer the time of a cancelled appointment to the waitlist.
+// Never throws: a waitlist problem must not undo the cancellation itself.
+export async function offerFreedSlot(appointment, io) {
+  if (!appointment.doctor || !appointment.appointmentTime) return null;
+
+  try {
+    return await offerSlot({
+      doctorId: appointment.doctor,
+      date: appointment.appointmentDate,
+      time: appointment.appointmentTime,
+      sourceAppointment: appointment._id,
+      io
+    });
+  } catch (error) {
+    console.error(`Waitlist offer error for appointment ${appointment.appointmentId}:`, error);
+    return null;
+  }
+}
+
+// Close an entry's open offer and pass the slot on to the next person in line
+async function passOfferOn(entry, status, io) {
+  const { dateKey, appointmentTime, holdToken, sourceAppointment } = entry.offer;
+
+  await releaseHold(holdToken);
+  entry.status = status;
+  if (status === 'waiting') {
+    entry.declinedSlots.push(slotKey(dateKey, appointmentTime));
+  }
+  await entry.save();
+
+  return offerSlot({
+    doctorId: entry.doctor,
+    date: dateKey,
+    time: appointmentTime,
+    sourceAppointment,
+    io
+  });
+}
+
+// Background job: expire unanswered offers and move them down the waitlist
+export async function expireWaitlistOffers({ io } = {}) {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  for (const entry of expired) {
+    try {
+      await passOfferOn(entry, 'expired', io);
+    } catch (error) {
+      console.error(`Error expiring waitlist offer ${entry._id}:`, error);
+    }
+  }
+
+  return expired.length;
+}
+
+// The patient turned the offered time down but wants to stay on the waitlist
+export async function declineOffer(entry, { io } = {}) {
+  if (entry.status !== 'offered') {
+    throw new WaitlistError('There is no open offer for this waitlist entry');
+  }
+  await passOfferOn(entry, 'waiting', io);
+  return entry;
+}
+
+// Leave the waitlist; an open offer goes to the next person
+export async function withdrawEntry(entry, { io } = {}) {
+  if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+    throw new WaitlistError('This waitlist entry is no longer active');
+  }
+  if (entry.status === 'offered') {
+    await passOfferOn(entry, 'cancelled', io);
+  } else {
+    entry.status = 'cancelled';
+    await entry.save();
+  }
+  return entry;
+}
+
+// Book the offered slot. The appointment takes over the offer's hold, so the slot
+// can't be lost between accepting and saving.
+export async function acceptOffer(entry, { user, io } = {}) {
+  if (entry.status !== 'offered') {
+    throw new WaitlistError('There is no open offer for this waitlist entry');
+  }
+
+  const claims = await findActiveHold(entry.offer.holdToken);
+  if (claims.length === 0 || entry.offer.expiresAt <= new Date()) {
+    throw new WaitlistError('This offer has expired', 409);
+  }
+
+  const doctor = await findDoctor({ doctorId: entry.doctor });
+  if (!doctor) {
+    throw new WaitlistError('The doctor is no longer available', 409);
+  }
+
+  if (entry.patient) {
+    const patient = await Patient.findById(entry.patient);
+    if (await isBookingLocked(patient)) {
+      throw new WaitlistError(BOOKING_LOCKED_MESSAGE, 403);
+    }
+  }
+
+  const appointment = new Appointment({
+    patient: entry.patient,
+    patientUserId: entry.patientUser,
+    doctorType: doctor.specialty,
+    doctor: doctor._id,
+    doctorName: doctor.name,
+    appointmentDate: new Date(entry.offer.dateKey),
+    appointmentTime: entry.offer.appointmentTime,
+    serviceType: entry.serviceType,
+    contactInfo: {
+      primaryPhone: entry.contactNumber,
+      email: entry.email
+    },
+    patientName: entry.patientName,
+    contactNumber: entry.contactNumber,
+    patientType: entry.patientType,
+    dependentInfo: entry.patientType === 'dependent' ? entry.dependentInfo : undefined,
+    reasonForVisit: entry.reasonForVisit || 'Booked from waitlist',
+    status: 'scheduled',
+    bookedBy: user?._id,
+    // Portal patients keep their portal booking even when staff accept for them
+    bookingSource: entry.patientUser ? 'patient_portal' : 'staff'
+  });
+
+  appointment.$locals.holdToken = entry.offer.holdToken;
+  setHistoryContext(appointment, {
+    actor: user ? { user } : { patientUserId: entry.patientUser },
+    reason: 'Booked from waitlist offer'
+  });
+  await appointment.save();
+
+  entry.status = 'booked';
+  entry.bookedAppointment = appointment._id;
+  await entry.save();
+
+  await notifyStaff(io, appointment.doctor, 'appointment:created', {
+    type: 'appointment_created',
+    message: `Waitlisted patient ${appointment.patientName} booked a freed slot`,
+    data: {
+      id: appointment._id,
+      patientName: appointment.patientName,
+      doctorName: appointment.doctorName,
+      serviceType: appointment.serviceType,
+      date: appointment.appointmentDate,
+      time: appointment.appointmentTime
+    }
+  });
+
+  return appointment;
+}
@@ -0,0 +1,28 @@
+import { describe, expect, test } from '@jest/globals';
+import { appointmentStartsAt, toClinicTime } from '../services/time.js';
+
+// Runs on the default clinic time zone, Asia/Manila (UTC+8, no daylight saving)
+describe('toClinicTime', () => {
+  test.each([
+    ['morning arrival', '2026-03-02T01:05:00.000Z', { dateKey: '2026-03-02', minutes: 545 }],
+    ['just after midnight in Manila, still the day before in UTC', '2026-03-01T16:30:00.000Z', { dateKey: '2026-03-02', minutes: 30 }],
+    ['last minute of the day', '2026-03-01T15:59:00.000Z', { dateKey: '2026-03-01', minutes: 1439 }]
+  ])('%s', (description, moment, expected) => {
+    expect(toClinicTime(new Date(moment))).toEqual(expected);
+  });
+});
+
+describe('appointmentStartsAt', () => {
+  test.each([
+    ['9:05 AM', '2026-03-02', '2026-03-02T01:05:00.000Z'],
+    ['12:30 AM', '2026-03-02', '2026-03-01T16:30:00.000Z'],
+    ['4:00 PM', new Date('2026-03-02T00:00:00.000Z'), '2026-03-02T08:00:00.000Z']
+  ])('%s on %s', (time, date, expected) => {
+    expect(appointmentStartsAt(date, time).toISOString()).toBe(expected);
+  });
+
+  test('is the inverse of toClinicTime', () => {
+    const arrival = toClinicTime(new Date('2026-03-02T01:05:00.000Z'));
+    expect(appointmentStartsAt(arrival.dateKey, '9:05 AM').toISOString()).toBe('2026-03-02T01:05:00.000Z');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, test } from '@jest/globals';
+import { getExceptionDateRanges } from '../services/scheduleExceptions.js';
+
+const range = (start, end) => ({ start, end });
+
+const NEW_YEAR_CLOSURE = { startDate: '2020-12-30', endDate: '2021-01-02', recurring: true };
+
+describe('getExceptionDateRanges', () => {
+  test.each([
+    [
+      'one-off single day',
+      { startDate: '2026-06-12' },
+      '2026-01-01',
+      [range('2026-06-12', '2026-06-12')]
+    ],
+    [
+      'one-off leave keeps its own year',
+      { startDate: '2025-03-10', endDate: '2025-03-14' },
+      '2026-07-01',
+      [range('2025-03-10', '2025-03-14')]
+    ],
+    [
+      'recurring holiday, this year and next',
+      { startDate: '2020-12-25', recurring: true },
+      '2026-05-01',
+      [range('2026-12-25', '2026-12-25'), range('2027-12-25', '2027-12-25')]
+    ],
+    [
+      'recurring range within one year',
+      { startDate: '2020-04-01', endDate: '2020-04-03', recurring: true },
+      '2026-05-01',
+      [range('2026-04-01', '2026-04-03'), range('2027-04-01', '2027-04-03')]
+    ],
+    [
+      'recurring range over the new year, including the one that started last year',
+      NEW_YEAR_CLOSURE,
+      '2026-06-01',
+      [range('2025-12-30', '2026-01-02'), range('2026-12-30', '2027-01-02'), range('2027-12-30', '2028-01-02')]
+    ],
+    [
+      'over the new year, checked while it is running',
+      NEW_YEAR_CLOSURE,
+      '2026-01-01T08:00:00.000Z',
+      [range('2025-12-30', '2026-01-02'), range('2026-12-30', '2027-01-02'), range('2027-12-30', '2028-01-02')]
+    ],
+    [
+      'over the new year, checked on its first day',
+      NEW_YEAR_CLOSURE,
+      '2026-12-30',
+      [range('2025-12-30', '2026-01-02'), range('2026-12-30', '2027-01-02'), range('2027-12-30', '2028-01-02')]
+    ]
+  ])('%s', (description, exception, from, expected) => {
+    expect(getExceptionDateRanges(exception, { from: new Date(from) })).toEqual(expected);
+  });
+
+  test.each([
+    ['2026-01-01', true],
+    ['2026-01-02', true],
+    ['2026-01-03', false],
+    ['2026-12-31', true]
+  ])('new year closure checked on Jan 1 covers %s: %s', (dateKey, covered) => {
+    const ranges = getExceptionDateRanges(NEW_YEAR_CLOSURE, { from: new Date('2026-01-01') });
+    expect(ranges.some(({ start, end }) => start <= dateKey && dateKey <= end)).toBe(covered);
+  });
+});
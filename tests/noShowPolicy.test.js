@@ -0,0 +1,55 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import Appointment from '../models/Appointment.js';
+import Patient from '../models/Patient.js';
+import { refreshNoShowStatus, unlocksAt } from '../services/noShowPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-07-01T08:00:00.000Z');
+const daysBefore = (days) => new Date(NOW.getTime() - days * DAY_MS);
+const daysAfter = (days, from) => new Date(from.getTime() + days * DAY_MS);
+
+// Refresh a patient without a database and return the filter used to count no-shows
+async function countFilter(fields, policy) {
+  const countDocuments = jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(0);
+  const patient = new Patient(fields);
+  jest.spyOn(patient, 'save').mockResolvedValue(patient);
+
+  await refreshNoShowStatus(patient, { policy: { threshold: 3, autoUnlockDays: 0, ...policy }, now: NOW });
+  return countDocuments.mock.calls[0][0];
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('counted no-shows', () => {
+  test.each([
+    ['180-day window', {}, 180, daysBefore(180)],
+    ['30-day window', {}, 30, daysBefore(30)],
+    ['reset inside the window starts the count at the reset', { noShowCountResetAt: daysBefore(10) }, 180, daysBefore(10)],
+    ['reset before the window leaves the window start', { noShowCountResetAt: daysBefore(400) }, 180, daysBefore(180)],
+    ['reset with no window starts the count at the reset', { noShowCountResetAt: daysBefore(400) }, 0, daysBefore(400)]
+  ])('%s', async (description, fields, windowDays, since) => {
+    const filter = await countFilter(fields, { windowDays });
+    expect(filter.status).toBe('no-show');
+    expect(filter.appointmentDate).toEqual({ $gte: since });
+  });
+
+  test('no window and never reset: every no-show counts', async () => {
+    const filter = await countFilter({}, { windowDays: 0 });
+    expect(filter).not.toHaveProperty('appointmentDate');
+  });
+});
+
+describe('unlocksAt', () => {
+  const lockedAt = daysBefore(5);
+
+  test.each([
+    ['locked patient unlocks after the delay', { appointmentLocked: true, appointmentLockedAt: lockedAt }, 30, daysAfter(30, lockedAt)],
+    ['no delay: only staff can unlock', { appointmentLocked: true, appointmentLockedAt: lockedAt }, 0, null],
+    ['lock without a date never expires by itself', { appointmentLocked: true }, 30, null],
+    ['unlocked patient has nothing to expire', { appointmentLocked: false, appointmentLockedAt: lockedAt }, 30, null]
+  ])('%s', (description, patient, autoUnlockDays, expected) => {
+    expect(unlocksAt(patient, { autoUnlockDays })).toEqual(expected);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, test } from '@jest/globals';
+import { MAX_OCCURRENCES, generateSeriesDates } from '../services/appointmentSeries.js';
+
+const dateKeys = (dates) => dates.map(date => date.dateKey);
+const labels = (dates) => dates.map(date => date.label);
+
+describe('generateSeriesDates', () => {
+  test.each([
+    [
+      'every 2 weeks, 4 visits',
+      { type: 'interval', intervalWeeks: 2, count: 4 },
+      { startKey: '2026-01-05' },
+      ['2026-01-05', '2026-01-19', '2026-02-02', '2026-02-16']
+    ],
+    [
+      'weekly until a date, end date included',
+      { type: 'interval', intervalWeeks: 1, until: '2026-01-20' },
+      { startKey: '2026-01-06' },
+      ['2026-01-06', '2026-01-13', '2026-01-20']
+    ],
+    [
+      'interval across the new year',
+      { type: 'interval', intervalWeeks: 4, count: 3 },
+      { startKey: '2026-12-10' },
+      ['2026-12-10', '2027-01-07', '2027-02-04']
+    ],
+    [
+      // EDD 2026-10-01: every 4 weeks before 28 weeks, every 2 before 36, then weekly
+      'prenatal from 26 weeks to the EDD',
+      { type: 'prenatal' },
+      { startKey: '2026-06-25', anchorKey: '2026-10-01' },
+      ['2026-06-25', '2026-07-23', '2026-08-06', '2026-08-20', '2026-09-03', '2026-09-10', '2026-09-17', '2026-09-24', '2026-10-01']
+    ],
+    [
+      'prenatal limited by count',
+      { type: 'prenatal', count: 2 },
+      { startKey: '2026-06-25', anchorKey: '2026-10-01' },
+      ['2026-06-25', '2026-07-23']
+    ],
+    [
+      'prenatal starting after the EDD',
+      { type: 'prenatal' },
+      { startKey: '2026-10-02', anchorKey: '2026-10-01' },
+      []
+    ],
+    [
+      'immunization calendar from birth',
+      { type: 'immunization' },
+      { startKey: '2026-01-15', anchorKey: '2026-01-15' },
+      ['2026-01-15', '2026-02-26', '2026-03-26', '2026-04-23', '2026-07-15', '2026-10-15', '2027-01-15', '2027-04-15', '2027-07-15']
+    ],
+    [
+      'immunization skips visits before the start date',
+      { type: 'immunization' },
+      { startKey: '2026-04-01', anchorKey: '2026-01-15' },
+      ['2026-04-23', '2026-07-15', '2026-10-15', '2027-01-15', '2027-04-15', '2027-07-15']
+    ],
+    [
+      'immunization limited by count',
+      { type: 'immunization', count: 2 },
+      { startKey: '2026-04-01', anchorKey: '2026-01-15' },
+      ['2026-04-23', '2026-07-15']
+    ]
+  ])('%s', (description, rule, options, expected) => {
+    expect(dateKeys(generateSeriesDates(rule, options))).toEqual(expected);
+  });
+
+  test.each([
+    [
+      'interval visits are numbered',
+      { type: 'interval', intervalWeeks: 2, count: 4 },
+      { startKey: '2026-01-05' },
+      ['Visit 1', 'Visit 2', 'Visit 3', 'Visit 4']
+    ],
+    [
+      'prenatal visits show the weeks of gestation',
+      { type: 'prenatal' },
+      { startKey: '2026-06-25', anchorKey: '2026-10-01' },
+      ['26 weeks AOG', '30 weeks AOG', '32 weeks AOG', '34 weeks AOG', '36 weeks AOG', '37 weeks AOG', '38 weeks AOG', '39 weeks AOG', '40 weeks AOG']
+    ],
+    [
+      'immunization visits show the age',
+      { type: 'immunization' },
+      { startKey: '2026-01-15', anchorKey: '2026-01-15' },
+      ['Newborn (BCG, Hepatitis B)', '6 weeks', '10 weeks', '14 weeks', '6 months', '9 months', '12 months', '15 months', '18 months']
+    ]
+  ])('%s', (description, rule, options, expected) => {
+    expect(labels(generateSeriesDates(rule, options))).toEqual(expected);
+  });
+
+  test.each([
+    ['open-ended interval', { type: 'interval', intervalWeeks: 1 }],
+    ['count above the limit', { type: 'interval', intervalWeeks: 1, count: 100 }]
+  ])('%s stops at MAX_OCCURRENCES', (description, rule) => {
+    expect(generateSeriesDates(rule, { startKey: '2026-01-05' })).toHaveLength(MAX_OCCURRENCES);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  APPOINTMENT_STATUSES,
+  InvalidTransitionError,
+  canTransition,
+  transitionErrorBody,
+  transitionTo
+} from '../services/appointmentStateMachine.js';
+import { applyStaffCancellation, applyStaffReschedule } from '../services/appointments.js';
+
+// Expected next statuses, written out independently of the module under test
+const EXPECTED = {
+  scheduled: ['confirmed', 'completed', 'cancelled', 'no-show', 'rescheduled', 'cancellation_pending', 'reschedule_pending'],
+  confirmed: ['completed', 'cancelled', 'no-show', 'rescheduled', 'cancellation_pending', 'reschedule_pending'],
+  reschedule_pending: ['confirmed', 'scheduled', 'cancelled', 'cancellation_pending'],
+  cancellation_pending: ['cancelled', 'scheduled', 'confirmed', 'reschedule_pending'],
+  completed: [],
+  cancelled: [],
+  'no-show': ['completed'],
+  rescheduled: []
+};
+
+const STATUS_PAIRS = Object.keys(EXPECTED).flatMap(from =>
+  Object.keys(EXPECTED).map(to => [from, to, EXPECTED[from].includes(to)])
+);
+
+const appointment = (status, extra = {}) => ({ status, ...extra });
+
+const date = new Date('2099-01-05T12:00:00.000Z');
+
+describe('appointment state machine', () => {
+  test('expected table covers every status', () => {
+    expect([...APPOINTMENT_STATUSES].sort()).toEqual(Object.keys(EXPECTED).sort());
+  });
+
+  test.each(STATUS_PAIRS)('%s -> %s allowed: %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+
+  // Cases called out when the state machine was introduced
+  test.each([
+    ['cancelled', 'completed', false],
+    ['no-show', 'confirmed', false],
+    ['no-show', 'completed', true],
+    ['completed', 'cancelled', false],
+    ['cancelled', 'cancelled', false],
+    ['scheduled', 'confirmed', true],
+    ['confirmed', 'no-show', true],
+    ['reschedule_pending', 'confirmed', true],
+    ['cancellation_pending', 'confirmed', true]
+  ])('named case %s -> %s allowed: %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+
+  test('a refused move throws a 409 and leaves the status unchanged', () => {
+    const target = appointment('cancelled');
+    expect(() => transitionTo(target, 'completed')).toThrow(InvalidTransitionError);
+    expect(() => transitionTo(target, 'completed')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(target.status).toBe('cancelled');
+  });
+
+  test('the error body names the current and allowed statuses', () => {
+    let error;
+    try {
+      transitionTo(appointment('confirmed'), 'scheduled');
+    } catch (caught) {
+      error = caught;
+    }
+    const body = transitionErrorBody(error);
+    expect(body.success).toBe(false);
+    expect(body.data.currentStatus).toBe('confirmed');
+    expect(body.data.allowedStatuses).toEqual(EXPECTED.confirmed);
+  });
+
+  test('the message names the attempted action', () => {
+    expect(() => transitionTo(appointment('completed'), 'cancelled', { action: 'cancel' }))
+      .toThrow('Cannot cancel an appointment that is completed');
+  });
+});
+
+describe('staff cancel and reschedule', () => {
+  test('cancels a confirmed appointment', () => {
+    expect(applyStaffCancellation(appointment('confirmed'), { reason: 'Doctor unavailable' }).status).toBe('cancelled');
+  });
+
+  test('refuses to cancel a completed appointment', () => {
+    expect(() => applyStaffCancellation(appointment('completed'), {})).toThrow(InvalidTransitionError);
+  });
+
+  test.each([
+    ['staff booking stays confirmed', appointment('confirmed', { bookingSource: 'staff' }), 'confirmed'],
+    [
+      'portal booking waits for the patient to accept',
+      appointment('scheduled', { bookingSource: 'patient_portal', patientUserId: 'patient' }),
+      'reschedule_pending'
+    ],
+    [
+      'rescheduling a patient request approves it',
+      appointment('reschedule_pending', { bookingSource: 'patient_portal', patientUserId: 'patient', rescheduleRequest: {} }),
+      'confirmed'
+    ]
+  ])('reschedule: %s', (description, target, expected) => {
+    expect(applyStaffReschedule(target, { date, time: '10:00 AM' }).status).toBe(expected);
+  });
+
+  test('refuses to reschedule a cancelled appointment and keeps its time', () => {
+    const cancelled = appointment('cancelled', { bookingSource: 'staff', appointmentTime: '9:00 AM' });
+    expect(() => applyStaffReschedule(cancelled, { date, time: '10:00 AM' })).toThrow(InvalidTransitionError);
+    expect(cancelled.appointmentTime).toBe('9:00 AM');
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  findUnknownPlaceholders,
+  render,
+  templateVariables
+} from '../services/templates.js';
+
+const VARIABLES = { patientName: 'Ana Cruz', doctorName: 'Dr. Reyes', time: '9:30 AM', reason: '' };
+
+const BUILT_IN = Object.entries(DEFAULT_TEMPLATES).flatMap(([type, languages]) =>
+  Object.entries(languages).map(([language, template]) => [type, language, template])
+);
+
+describe('render', () => {
+  test.each([
+    ['plain text is unchanged', 'See you soon.', 'See you soon.'],
+    ['substitutes a placeholder', 'Hello {{patientName}}', 'Hello Ana Cruz'],
+    ['allows spaces inside the braces', 'With {{ doctorName }} at {{time}}', 'With Dr. Reyes at 9:30 AM'],
+    ['substitutes every occurrence', '{{time}} / {{time}}', '9:30 AM / 9:30 AM'],
+    ['empty variable renders as nothing', 'Reason: {{reason}}', 'Reason: '],
+    ['missing variable renders as nothing', 'Link: {{cancelUrl}}', 'Link: '],
+    ['unknown placeholder renders as nothing', 'Hi {{nickname}}', 'Hi '],
+    ['single braces are left alone', 'Hi {patientName}', 'Hi {patientName}'],
+    ['no text renders as empty', undefined, '']
+  ])('%s', (description, text, expected) => {
+    expect(render(text, VARIABLES)).toBe(expected);
+  });
+});
+
+describe('findUnknownPlaceholders', () => {
+  test.each([
+    ['no placeholders', 'See you soon.', []],
+    ['only known placeholders', '{{patientName}} with {{doctorName}} on {{date}}', []],
+    ['unknown placeholder is reported', 'Hi {{nickname}}', ['nickname']],
+    ['unknown placeholders are reported once each', '{{room}} {{ room }} {{floor}} {{time}}', ['room', 'floor']],
+    ['placeholder names are case sensitive', '{{PatientName}}', ['PatientName']],
+    ['empty text', '', []]
+  ])('%s', (description, text, expected) => {
+    expect(findUnknownPlaceholders(text)).toEqual(expected);
+  });
+});
+
+describe('templateVariables', () => {
+  const date = '2026-11-02T00:00:00.000Z';
+
+  test.each([
+    ['en', 'Monday, November 2, 2026'],
+    ['fil', 'Lunes, Nobyembre 2, 2026']
+  ])('writes the date in %s', (language, expected) => {
+    expect(templateVariables({ date }, language).date).toBe(expected);
+  });
+
+  test('missing date renders as empty', () => {
+    expect(templateVariables({}, 'en').date).toBe('');
+  });
+
+  test('fills only the links given', () => {
+    const variables = templateVariables({}, 'en', { confirmUrl: 'https://example.test/c' });
+    expect(variables.confirmUrl).toBe('https://example.test/c');
+    expect(variables.cancelUrl).toBe('');
+  });
+
+  test('every documented placeholder has a variable', () => {
+    expect(Object.keys(templateVariables()).sort()).toEqual(Object.keys(PLACEHOLDERS).sort());
+  });
+});
+
+describe('built-in templates', () => {
+  test.each(BUILT_IN)('%s (%s) only uses known placeholders', (type, language, template) => {
+    expect(findUnknownPlaceholders(`${template.subject} ${template.body} ${template.actions || ''}`)).toEqual([]);
+  });
+
+  test('every template has English and Filipino wording', () => {
+    for (const languages of Object.values(DEFAULT_TEMPLATES)) {
+      expect(Object.keys(languages)).toEqual(expect.arrayContaining(['en', 'fil']));
+    }
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, test } from '@jest/globals';
+import { currentStep, matchStep, totpCode } from '../services/twoFactor.js';
+
+// Base32 of the RFC 6238 SHA-1 secret "12345678901234567890"
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const NOW = 1700000000 * 1000;
+const STEP = currentStep(NOW);
+
+describe('totpCode', () => {
+  // [unix time in seconds, last 6 digits of the RFC 6238 SHA-1 code]
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('T = %i gives %s', (seconds, expected) => {
+    expect(totpCode(SECRET, currentStep(seconds * 1000))).toBe(expected);
+  });
+
+  test.each([
+    [0, 0],
+    [29999, 0],
+    [30000, 1]
+  ])('at %i ms the step is %i', (time, step) => {
+    expect(currentStep(time)).toBe(step);
+  });
+});
+
+describe('matchStep', () => {
+  test.each([
+    ['the current step', 0, true],
+    ['the previous step', -1, true],
+    ['the next step', 1, true],
+    ['two steps ago', -2, false],
+    ['two steps ahead', 2, false],
+    ['ten minutes ago', -20, false]
+  ])('code from %s accepted: %s', (description, offset, accepted) => {
+    const code = totpCode(SECRET, STEP + offset);
+    expect(matchStep(SECRET, code, NOW)).toBe(accepted ? STEP + offset : null);
+  });
+
+  test('a code stays valid until the step after its own is over', () => {
+    const code = totpCode(SECRET, STEP);
+    expect(matchStep(SECRET, code, (STEP + 2) * 30000 - 1)).toBe(STEP);
+    expect(matchStep(SECRET, code, (STEP + 2) * 30000)).toBeNull();
+  });
+
+  test('spaces in the code are ignored', () => {
+    const code = totpCode(SECRET, STEP);
+    expect(matchStep(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, NOW)).toBe(STEP);
+  });
+
+  test.each([
+    ['too short', (code) => code.slice(0, 5)],
+    ['too long', (code) => `${code}0`],
+    ['empty', () => ''],
+    ['missing', () => undefined]
+  ])('%s code is refused', (description, input) => {
+    expect(matchStep(SECRET, input(totpCode(SECRET, STEP)), NOW)).toBeNull();
+  });
+});